@@ -22,9 +22,14 @@ import { AdvancedAudioManager } from './src/systems/AdvancedAudioManager.js';
 
 // New modular UI and core systems
 import { GameStateManager } from './src/core/GameStateManager.js';
+import { EventBus, GAME_EVENTS } from './src/core/EventBus.js';
+import { FixedTimestep } from './src/core/FixedTimestep.js';
+import { Random } from './src/core/Random.js';
 import { RenderingSystem } from './src/systems/rendering/RenderingSystem.js';
 import { HUD } from './src/ui/HUD.js';
 import { StatsPanel } from './src/ui/StatsPanel.js';
+import { TimeTravelPanel } from './src/ui/TimeTravelPanel.js';
+import { EntityInspectorPanel } from './src/ui/EntityInspectorPanel.js';
 
 // Enhanced ECS system (optional)
 import { EnhancedSpyShootGame } from './src/core/EnhancedSpyShootGame.js';
@@ -52,18 +57,24 @@ class SpyShootGame {
             
             // Core systems
             this.gameState = new GameStateManager();
+            this.events = new EventBus();
             this.renderingSystem = new RenderingSystem(this.canvas, this.ctx);
             
+            // Seeded randomness: ?seed=123 replays the same runs (bug reports, daily challenges)
+            this.random = new Random(new URLSearchParams(window.location.search).get('seed'));
+            
             // UI systems
             this.hud = new HUD();
             this.statsPanel = new StatsPanel(this.canvas);
+            this.timeTravelPanel = new TimeTravelPanel(this.canvas);
+            this.entityInspectorPanel = new EntityInspectorPanel(this.canvas);
             
             // Game systems
             this.inputSystem = new InputSystem();
             this.shootingSystem = new ShootingSystem();
             this.energySystem = new EnergySystem();
             this.scannerSystem = new ScannerSystem();
-            this.spawningSystem = new SpawningSystem(GAME_CONFIG.CANVAS_WIDTH, GAME_CONFIG.CANVAS_HEIGHT);
+            this.spawningSystem = new SpawningSystem(GAME_CONFIG.CANVAS_WIDTH, GAME_CONFIG.CANVAS_HEIGHT, this.random);
             this.collisionSystem = new CollisionSystem();
             this.scoreSystem = new ScoreSystem();
             
@@ -82,12 +93,16 @@ class SpyShootGame {
                 this.audioSystem, 
                 this.spawningSystem, 
                 this.musicManager,
-                this.dynamicMusicManager
+                this.dynamicMusicManager,
+                this.random
             );
             
             // Game entities
             this.player = null;
             
+            // Connect systems through the event bus
+            this.setupEventBus();
+            
             // Enhanced ECS Game (optional)
             if (this.useECS) {
                 // Prepare audio systems for ECS
@@ -102,15 +117,23 @@ class SpyShootGame {
                     this.canvas, 
                     this.ctx, 
                     this.inputSystem, 
-                    audioSystems
+                    audioSystems,
+                    this.events,
+                    this.random
                 );
                 
+                // Runs start in, and boss rewards move them to, an environment: scenery, ambience and music follow it
+                this.enhancedGame.getGameState().addListener('currentEnvironment', (environmentId) => {
+                    this.setECSEnvironment(environmentId);
+                });
+                
                 console.log('✅ ECS system enabled');
             }
             
-            // Game timing
+            // Game timing (fixed simulation steps, rendered as often as the display refreshes)
             this.lastTime = 0;
             this.deltaTime = 0;
+            this.timestep = new FixedTimestep();
             
             // Initialize game
             this.init();
@@ -122,6 +145,26 @@ class SpyShootGame {
         }
     }
     
+    setupEventBus() {
+        // Audio, music and HUD react to events from either game mode
+        if (this.enhancedSoundEffects) {
+            this.enhancedSoundEffects.setEventBus(this.events);
+        } else {
+            // Plain explosion sounds when the enhanced effects aren't loaded
+            this.soundEffectManager.setEventBus(this.events);
+        }
+        this.dynamicMusicManager.setEventBus(this.events);
+        this.hud.setEventBus(this.events);
+        
+        // The original systems only report through the bus when they are running the game
+        if (!this.useECS) {
+            this.collisionSystem.setEventBus(this.events);
+            this.scannerSystem.setEventBus(this.events);
+            this.energySystem.setEventBus(this.events);
+            this.scoreSystem.setEventBus(this.events);
+        }
+    }
+    
     init() {
         // Set up canvas
         this.setupCanvas();
@@ -347,7 +390,8 @@ class SpyShootGame {
             energy: this.energySystem.getCurrentEnergy(),
             score: this.scoreSystem.getCurrentScore(),
             scannerActive: this.scannerSystem.isScanning(),
-            scannerStatus: this.scannerSystem.getStatus()
+            scannerStatus: this.scannerSystem.getStatus(),
+            scannerLockProgress: this.scannerSystem.getLockProgress()
         });
         
         // Update environment info
@@ -405,11 +449,13 @@ class SpyShootGame {
         // Update location system (dynamic environments)
         this.locationSystem.update(deltaTime, newTime);
         
-        // Update energy system
-        this.energySystem.update(deltaTime, this.scannerSystem.isScanning(), this.soundEffectManager, this.enhancedSoundEffects, this.advancedAudioManager);
+        // Update energy system and the clock score combos are timed against
+        this.energySystem.update(deltaTime, this.scannerSystem.isScanning(), this.scannerSystem.getTargetCount());
+        this.scoreSystem.update(deltaTime);
         
         // Update scanner system
-        this.scannerSystem.update(deltaTime, this.inputSystem, this.energySystem, this.soundEffectManager, this.enhancedSoundEffects);
+        this.scannerSystem.update(deltaTime, this.inputSystem, this.energySystem);
+        this.scannerSystem.updateReveals(deltaTime, this.player, this.spawningSystem.getActiveEnemies());
         
         // Update player
         this.player.update(deltaTime, this.inputSystem);
@@ -425,7 +471,7 @@ class SpyShootGame {
         this.updateShooting(deltaTime);
         
         // Update collision system
-        this.collisionSystem.update(this.shootingSystem, this.spawningSystem, this.player, this.energySystem, this.scoreSystem, this.soundEffectManager, this.enhancedSoundEffects);
+        this.collisionSystem.update(this.shootingSystem, this.spawningSystem, this.player);
         
         // Update dynamic music system
         this.dynamicMusicManager.update(deltaTime, {
@@ -446,7 +492,7 @@ class SpyShootGame {
         // Check game over conditions
         if (this.energySystem.isEmpty()) {
             this.gameState.endGame();
-            this.dynamicMusicManager.handleGameEvent('game_over');
+            this.events.emit(GAME_EVENTS.GAME_OVER, { score: this.scoreSystem.getCurrentScore() });
         }
         
         // Update game state with current stats
@@ -457,7 +503,7 @@ class SpyShootGame {
     }
     
     updateShooting(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = this.shootingSystem.time;
         
         // Debug shooting input
         const spacePressed = this.inputSystem.isKeyPressed(KEYS.SPACE);
@@ -476,19 +522,15 @@ class SpyShootGame {
                 this.shootingSystem.createBullet(this.player);
                 this.shootingSystem.lastShotTime = currentTime;
                 this.player.triggerMuzzleFlash();
-                
-                // Play enhanced laser sound effect with variation
-                console.log('🔊 Playing laser sound...');
-                this.enhancedSoundEffects.playLaserSound({
-                    pitchVariation: 0.1
+                this.events.emit(GAME_EVENTS.SHOT_FIRED, {
+                    x: this.player.x + this.player.width / 2,
+                    y: this.player.y
                 });
                 
                 console.log('Shot fired!');
             } else {
                 console.log('Not enough energy to shoot');
-                
-                // Play error sound when out of energy
-                this.enhancedSoundEffects.playUIError();
+                this.events.emit(GAME_EVENTS.SHOT_BLOCKED, { reason: 'energy' });
             }
         }
         
@@ -497,15 +539,19 @@ class SpyShootGame {
         this.shootingSystem.cleanupBullets();
     }
     
-    render() {
+    render(alpha = 1) {
         // Use ECS rendering if enabled
         if (this.useECS && this.enhancedGame) {
-            this.enhancedGame.render();
+            this.enhancedGame.render(alpha);
             
             // Render stats panel if enabled
             if (this.gameState.get('showDebugPanel')) {
                 this.renderECSStatsPanel();
             }
+            
+            // Entity inspector (F2) and time travel scrubber (F3)
+            this.entityInspectorPanel.render(this.ctx, this.enhancedGame.getInspectorStatus());
+            this.timeTravelPanel.render(this.ctx, this.enhancedGame.getTimeTravelStatus());
             return;
         }
         
@@ -520,6 +566,7 @@ class SpyShootGame {
         
         // Queue entity rendering (only during gameplay)
         if (gameStatus === 'playing' || gameStatus === 'paused') {
+            this.renderingSystem.renderScannerCone(this.scannerSystem, this.player);
             this.renderingSystem.renderPlayer(this.player);
             this.renderingSystem.renderBullets(this.shootingSystem);
             this.renderingSystem.renderSpawnedObjects(this.spawningSystem, this.scannerSystem);
@@ -788,7 +835,7 @@ class SpyShootGame {
         this.ctx.fillStyle = '#00aa00';
         this.ctx.font = '18px Orbitron, monospace';
         this.ctx.fillText('SHOOT: Space | SCAN: Q | PAUSE: P | RESTART: R | AUDIO: M | STATS: D', this.canvas.width / 2, this.canvas.height / 2 + 100);
-        this.ctx.fillText('Arrow keys or WASD to move', this.canvas.width / 2, this.canvas.height / 2 + 130);
+        this.ctx.fillText('Arrow keys or WASD to move | 1-5 to switch weapons', this.canvas.width / 2, this.canvas.height / 2 + 130);
         
         // Add subtitle
         this.ctx.fillStyle = '#006600';
@@ -839,42 +886,65 @@ class SpyShootGame {
         
         // Update HUD with ECS data
         const ecsManager = this.enhancedGame.getECSManager();
+        const hull = ecsManager.getPlayerHull();
+        const lives = ecsManager.getPlayerLives();
         const uiData = {
             score: ecsManager.getPlayerScore(),
             energyPercentage: ecsManager.getPlayerEnergyPercentage(),
             energyLow: ecsManager.getPlayerEnergyPercentage() < 20,
             energyCritical: ecsManager.isPlayerEnergyCritical(),
-            scannerStatus: 'READY', // TODO: Implement scanner in ECS
-            scannerActive: false
+            hull: hull.current,
+            maxHull: hull.max,
+            hullInvulnerable: hull.invulnerable,
+            lives: lives.remaining,
+            maxLives: lives.max,
+            respawning: lives.respawning,
+            weapon: ecsManager.getPlayerWeapon(),
+            scannerStatus: ecsManager.getPlayerScannerStatus(),
+            scannerActive: ecsManager.isPlayerScanning(),
+            scannerLockProgress: ecsManager.getPlayerScanLockProgress(),
+            powerUps: ecsManager.getPlayerEffects(),
+            boss: ecsManager.getBossStatus()
         };
         
         this.hud.updateAll(uiData);
     }
     
+    // Follow the run's environment; LocationSystem switches the background, ambience and music
+    setECSEnvironment(environmentId) {
+        if (!environmentId) return;
+        
+        this.locationSystem.setEnvironment(environmentId);
+    }
+    
     renderECSStatsPanel() {
         if (!this.enhancedGame) return;
         
         const ecsManager = this.enhancedGame.getECSManager();
         const gameState = this.enhancedGame.getGameState();
         const performanceStats = this.enhancedGame.getPerformanceStats();
+        const environment = this.locationSystem.getCurrentEnvironment();
         
         const uiData = {
             bullets: ecsManager.getBulletCount(),
             energy: ecsManager.getPlayerEnergy(),
             enemies: ecsManager.getEnemyCount(),
             rocks: ecsManager.getRockCount(),
+            scannerStatus: gameState.get('scannerStatus'),
             difficulty: gameState.get('difficultyLevel'),
             fps: performanceStats.fps,
             timePlayed: gameState.get('timePlayed'),
             environment: {
-                name: 'ECS Mode',
+                name: environment ? environment.name : 'ECS Mode',
                 progress: 1.0
             },
             // ECS-specific stats
             entityCount: ecsManager.getEntityCount(),
             systemCount: ecsManager.getSystemCount(),
             updateTime: performanceStats.updateTime,
-            renderTime: performanceStats.renderTime
+            renderTime: performanceStats.renderTime,
+            broadphase: ecsManager.getCollisionStats(),
+            profile: ecsManager.getProfile()
         };
         
         this.statsPanel.render(this.ctx, uiData);
@@ -964,7 +1034,7 @@ class SpyShootGame {
                     this.audioSystem.playSyntheticSound('laser_shot', { volume: 0.5 });
                     
                     // Initialize dynamic music system
-                    this.dynamicMusicManager.handleGameEvent('game_start');
+                    this.events.emit(GAME_EVENTS.GAME_STARTED);
                     
                     // Play game start sound
                     setTimeout(() => {
@@ -977,7 +1047,7 @@ class SpyShootGame {
                 }
             } else {
                 // Audio already initialized, just trigger game start events
-                this.dynamicMusicManager.handleGameEvent('game_start');
+                this.events.emit(GAME_EVENTS.GAME_STARTED);
                 
                 // Test audio
                 console.log('🔊 Testing audio with laser sound...');
@@ -997,6 +1067,9 @@ class SpyShootGame {
             }
             
             // Original game start logic
+            // Reseed so the run can be reproduced from its seed
+            this.gameState.set('seed', this.random.startRun());
+            
             // Start the game using state manager
             this.gameState.startGame();
             
@@ -1030,16 +1103,21 @@ class SpyShootGame {
         }
     }
     
+    // Replays can be watched slower or faster than real time
+    getTimeScale() {
+        return this.useECS && this.enhancedGame ? this.enhancedGame.getTimeScale() : 1;
+    }
+    
     gameLoop(currentTime = 0) {
         // Calculate delta time
         this.deltaTime = currentTime - this.lastTime;
         this.lastTime = currentTime;
         
-        // Update game
-        this.update(this.deltaTime);
+        // Update game in fixed steps so speed doesn't depend on the display's refresh rate (scaled for replay speed)
+        const alpha = this.timestep.advance(this.deltaTime, stepTime => this.update(stepTime), this.getTimeScale());
         
-        // Render game
-        this.render();
+        // Render game, blending between the last two steps
+        this.render(alpha);
         
         // Continue loop
         requestAnimationFrame((time) => this.gameLoop(time));
@@ -1,7 +1,7 @@
 // Core ECS Components for SpyShoot Game
 // Components are pure data containers with no logic
 
-import { Component } from '../core/EntityComponentSystem.js';
+import { Component, ComponentRegistry, componentRegistry } from '../core/EntityComponentSystem.js';
 
 // Position and movement components
 export class Transform extends Component {
@@ -92,8 +92,10 @@ export class Collider extends Component {
         this.offsetX = offsetX;
         this.offsetY = offsetY;
         this.isTrigger = false;
+        this.continuous = false; // Swept test against the path moved this frame (for fast movers)
         this.collisionMask = 0xFFFFFFFF; // What this can collide with
         this.collisionLayer = 1; // What layer this is on
+        this.enabled = true; // Disabled colliders are left out of collision checks
     }
 }
 
@@ -105,21 +107,219 @@ export class PlayerController extends Component {
         this.thrusterIntensity = 0;
         this.muzzleFlashTime = 0;
         this.showMuzzleFlash = false;
+        
+        // Running power-up effects by effect type: the power-up definition plus `remaining` milliseconds
+        this.effects = {};
+    }
+    
+    // Start a power-up's effect; picking up one that is already running restarts its timer
+    applyPowerUp(powerUp) {
+        this.effects[powerUp.effect] = { ...powerUp, remaining: powerUp.duration };
+    }
+    
+    hasEffect(effect) {
+        return effect in this.effects;
+    }
+    
+    getEffect(effect) {
+        return this.effects[effect] || null;
+    }
+    
+    // A numeric parameter of a running effect, or the fallback when it isn't running
+    getEffectValue(effect, parameter, fallback) {
+        const state = this.effects[effect];
+        return state ? state[parameter] : fallback;
+    }
+    
+    // Count the effects down; returns the ones that ran out
+    updateEffects(deltaTime) {
+        const expired = [];
+        for (const [effect, state] of Object.entries(this.effects)) {
+            state.remaining -= deltaTime;
+            if (state.remaining <= 0) {
+                delete this.effects[effect];
+                expired.push(state);
+            }
+        }
+        return expired;
+    }
+    
+    clearEffects() {
+        this.effects = {};
     }
 }
 
 export class EnemyAI extends Component {
     constructor(type = 'enemy') {
         super();
-        this.type = type; // 'enemy' or 'spy'
+        this.type = type; // 'enemy' or 'spy' ('boss' for a boss's body)
+        this.archetype = null; // Enemy archetype id (see EnemyArchetypes), for its firing and render style
         this.speed = 2;
-        this.zigzagDirection = Math.random() > 0.5 ? 1 : -1;
-        this.zigzagSpeed = 1.5;
-        this.zigzagAmplitude = 60;
-        this.centerX = 0;
-        this.zigzagTimer = 0;
-        this.zigzagFrequency = 0.003;
-        this.pulseTimer = Math.random() * Math.PI * 2;
+        this.collisionDamage = 20; // Energy the player loses ramming this ship
+        this.direction = 1; // Randomized by the EntityFactory; mirrors dives and circles
+        
+        // Movement sequence (see MovementPatterns) and the running step's state
+        this.movement = [];
+        this.movementStep = 0;
+        this.movementTime = 0;
+        this.movementStarted = false;
+        this.anchorX = 0;
+        this.anchorY = 0;
+        this.heading = Math.PI / 2;
+        this.phase = 0;
+        this.pulseTimer = 0;
+    }
+}
+
+// Enemy gun, built from the archetype's firing definition (see EnemyWeaponSystem)
+export class EnemyWeapon extends Component {
+    constructor(pattern = 'down', interval = 2000, bulletSpeed = 4) {
+        super();
+        this.pattern = pattern; // 'down', 'aimed', 'spread' or 'ring'
+        this.interval = interval; // Milliseconds between shots at difficulty 1
+        this.bulletSpeed = bulletSpeed;
+        this.count = 1; // Shots per volley (spread)
+        this.angle = 0; // Spread width in degrees
+        this.damage = 1; // Hull damage per hit
+        this.cooldown = interval; // Time until the next volley
+    }
+}
+
+// Boss encounter state (see BossSystem); the boss is hit through its BossPart hitboxes, never directly
+export class Boss extends Component {
+    constructor(bossId = null) {
+        super();
+        this.bossId = bossId; // Boss definition id (see Bosses)
+        this.phase = 0; // Index of the running phase in the definition
+        this.parts = []; // Hitbox entities that follow the boss
+        this.escorts = []; // Ships launched by the running phase that are still flying
+        this.escortTimer = 0; // Time until the next escort wave
+        this.shielded = false; // Hostile escorts are shielding the boss from damage
+    }
+}
+
+// One of a boss's hitboxes, positioned at an offset from the boss's corner every tick
+export class BossPart extends Component {
+    constructor(boss = null, hitbox = null, offsetX = 0, offsetY = 0, damageMultiplier = 1) {
+        super();
+        this.boss = boss; // Boss entity this hitbox belongs to
+        this.hitbox = hitbox; // Hitbox id from the definition
+        this.offsetX = offsetX;
+        this.offsetY = offsetY;
+        this.damageMultiplier = damageMultiplier; // Above 1 for weak points, below 1 for armour
+    }
+}
+
+// Player gun: the weapon picked from the WeaponRegistry plus its cooldown, heat and charge (see PlayerWeaponSystem)
+export class Weapon extends Component {
+    constructor(weaponId = 'blaster') {
+        super();
+        this.weaponId = weaponId;
+        this.cooldown = 0; // Time until the next shot (milliseconds)
+        this.heat = 0; // 0-100; every shot adds the weapon's heat
+        this.coolRate = 25; // Heat shed per second
+        this.overheated = false; // Locked out from reaching 100 until heat falls to recoveryHeat
+        this.recoveryHeat = 40;
+        this.charge = 0; // 0-1 while a charge weapon's trigger is held
+    }
+    
+    // Switch guns; a charge in progress is lost. Returns false if it was already selected
+    select(weaponId) {
+        if (weaponId === this.weaponId) return false;
+        
+        this.weaponId = weaponId;
+        this.charge = 0;
+        return true;
+    }
+    
+    // Returns true if this shot overheated the gun
+    addHeat(amount) {
+        this.heat = Math.min(100, this.heat + amount);
+        if (this.heat >= 100 && !this.overheated) {
+            this.overheated = true;
+            return true;
+        }
+        return false;
+    }
+    
+    cool(deltaTime) {
+        this.heat = Math.max(0, this.heat - this.coolRate * deltaTime / 1000);
+        if (this.overheated && this.heat <= this.recoveryHeat) {
+            this.overheated = false;
+        }
+    }
+}
+
+export class Scanner extends Component {
+    constructor(drainRate = 2, range = 250, falloff = 150) {
+        super();
+        this.isActive = false;
+        this.drainRate = drainRate; // Energy per second while active
+        this.drainPerTarget = 1; // Extra energy per second for each ship in the cone
+        this.range = range; // Full lock rate distance
+        this.falloff = falloff; // Lock rate fades out over this extra distance
+        this.coneAngle = Math.PI / 6; // Half-angle either side of the ship's nose
+        this.lockRate = 1; // Lock progress per second at full rate
+        this.level = 1; // Strength level, raised by upgrades
+        this.maxLevel = 3;
+        this.levelBonus = 0.5; // Extra lock rate per level
+        this.toggleCooldown = 200; // Prevent rapid toggling (milliseconds)
+        this.cooldownTimer = 0;
+        
+        // Current lock, refreshed every frame by the ScannerSystem
+        this.targetCount = 0;
+        this.lockProgress = 0;
+    }
+    
+    getStrength() {
+        return 1 + (this.level - 1) * this.levelBonus;
+    }
+    
+    upgrade() {
+        if (this.level >= this.maxLevel) return false;
+        this.level++;
+        return true;
+    }
+    
+    getStatus() {
+        if (!this.isActive) return 'READY';
+        if (this.lockProgress > 0) return `LOCK ${Math.floor(this.lockProgress * 100)}%`;
+        return 'ACTIVE';
+    }
+}
+
+export class Revealed extends Component {
+    constructor(tagDuration = 3000, decayRate = 0.5) {
+        super();
+        this.progress = 0; // Scan-lock progress: 0 = disguised, 1 = identified
+        this.decayRate = decayRate; // Progress lost per second outside the scanner cone
+        this.tagDuration = tagDuration; // How long an identification outlasts the scan (milliseconds)
+        this.tagTimer = 0;
+        this.signature = 'enemy'; // What a completed scan shows: 'enemy' or 'spy'
+        this.lockResistance = 1; // Lock builds this many times slower
+    }
+    
+    // Apply this frame's lock rate (0 when outside every scanner cone)
+    update(lockRate, deltaTime) {
+        if (lockRate > 0) {
+            this.progress = Math.min(1, this.progress + (lockRate / this.lockResistance * deltaTime) / 1000);
+            if (this.progress >= 1) {
+                this.tagTimer = this.tagDuration;
+            }
+        } else if (this.tagTimer > 0) {
+            // Identified ships stay tagged for a while after the lock is lost
+            this.tagTimer = Math.max(0, this.tagTimer - deltaTime);
+            if (this.tagTimer <= 0) {
+                this.progress = 0;
+            }
+        } else {
+            // An unfinished lock fades once the ship leaves the cone
+            this.progress = Math.max(0, this.progress - (this.decayRate * deltaTime) / 1000);
+        }
+    }
+    
+    isRevealed() {
+        return this.progress >= 1;
     }
 }
 
@@ -129,7 +329,10 @@ export class Projectile extends Component {
         this.speed = speed;
         this.direction = direction;
         this.damage = 1;
-        this.piercing = false;
+        this.piercing = false; // Carries on through targets instead of stopping at the first
+        this.hits = []; // Ids of the targets a piercing shot has already gone through
+        this.homing = 0; // Turn rate towards the nearest enemy (degrees per second; 0 flies straight)
+        this.owner = null; // Entity credited with this projectile's kills
     }
 }
 
@@ -139,17 +342,32 @@ export class Health extends Component {
         this.maxHealth = maxHealth;
         this.currentHealth = maxHealth;
         this.invulnerable = false;
-        this.invulnerabilityTime = 0;
+        this.invulnerabilityTime = 0; // Invulnerability after each hit (milliseconds; 0 for none)
+        this.invulnerabilityTimer = 0;
     }
     
     takeDamage(amount) {
         if (!this.invulnerable) {
             this.currentHealth = Math.max(0, this.currentHealth - amount);
+            if (this.invulnerabilityTime > 0 && this.currentHealth > 0) {
+                this.invulnerable = true;
+                this.invulnerabilityTimer = this.invulnerabilityTime;
+            }
             return true;
         }
         return false;
     }
     
+    // Count down the invulnerability window
+    update(deltaTime) {
+        if (this.invulnerabilityTimer > 0) {
+            this.invulnerabilityTimer = Math.max(0, this.invulnerabilityTimer - deltaTime);
+            if (this.invulnerabilityTimer <= 0) {
+                this.invulnerable = false;
+            }
+        }
+    }
+    
     heal(amount) {
         this.currentHealth = Math.min(this.maxHealth, this.currentHealth + amount);
     }
@@ -180,6 +398,11 @@ export class Energy extends Component {
         this.currentEnergy = Math.min(this.maxEnergy, this.currentEnergy + amount);
     }
     
+    // Lose energy from damage, even if less than the full amount is left
+    drain(amount) {
+        this.currentEnergy = Math.max(0, this.currentEnergy - amount);
+    }
+    
     getPercentage() {
         return (this.currentEnergy / this.maxEnergy) * 100;
     }
@@ -193,6 +416,30 @@ export class Energy extends Component {
     }
 }
 
+// Ships left in the run and where the next one appears
+export class Lives extends Component {
+    constructor(count = 3, spawnX = 0, spawnY = 0) {
+        super();
+        this.max = count;
+        this.remaining = count; // Including the ship in play
+        this.spawnX = spawnX;
+        this.spawnY = spawnY;
+        this.respawnTimer = 0; // Time until the next ship appears (milliseconds)
+    }
+    
+    isRespawning() {
+        return this.respawnTimer > 0;
+    }
+}
+
+// Collectable drop; carries the power-up definition it grants
+export class Pickup extends Component {
+    constructor(powerUp = null) {
+        super();
+        this.powerUp = powerUp;
+    }
+}
+
 export class Lifetime extends Component {
     constructor(duration = 5000) {
         super();
@@ -245,7 +492,66 @@ export class ParticleEmitter extends Component {
 export class Player extends Component {}
 export class Enemy extends Component {}
 export class Bullet extends Component {}
+export class EnemyBullet extends Component {}
 export class Rock extends Component {}
 export class PowerUp extends Component {}
 export class UI extends Component {}
-export class Background extends Component {}
\ No newline at end of file
+export class Background extends Component {}
+
+// Save game serialization (plain data components use the registry's default field copy)
+[
+    Transform, Velocity, Acceleration, Sprite, RigidBody, Collider,
+    PlayerController, EnemyAI, EnemyWeapon, Weapon, Scanner, Revealed, Health, Energy, Lives, Pickup, Lifetime, Score, ParticleEmitter,
+    Player, Enemy, Bullet, EnemyBullet, Rock, PowerUp, UI, Background
+].forEach(componentType => componentRegistry.register(componentType));
+
+componentRegistry.register(Projectile, {
+    toJSON: (projectile, context) => ({
+        ...ComponentRegistry.copyFields(projectile),
+        hits: [...projectile.hits],
+        owner: context.getId(projectile.owner)
+    }),
+    fromJSON: (data, context) => Object.assign(new Projectile(), data, {
+        hits: data.hits || [],
+        owner: data.owner ? context.getEntity(data.owner) : null
+    })
+});
+
+// Bosses and their hitboxes refer to each other by entity id in snapshots
+componentRegistry.register(Boss, {
+    toJSON: (boss, context) => ({
+        ...ComponentRegistry.copyFields(boss),
+        parts: boss.parts.map(part => context.getId(part)).filter(id => id !== null),
+        escorts: boss.escorts.map(escort => context.getId(escort)).filter(id => id !== null)
+    }),
+    fromJSON: (data, context) => Object.assign(new Boss(), data, {
+        parts: (data.parts || []).map(id => context.getEntity(id)).filter(Boolean),
+        escorts: (data.escorts || []).map(id => context.getEntity(id)).filter(Boolean)
+    })
+});
+
+componentRegistry.register(BossPart, {
+    toJSON: (part, context) => ({
+        ...ComponentRegistry.copyFields(part),
+        boss: context.getId(part.boss)
+    }),
+    fromJSON: (data, context) => Object.assign(new BossPart(), data, {
+        boss: data.boss ? context.getEntity(data.boss) : null
+    })
+});
+
+componentRegistry.register(Animation, {
+    toJSON: animation => ({
+        ...ComponentRegistry.copyFields(animation),
+        animations: Array.from(animation.animations)
+    }),
+    fromJSON: data => Object.assign(new Animation(), data, { animations: new Map(data.animations) })
+});
+
+componentRegistry.register(AudioSource, {
+    toJSON: audioSource => ({
+        ...ComponentRegistry.copyFields(audioSource),
+        sounds: Array.from(audioSource.sounds)
+    }),
+    fromJSON: data => Object.assign(new AudioSource(), data, { sounds: new Map(data.sounds) })
+});
\ No newline at end of file
@@ -1,28 +1,44 @@
 // ECS Game Manager - Integrates ECS with existing SpyShoot game
 import { World } from './EntityComponentSystem.js';
+import { EventBus, GAME_EVENTS } from './EventBus.js';
+import { Random } from './Random.js';
+import { Profiler } from './Profiler.js';
 import { EntityFactory } from '../factories/EntityFactory.js';
+import { weapons } from '../factories/Weapons.js';
+import { bosses } from '../factories/Bosses.js';
+import { GAME_CONFIG } from '../utils/GameConstants.js';
 
 // ECS Systems
 import { MovementSystem } from '../systems/ecs/MovementSystem.js';
+import { HealthSystem } from '../systems/ecs/HealthSystem.js';
+import { RespawnSystem } from '../systems/ecs/RespawnSystem.js';
+import { PowerUpSystem } from '../systems/ecs/PowerUpSystem.js';
 import { PlayerInputSystem } from '../systems/ecs/PlayerInputSystem.js';
+import { PlayerWeaponSystem } from '../systems/ecs/PlayerWeaponSystem.js';
 import { EnemyAISystem } from '../systems/ecs/EnemyAISystem.js';
+import { EnemyWeaponSystem } from '../systems/ecs/EnemyWeaponSystem.js';
 import { ProjectileSystem } from '../systems/ecs/ProjectileSystem.js';
 import { BoundarySystem } from '../systems/ecs/BoundarySystem.js';
 import { CollisionSystem as ECSCollisionSystem } from '../systems/ecs/CollisionSystem.js';
+import { ScannerSystem } from '../systems/ecs/ScannerSystem.js';
+import { BossSystem } from '../systems/ecs/BossSystem.js';
 import { ECSRenderingSystem } from '../systems/ecs/RenderingSystem.js';
 
 // Components
-import { Transform, Velocity, PlayerController, Energy, Health, Score, Player, Enemy, Bullet } from '../components/CoreComponents.js';
+import { Transform, Velocity, Sprite, Collider, PlayerController, Weapon, Energy, Health, Lives, Score, Scanner, Boss, Player, Enemy, Bullet, EnemyBullet, Rock, PowerUp } from '../components/CoreComponents.js';
 
 export class ECSGameManager {
-    constructor(canvas, ctx, inputSystem) {
+    constructor(canvas, ctx, inputSystem, events = new EventBus(), random = new Random()) {
         this.canvas = canvas;
         this.ctx = ctx;
         this.inputSystem = inputSystem;
+        this.events = events;
+        this.random = random;
         
-        // Create ECS world
-        this.world = new World();
-        this.entityFactory = new EntityFactory(this.world);
+        // Create ECS world (sharing the game's event bus and random streams)
+        this.world = new World(events);
+        this.world.profiler = new Profiler();
+        this.entityFactory = new EntityFactory(this.world, random);
         
         // Initialize systems
         this.initializeSystems();
@@ -30,8 +46,18 @@ export class ECSGameManager {
         // Game entities
         this.playerEntity = null;
         this.bullets = new Set();
+        this.enemyBullets = new Set();
         this.enemies = new Set();
         this.rocks = new Set();
+        this.pickups = new Set();
+        this.bosses = new Set();
+        
+        // Drop tracked entities as the world destroys them
+        this.world.onDestroy(entity => this.handleEntityDestroyed(entity));
+        
+        // Award points and energy for kills reported by the collision system
+        this.events.on(GAME_EVENTS.TARGET_DESTROYED, (event) => this.handleTargetDestroyed(event));
+        this.events.on(GAME_EVENTS.PLAYER_HIT, (event) => this.handlePlayerHit(event));
         
         // Performance tracking
         this.stats = {
@@ -46,12 +72,21 @@ export class ECSGameManager {
     
     initializeSystems() {
         // Add systems in priority order
+        this.world.addSystem(new PowerUpSystem());
         this.world.addSystem(new PlayerInputSystem(this.inputSystem));
+        this.world.addSystem(new ScannerSystem(this.inputSystem));
+        this.world.addSystem(new PlayerWeaponSystem(this.inputSystem,
+            (x, y, direction, owner, shot) => this.createBullet(x, y, direction, owner, shot)));
         this.world.addSystem(new EnemyAISystem(this.canvas.width, this.canvas.height));
+        this.world.addSystem(new EnemyWeaponSystem(this.canvas.width, this.canvas.height,
+            (x, y, direction, speed, damage) => this.createEnemyBullet(x, y, direction, speed, damage)));
         this.world.addSystem(new ProjectileSystem(this.canvas.width, this.canvas.height));
         this.world.addSystem(new MovementSystem());
+        this.world.addSystem(new BossSystem((x, y, archetypeId) => this.createEnemy(x, y, archetypeId), this.random));
         this.world.addSystem(new BoundarySystem(this.canvas.width, this.canvas.height));
+        this.world.addSystem(new HealthSystem());
         this.world.addSystem(new ECSCollisionSystem());
+        this.world.addSystem(new RespawnSystem());
         this.world.addSystem(new ECSRenderingSystem(this.ctx));
         
         console.log('✅ ECS Systems initialized');
@@ -62,63 +97,143 @@ export class ECSGameManager {
         return this.playerEntity;
     }
     
-    createEnemy(x, y, type = 'enemy') {
-        const enemy = this.entityFactory.createEnemy(x, y, type);
+    createEnemy(x, y, archetypeId = 'enemy') {
+        const enemy = this.entityFactory.createEnemy(x, y, archetypeId);
         this.enemies.add(enemy);
         return enemy;
     }
     
-    createBullet(x, y, direction = { x: 0, y: -1 }) {
-        const bullet = this.entityFactory.createBullet(x, y, direction);
+    // Bring a boss in from above the middle of the screen
+    createBoss(bossId) {
+        const definition = bosses.get(bossId);
+        const x = (this.canvas.width - definition.size.width) / 2;
+        const boss = this.entityFactory.createBoss(x, -definition.size.height, bossId);
+        this.bosses.add(boss);
+        
+        this.events.emit(GAME_EVENTS.BOSS_ENCOUNTER, { boss, bossId, name: definition.name });
+        return boss;
+    }
+    
+    createBullet(x, y, direction = { x: 0, y: -1 }, owner = this.playerEntity, shot = {}) {
+        const bullet = this.entityFactory.createBullet(x, y, direction, owner, shot);
         this.bullets.add(bullet);
         return bullet;
     }
     
+    createEnemyBullet(x, y, direction, speed, damage) {
+        const bullet = this.entityFactory.createEnemyBullet(x, y, direction, speed, damage);
+        this.enemyBullets.add(bullet);
+        return bullet;
+    }
+    
     createRock(x, y, size = 'medium') {
         const rock = this.entityFactory.createRock(x, y, size);
         this.rocks.add(rock);
         return rock;
     }
     
+    createPowerUp(x, y, powerUpId) {
+        const pickup = this.entityFactory.createPowerUp(x, y, powerUpId);
+        this.pickups.add(pickup);
+        return pickup;
+    }
+    
     update(deltaTime) {
         const startTime = performance.now();
         
-        // Update ECS world
-        this.world.update(deltaTime);
+        // Enemies, their fire and rocks slow down while the player has a time-slow running
+        this.setHostileTimeScale(this.getPlayerEffectValue('timeSlow', 'timeScale', 1));
         
-        // Clean up destroyed entities
-        this.cleanupDestroyedEntities();
+        // Update ECS world (destroyed entities are flushed at the end of the frame)
+        this.world.update(deltaTime);
         
         // Update stats
         this.updateStats(performance.now() - startTime);
     }
     
-    render() {
-        // Rendering is handled by ECSRenderingSystem
-        // This method exists for compatibility with existing game loop
+    render(alpha = 1) {
+        // Entity drawing is handled by ECSRenderingSystem, blended between the last two updates
+        this.world.render(alpha);
     }
     
-    cleanupDestroyedEntities() {
-        // Remove destroyed bullets
-        for (const bullet of this.bullets) {
-            if (!bullet.active) {
-                this.bullets.delete(bullet);
-            }
+    handleEntityDestroyed(entity) {
+        this.bullets.delete(entity);
+        this.enemyBullets.delete(entity);
+        this.enemies.delete(entity);
+        this.rocks.delete(entity);
+        this.pickups.delete(entity);
+        this.bosses.delete(entity);
+        
+        if (entity === this.playerEntity) {
+            this.playerEntity = null;
+        }
+    }
+    
+    handleTargetDestroyed({ target, by, kind, points, x, y }) {
+        if (!by || !target) return;
+        
+        // Ships and rocks may leave a pickup behind (loot tables in src/data/powerups.json)
+        const pickup = this.entityFactory.createLoot(target, x, y);
+        if (pickup) {
+            this.pickups.add(pickup);
         }
         
-        // Remove destroyed enemies
-        for (const enemy of this.enemies) {
-            if (!enemy.active) {
-                this.enemies.delete(enemy);
+        const score = by.getComponent(Score);
+        if (score) {
+            score.value += points;
+            if (by === this.playerEntity) {
+                this.events.emit(GAME_EVENTS.SCORE_CHANGED, { score: score.value });
             }
         }
         
-        // Remove destroyed rocks
-        for (const rock of this.rocks) {
-            if (!rock.active) {
-                this.rocks.delete(rock);
+        // Destroying an enemy restores energy; shooting a spy costs some
+        const energy = by.getComponent(Energy);
+        if (energy) {
+            if (kind === 'enemy') {
+                energy.restore(GAME_CONFIG.ENERGY_RESTORE_AMOUNT);
+            } else if (kind === 'spy') {
+                energy.drain(Math.abs(GAME_CONFIG.SPY_ALIEN_PENALTY / 10));
             }
         }
+        
+        if (kind === 'boss') {
+            this.handleBossDefeated(target, by, x, y);
+        }
+    }
+    
+    // Beating a boss restores energy, repairs the hull and drops its reward pickups; the game moves on to
+    // the reward's environment when it hears BOSS_DEFEATED
+    handleBossDefeated(target, by, x, y) {
+        const { bossId } = target.getComponent(Boss);
+        const { name, reward } = bosses.get(bossId);
+        
+        const energy = by.getComponent(Energy);
+        if (energy) {
+            energy.restore(reward.energy);
+        }
+        const health = by.getComponent(Health);
+        if (health && !health.isDead()) {
+            health.heal(reward.hull);
+        }
+        
+        // Pickups fan out from where the boss went down
+        reward.powerUps.forEach((powerUpId, index) => {
+            const offset = (index - (reward.powerUps.length - 1) / 2) * GAME_CONFIG.POWER_UP_SIZE * 2;
+            this.createPowerUp(x + offset - GAME_CONFIG.POWER_UP_SIZE / 2, y - GAME_CONFIG.POWER_UP_SIZE / 2, powerUpId);
+        });
+        
+        this.events.emit(GAME_EVENTS.BOSS_DEFEATED, { boss: target, bossId, name, environment: reward.environment, x, y });
+    }
+    
+    handlePlayerHit({ player, damage }) {
+        const energy = player ? player.getComponent(Energy) : null;
+        if (energy) {
+            energy.drain(damage);
+        }
+    }
+    
+    onEntityDestroyed(listener) {
+        return this.world.onDestroy(listener);
     }
     
     updateStats(updateTime) {
@@ -181,6 +296,91 @@ export class ECSGameManager {
         return true;
     }
     
+    // Hull points left, the maximum and whether the post-hit invulnerability window is running
+    getPlayerHull() {
+        const health = this.playerEntity ? this.playerEntity.getComponent(Health) : null;
+        if (!health) return { current: 0, max: 0, invulnerable: false };
+        
+        return { current: health.currentHealth, max: health.maxHealth, invulnerable: health.invulnerable };
+    }
+    
+    // Selected weapon with its number key, heat (0-100) and charge (0-1)
+    getPlayerWeapon() {
+        const weapon = this.playerEntity ? this.playerEntity.getComponent(Weapon) : null;
+        if (!weapon) return null;
+        
+        const definition = weapons.get(weapon.weaponId);
+        return {
+            id: definition.id,
+            name: definition.name,
+            slot: weapons.getSlotNumber(definition.id),
+            color: definition.projectile.color,
+            heat: weapon.heat,
+            overheated: weapon.overheated,
+            charge: weapon.charge
+        };
+    }
+    
+    // Ships left (including the one in play), the starting number and whether the next one is on its way
+    getPlayerLives() {
+        const lives = this.playerEntity ? this.playerEntity.getComponent(Lives) : null;
+        if (!lives) return { remaining: 0, max: 0, respawning: false };
+        
+        return { remaining: lives.remaining, max: lives.max, respawning: lives.isRespawning() };
+    }
+    
+    isPlayerRespawning() {
+        const lives = this.playerEntity ? this.playerEntity.getComponent(Lives) : null;
+        return lives ? lives.isRespawning() : false;
+    }
+    
+    // Out of ships: the hull is gone and no lives are left to respawn with
+    isPlayerDestroyed() {
+        const health = this.playerEntity ? this.playerEntity.getComponent(Health) : null;
+        const lives = this.playerEntity ? this.playerEntity.getComponent(Lives) : null;
+        if (!health) return true;
+        
+        return health.isDead() && (!lives || lives.remaining === 0);
+    }
+    
+    // A running power-up effect ({ ...definition, remaining }) or null
+    getPlayerEffect(effect) {
+        const controller = this.playerEntity ? this.playerEntity.getComponent(PlayerController) : null;
+        return controller ? controller.getEffect(effect) : null;
+    }
+    
+    getPlayerEffectValue(effect, parameter, fallback) {
+        const state = this.getPlayerEffect(effect);
+        return state ? state[parameter] : fallback;
+    }
+    
+    // Running power-ups for the HUD, in the order they were picked up
+    getPlayerEffects() {
+        const controller = this.playerEntity ? this.playerEntity.getComponent(PlayerController) : null;
+        if (!controller) return [];
+        
+        return Object.values(controller.effects).map(({ effect, name, symbol, color, remaining, duration }) => (
+            { effect, name, symbol, color, remaining, duration }
+        ));
+    }
+    
+    // Pass the time-slow scale to every system that moves or arms hostiles
+    setHostileTimeScale(scale) {
+        this.world.systemsArray.forEach(system => {
+            if ('hostileTimeScale' in system) {
+                system.hostileTimeScale = scale;
+            }
+        });
+    }
+    
+    // Enemy fire rate follows the run's difficulty level
+    setDifficulty(level) {
+        const weaponSystem = this.world.getSystem(EnemyWeaponSystem);
+        if (weaponSystem) {
+            weaponSystem.setDifficulty(level);
+        }
+    }
+    
     isPlayerEnergyCritical() {
         if (this.playerEntity) {
             const energy = this.playerEntity.getComponent(Energy);
@@ -189,6 +389,38 @@ export class ECSGameManager {
         return true;
     }
     
+    isPlayerScanning() {
+        if (this.playerEntity) {
+            const scanner = this.playerEntity.getComponent(Scanner);
+            return scanner ? scanner.isActive : false;
+        }
+        return false;
+    }
+    
+    getPlayerScanLockProgress() {
+        if (this.playerEntity) {
+            const scanner = this.playerEntity.getComponent(Scanner);
+            return scanner ? scanner.lockProgress : 0;
+        }
+        return 0;
+    }
+    
+    upgradePlayerScanner() {
+        if (this.playerEntity) {
+            const scanner = this.playerEntity.getComponent(Scanner);
+            return scanner ? scanner.upgrade() : false;
+        }
+        return false;
+    }
+    
+    getPlayerScannerStatus() {
+        if (this.playerEntity) {
+            const scanner = this.playerEntity.getComponent(Scanner);
+            return scanner ? scanner.getStatus() : 'READY';
+        }
+        return 'READY';
+    }
+    
     triggerPlayerMuzzleFlash() {
         if (this.playerEntity) {
             const controller = this.playerEntity.getComponent(PlayerController);
@@ -212,6 +444,7 @@ export class ECSGameManager {
             const score = this.playerEntity.getComponent(Score);
             if (score) {
                 score.value += points;
+                this.events.emit(GAME_EVENTS.SCORE_CHANGED, { score: score.value });
             }
         }
     }
@@ -220,6 +453,10 @@ export class ECSGameManager {
         return this.bullets.size;
     }
     
+    getEnemyBulletCount() {
+        return this.enemyBullets.size;
+    }
+    
     getEnemyCount() {
         return this.enemies.size;
     }
@@ -228,66 +465,194 @@ export class ECSGameManager {
         return this.rocks.size;
     }
     
+    getPowerUpCount() {
+        return this.pickups.size;
+    }
+    
+    isBossActive() {
+        return this.getActiveBoss() !== null;
+    }
+    
+    getActiveBoss() {
+        for (const boss of this.bosses) {
+            if (boss.active) return boss;
+        }
+        return null;
+    }
+    
+    // The boss in play for the HUD: health, phase thresholds (fractions of its health) and shield state; null without one
+    getBossStatus() {
+        const entity = this.getActiveBoss();
+        if (!entity) return null;
+        
+        const boss = entity.getComponent(Boss);
+        const health = entity.getComponent(Health);
+        const { name, phases } = bosses.get(boss.bossId);
+        return {
+            name,
+            health: health.currentHealth,
+            maxHealth: health.maxHealth,
+            phase: boss.phase,
+            phaseName: phases[boss.phase].name,
+            phases: phases.length,
+            thresholds: phases.slice(1).map(phase => phase.health),
+            shielded: boss.shielded,
+            invulnerable: health.invulnerable
+        };
+    }
+    
     getActiveEnemies() {
         return Array.from(this.enemies).filter(enemy => enemy.active);
     }
     
     clearAllBullets() {
-        for (const bullet of this.bullets) {
+        for (const bullet of [...this.bullets, ...this.enemyBullets]) {
             bullet.destroy();
         }
         this.bullets.clear();
+        this.enemyBullets.clear();
     }
     
+    // Bosses go too; their hitboxes follow them out
     clearAllEnemies() {
-        for (const enemy of this.enemies) {
+        for (const enemy of [...this.enemies, ...this.bosses]) {
             enemy.destroy();
         }
         this.enemies.clear();
+        this.bosses.clear();
     }
     
     clearAll() {
         this.clearAllBullets();
         this.clearAllEnemies();
         
-        for (const rock of this.rocks) {
-            rock.destroy();
+        for (const entity of [...this.rocks, ...this.pickups]) {
+            entity.destroy();
         }
         this.rocks.clear();
+        this.pickups.clear();
         
         // Reset player
         if (this.playerEntity) {
             const energy = this.playerEntity.getComponent(Energy);
             const health = this.playerEntity.getComponent(Health);
+            const lives = this.playerEntity.getComponent(Lives);
             const score = this.playerEntity.getComponent(Score);
+            const scanner = this.playerEntity.getComponent(Scanner);
+            const controller = this.playerEntity.getComponent(PlayerController);
+            const weapon = this.playerEntity.getComponent(Weapon);
             
             if (energy) {
                 energy.currentEnergy = energy.maxEnergy;
             }
             if (health) {
                 health.currentHealth = health.maxHealth;
+                health.invulnerable = false;
+                health.invulnerabilityTimer = 0;
+            }
+            if (lives) {
+                lives.remaining = lives.max;
+                lives.respawnTimer = 0;
+                this.playerEntity.getComponent(Sprite).visible = true;
+                this.playerEntity.getComponent(Collider).enabled = true;
             }
             if (score) {
                 score.value = 0;
             }
+            if (scanner) {
+                scanner.isActive = false;
+                scanner.cooldownTimer = 0;
+                scanner.level = 1;
+            }
+            if (controller) {
+                controller.clearEffects();
+            }
+            if (weapon) {
+                weapon.select(GAME_CONFIG.PLAYER_START_WEAPON);
+                weapon.cooldown = 0;
+                weapon.heat = 0;
+                weapon.overheated = false;
+            }
         }
     }
     
+    // Switch the input the systems read (keyboard or a replay)
+    setInputSource(inputSystem) {
+        this.inputSystem = inputSystem;
+        this.world.systemsArray.forEach(system => {
+            if ('inputSystem' in system) {
+                system.inputSystem = inputSystem;
+            }
+        });
+    }
+    
     reset() {
         this.world.clear();
         this.bullets.clear();
+        this.enemyBullets.clear();
         this.enemies.clear();
         this.rocks.clear();
+        this.pickups.clear();
+        this.bosses.clear();
         this.playerEntity = null;
         
         // Reinitialize systems
         this.initializeSystems();
     }
     
+    // Snapshot of every entity, for save games
+    serialize() {
+        return {
+            world: this.world.serialize(),
+            player: this.playerEntity ? this.playerEntity.id : null
+        };
+    }
+    
+    // Replace the current world with a saved snapshot
+    deserialize(snapshot) {
+        this.reset();
+        
+        const entities = this.world.deserialize(snapshot.world);
+        entities.forEach(entity => {
+            if (entity.hasComponent(Bullet)) {
+                this.bullets.add(entity);
+            } else if (entity.hasComponent(EnemyBullet)) {
+                this.enemyBullets.add(entity);
+            } else if (entity.hasComponent(Boss)) {
+                this.bosses.add(entity);
+            } else if (entity.hasComponent(Enemy)) {
+                this.enemies.add(entity);
+            } else if (entity.hasComponent(Rock)) {
+                this.rocks.add(entity);
+            } else if (entity.hasComponent(PowerUp)) {
+                this.pickups.add(entity);
+            }
+        });
+        this.playerEntity = entities.get(snapshot.player) || null;
+    }
+    
     getStats() {
         return { ...this.stats };
     }
     
+    // Per-system timings (averages, p50/p95/p99, entity counts) and the frame-time graph
+    getProfile() {
+        return this.world.profiler ? this.world.profiler.getStats() : null;
+    }
+    
+    // Close the displayed frame in the profiler; returns the rolling frame time stats
+    endProfilerFrame() {
+        if (!this.world.profiler) return null;
+        
+        this.world.profiler.endFrame();
+        return this.world.profiler.getFrameStats();
+    }
+    
+    getCollisionStats() {
+        const collisionSystem = this.world.getSystem(ECSCollisionSystem);
+        return collisionSystem ? collisionSystem.getBroadphaseStats() : null;
+    }
+    
     // Debug methods
     getEntityCount() {
         return this.world.entities.size;
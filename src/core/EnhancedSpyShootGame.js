@@ -3,13 +3,28 @@
 
 import { ECSGameManager } from './ECSGameManager.js';
 import { GameStateManager } from './GameStateManager.js';
-import { GAME_CONFIG, KEYS } from '../utils/GameConstants.js';
+import { EventBus, GAME_EVENTS } from './EventBus.js';
+import { Random, RANDOM_STREAMS } from './Random.js';
+import { ReplayRecorder } from '../systems/ReplayRecorder.js';
+import { ReplayInputSystem } from '../systems/ReplayInputSystem.js';
+import { TimeTravelDebugger } from './TimeTravelDebugger.js';
+import { EntityInspector } from './EntityInspector.js';
+import { enemyArchetypes } from '../factories/EnemyArchetypes.js';
+import { bosses } from '../factories/Bosses.js';
+import { GAME_CONFIG, DEBUG_KEYS } from '../utils/GameConstants.js';
+
+// Save games: a paused run is kept in localStorage so it survives a page reload
+export const SAVE_VERSION = 1;
+export const SAVE_STORAGE_KEY = 'spyshoot_save';
 
 export class EnhancedSpyShootGame {
-    constructor(canvas, ctx, inputSystem, audioSystems) {
+    constructor(canvas, ctx, inputSystem, audioSystems, events = new EventBus(), random = new Random()) {
         this.canvas = canvas;
         this.ctx = ctx;
         this.inputSystem = inputSystem;
+        this.liveInput = inputSystem; // Keyboard input, restored after a replay
+        this.events = events;
+        this.random = random;
         
         // Audio systems (passed from main game)
         this.audioSystem = audioSystems.audioSystem;
@@ -19,11 +34,38 @@ export class EnhancedSpyShootGame {
         
         // Core systems
         this.gameState = new GameStateManager();
-        this.ecsManager = new ECSGameManager(canvas, ctx, inputSystem);
+        this.ecsManager = new ECSGameManager(canvas, ctx, inputSystem, events, random);
+        
+        // Beating a boss moves the run on to the environment it rewards
+        this.events.on(GAME_EVENTS.BOSS_DEFEATED, ({ environment }) => {
+            if (environment) {
+                this.gameState.set('currentEnvironment', environment);
+            }
+        });
+        
+        // Replays: every run is recorded; the last one can be watched, saved or exported
+        this.recorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.replayInput = null;
+        this.timeScale = 1;
+        this.runSaved = false;
+        this.savePending = false; // Save once the pausing tick's input is recorded
+        
+        // Rewindable history of recent ticks for debugging (toggled with F3)
+        this.timeTravel = new TimeTravelDebugger(this);
+        
+        // Click-to-inspect overlay with live component editing (toggled with F2)
+        this.inspector = new EntityInspector(this);
+        
+        // Tracks the critical-energy transition for energyCritical events
+        this.wasEnergyCritical = false;
+        this.lastEnergyWarning = 0;
+        this.energyWarningCooldown = 2000;
         
         // Game timing
         this.lastTime = 0;
-        this.deltaTime = 0;
+        this.lastSpawnTime = 0; // Game time of the last spawn
+        this.nextBoss = 0; // Index of the next boss encounter (see Bosses)
         
         // Performance tracking
         this.performanceStats = {
@@ -45,6 +87,11 @@ export class EnhancedSpyShootGame {
         // Set up game state listeners
         this.setupGameStateListeners();
         
+        // Pick up a run that was paused before the page was reloaded
+        if (this.loadGame()) {
+            console.log('📂 Restored saved run (press P to continue)');
+        }
+        
         console.log('✅ Enhanced SpyShoot Game ready');
     }
     
@@ -61,6 +108,11 @@ export class EnhancedSpyShootGame {
             
             if (newStatus === 'playing' && oldStatus !== 'paused') {
                 this.startNewGame();
+            } else if (newStatus === 'playing') {
+                // Resumed: the run is live again, so the pause save is stale
+                this.clearSavedGame();
+            } else if (newStatus === 'paused') {
+                this.savePending = true;
             } else if (newStatus === 'game_over') {
                 this.handleGameOver();
             }
@@ -68,17 +120,39 @@ export class EnhancedSpyShootGame {
     }
     
     startNewGame() {
-        // Clear all entities
-        this.ecsManager.clearAll();
+        // Reseed so the run can be reproduced from its seed (a replay reuses its recorded seed)
+        const seed = this.replayInput ? this.random.startRun(this.replayInput.replay.seed) : this.random.startRun();
+        this.gameState.set('seed', seed);
+        
+        // Start every run from a fresh world so replays match the recorded run
+        this.ecsManager.reset();
         
         // Recreate player
         this.initPlayer();
+        this.wasEnergyCritical = false;
+        this.lastSpawnTime = 0;
+        this.nextBoss = 0;
+        this.gameState.set('currentEnvironment', GAME_CONFIG.START_ENVIRONMENT);
+        this.timeTravel.reset();
+        
+        if (!this.replayInput) {
+            this.recorder.start(seed);
+            this.clearSavedGame();
+        }
         
         console.log('🎮 New ECS game started');
     }
     
     handleGameOver() {
-        // Handle game over logic
+        if (this.replayInput) {
+            this.stopReplay();
+        } else {
+            this.lastReplay = this.recorder.stop(this.ecsManager.getPlayerScore()) || this.lastReplay;
+            this.clearSavedGame();
+        }
+        
+        // Music and other subscribers react to the game over event
+        this.events.emit(GAME_EVENTS.GAME_OVER, { score: this.ecsManager.getPlayerScore() });
         console.log('💀 ECS game over');
     }
     
@@ -88,9 +162,43 @@ export class EnhancedSpyShootGame {
         // Update input system
         this.inputSystem.update();
         
+        // During a replay the keyboard still drives the debug tools (F2, [ ], clicks) and Escape
+        if (this.inputSystem !== this.liveInput) {
+            this.liveInput.update();
+        }
+        
+        // A replay that runs out of input, or is cancelled with Escape, ends like a game over
+        if (this.replayInput && (this.replayInput.isFinished() || this.liveInput.isKeyPressed('Escape'))) {
+            this.gameState.endGame();
+        }
+        
         // Handle input
         this.handleInput();
         
+        // Record the input this tick is simulated with
+        this.recorder.capture(this.inputSystem);
+        
+        if (this.savePending) {
+            this.savePending = false;
+            if (this.gameState.isPaused()) {
+                this.saveGame();
+            }
+        }
+        
+        this.updateSimulation(deltaTime, updateStartTime);
+        
+        // The inspector can advance a paused world one tick at a time
+        if (this.inspector.consumeStep() && this.gameState.isPaused()) {
+            this.simulateTick(deltaTime, updateStartTime);
+        }
+        
+        // Replays move on to the next recorded tick once this one has been simulated
+        if (this.replayInput) {
+            this.replayInput.advance();
+        }
+    }
+    
+    updateSimulation(deltaTime, updateStartTime) {
         const gameStatus = this.gameState.get('gameStatus');
         
         if (gameStatus === 'start_screen') {
@@ -101,6 +209,11 @@ export class EnhancedSpyShootGame {
         
         if (gameStatus !== 'playing') return;
         
+        this.simulateTick(deltaTime, updateStartTime);
+    }
+    
+    // One fixed step of the run itself
+    simulateTick(deltaTime, updateStartTime) {
         // Update game time and difficulty
         const newTime = this.gameState.get('timePlayed') + deltaTime;
         this.gameState.set('timePlayed', newTime);
@@ -111,23 +224,27 @@ export class EnhancedSpyShootGame {
             this.gameState.set('difficultyLevel', newDifficulty);
         }
         
-        // Update ECS world
+        // Update ECS world (the player fires from here too; enemy fire rate follows the difficulty)
+        this.ecsManager.setDifficulty(newDifficulty);
         this.ecsManager.update(deltaTime);
         
-        // Handle shooting
-        this.updateShooting(deltaTime);
-        
         // Spawn enemies and obstacles
         this.updateSpawning(deltaTime, newTime, newDifficulty);
         
-        // Check game over conditions
-        if (this.ecsManager.isPlayerEnergyEmpty()) {
+        // Announce critical energy
+        this.updateEnergyWarning();
+        
+        // Check game over conditions: out of energy or out of ships
+        if (this.ecsManager.isPlayerEnergyEmpty() || this.ecsManager.isPlayerDestroyed()) {
             this.gameState.endGame();
         }
         
         // Update game state with current stats
         this.updateGameState();
         
+        // Keep this tick for rewinding
+        this.timeTravel.record();
+        
         // Update performance stats
         this.performanceStats.updateTime = performance.now() - updateStartTime;
         this.performanceStats.entityCount = this.ecsManager.getEntityCount();
@@ -137,6 +254,9 @@ export class EnhancedSpyShootGame {
     handleInput() {
         const gameStatus = this.gameState.get('gameStatus');
         
+        this.handleTimeTravelInput(gameStatus);
+        this.handleInspectorInput(gameStatus);
+        
         if (gameStatus === 'start_screen') {
             // Check for start inputs
             const spacePressed = this.inputSystem.isKeyJustPressed('Space');
@@ -153,10 +273,16 @@ export class EnhancedSpyShootGame {
         }
         
         if (gameStatus !== 'playing') {
-            // Handle restart in game over state
-            if (this.inputSystem.isKeyJustPressed('KeyR') && gameStatus === 'game_over') {
+            // Resume from pause, or restart in game over state
+            if (this.inputSystem.isKeyJustPressed('KeyP') && gameStatus === 'paused') {
+                // Resuming without "resume from here" goes back to where the run was paused
+                this.timeTravel.returnToLive();
+                this.gameState.pauseGame();
+            } else if (this.inputSystem.isKeyJustPressed('KeyR') && gameStatus === 'game_over') {
                 console.log('Restarting enhanced game');
                 this.restartGame();
+            } else if (gameStatus === 'game_over') {
+                this.handleReplayInput();
             }
             return;
         }
@@ -172,64 +298,303 @@ export class EnhancedSpyShootGame {
         }
     }
     
-    updateShooting(deltaTime) {
-        const currentTime = Date.now();
-        const fireRate = 150; // milliseconds between shots
-        
-        // Check for shooting input
-        const spacePressed = this.inputSystem.isKeyPressed(KEYS.SPACE);
-        
-        if (spacePressed && currentTime - (this.lastShotTime || 0) >= fireRate) {
-            // Try to consume energy for shooting
-            if (this.ecsManager.consumePlayerEnergy(GAME_CONFIG.ENERGY_PER_SHOT)) {
-                const playerPos = this.ecsManager.getPlayerPosition();
-                
-                // Create bullet at player position
-                this.ecsManager.createBullet(
-                    playerPos.x + 15 - 2, // Center bullet on player
-                    playerPos.y,
-                    { x: 0, y: -1 } // Shoot upward
-                );
-                
-                this.lastShotTime = currentTime;
-                this.ecsManager.triggerPlayerMuzzleFlash();
-                
-                // Play enhanced laser sound effect
-                if (this.enhancedSoundEffects) {
-                    this.enhancedSoundEffects.playLaserSound({
-                        pitchVariation: 0.1
-                    });
-                }
-                
-                console.log('ECS bullet fired!');
-            } else {
-                console.log('Not enough energy to shoot');
-                
-                // Play error sound when out of energy
-                if (this.enhancedSoundEffects) {
-                    this.enhancedSoundEffects.playUIError();
-                }
+    // Time travel: F3 records history; while paused, comma/period step through it and Enter resumes from the shown frame
+    handleTimeTravelInput(gameStatus) {
+        // Replays only see recorded input, so the debugger stays out of them
+        if (this.replayInput) return;
+        
+        const input = this.liveInput;
+        if (input.isKeyJustPressed(DEBUG_KEYS.TIME_TRAVEL)) {
+            this.timeTravel.toggle();
+        }
+        
+        // Only a pause made with P is in the replay, so stepping waits for one
+        if (!this.timeTravel.enabled || gameStatus !== 'paused') return;
+        
+        if (input.isKeyJustPressed(DEBUG_KEYS.STEP_BACK)) {
+            this.timeTravel.step(-1);
+        }
+        if (input.isKeyJustPressed(DEBUG_KEYS.STEP_FORWARD)) {
+            this.timeTravel.step(1);
+        }
+        
+        if (input.isKeyJustPressed(DEBUG_KEYS.RESUME_HERE) && this.timeTravel.isScrubbing()) {
+            this.resumeFromHere();
+        }
+    }
+    
+    // Continue the run from the frame shown in the scrubber, discarding what came after it
+    resumeFromHere() {
+        const state = this.timeTravel.resumeFromHere();
+        if (!state) return;
+        
+        if (state.replayTicks !== null) {
+            this.recorder.truncate(state.replayTicks);
+        }
+        
+        this.gameState.pauseGame();
+        console.log('⏯️ Resumed from rewound frame');
+    }
+    
+    getTimeTravelStatus() {
+        return this.timeTravel.getStatus();
+    }
+    
+    // Entity inspector: F2 shows it, clicks select, [ ] pick a field, - = change it (Shift for 10x), N steps a paused world
+    handleInspectorInput(gameStatus) {
+        const input = this.liveInput;
+        if (input.isKeyJustPressed(DEBUG_KEYS.INSPECTOR)) {
+            this.inspector.toggle();
+        }
+        
+        if (!this.inspector.enabled) return;
+        
+        const click = input.getClick();
+        if (click) {
+            this.inspector.selectAt(click);
+        }
+        if (input.isKeyJustPressed(DEBUG_KEYS.PREVIOUS_FIELD)) {
+            this.inspector.selectField(-1);
+        }
+        if (input.isKeyJustPressed(DEBUG_KEYS.NEXT_FIELD)) {
+            this.inspector.selectField(1);
+        }
+        
+        // Edits and extra ticks aren't in the input, so replays can't show them and the recording is dropped
+        if (this.replayInput || (gameStatus !== 'playing' && gameStatus !== 'paused')) return;
+        
+        const coarse = input.isKeyPressed('ShiftLeft') || input.isKeyPressed('ShiftRight');
+        const direction = (input.isKeyJustPressed(DEBUG_KEYS.INCREASE_VALUE) ? 1 : 0) - (input.isKeyJustPressed(DEBUG_KEYS.DECREASE_VALUE) ? 1 : 0);
+        if (direction !== 0 && this.inspector.adjustField(direction, coarse) !== null) {
+            this.recorder.discard('an entity was edited in the inspector');
+        }
+        
+        // Stepping from a rewound frame would fork the history, so that goes through "resume from here"
+        if (input.isKeyJustPressed(DEBUG_KEYS.SINGLE_STEP) && gameStatus === 'paused' && !this.timeTravel.isScrubbing()) {
+            this.inspector.requestStep();
+            this.recorder.discard('the world was single-stepped in the inspector');
+        }
+    }
+    
+    getInspectorStatus() {
+        return this.inspector.getStatus();
+    }
+    
+    // Game over screen: 1-4 watch the last run at 0.5x/1x/2x/4x, S saves it, L loads the saved one, E exports it
+    handleReplayInput() {
+        const speeds = { Digit1: 0.5, Digit2: 1, Digit3: 2, Digit4: 4 };
+        
+        if (this.inputSystem.isKeyJustPressed('KeyL')) {
+            const saved = ReplayRecorder.load();
+            if (saved) {
+                this.lastReplay = saved;
+                console.log(`📂 Loaded replay (seed ${saved.seed}, score ${saved.score})`);
             }
         }
+        
+        if (!this.lastReplay) return;
+        
+        for (const [key, speed] of Object.entries(speeds)) {
+            if (this.inputSystem.isKeyJustPressed(key)) {
+                this.playReplay(this.lastReplay, speed);
+                return;
+            }
+        }
+        
+        if (this.inputSystem.isKeyJustPressed('KeyS')) {
+            ReplayRecorder.save(this.lastReplay);
+        }
+        if (this.inputSystem.isKeyJustPressed('KeyE')) {
+            ReplayRecorder.export(this.lastReplay);
+        }
+    }
+    
+    // Replay a recorded run: its input drives the game in place of the keyboard
+    playReplay(replay, speed = 1) {
+        this.replayInput = new ReplayInputSystem(replay);
+        this.setInputSource(this.replayInput);
+        this.timeScale = speed;
+        console.log(`▶️ Playing replay at ${speed}x`);
+        
+        this.gameState.startGame();
+    }
+    
+    stopReplay() {
+        this.replayInput = null;
+        this.timeScale = 1;
+        this.setInputSource(this.liveInput);
+        
+        // Drop keys pressed while watching so they don't act on the game over screen
+        this.liveInput.clearPresses();
+    }
+    
+    setInputSource(inputSystem) {
+        this.inputSystem = inputSystem;
+        this.ecsManager.setInputSource(inputSystem);
+    }
+    
+    isReplaying() {
+        return this.replayInput !== null;
+    }
+    
+    // Simulation speed multiplier (replays can run slower or faster than real time)
+    getTimeScale() {
+        return this.timeScale;
+    }
+    
+    // State of the run at the end of a tick: game state, entities, random streams and timers (plain data)
+    captureState() {
+        return {
+            gameState: this.gameState.getState(),
+            ecs: this.ecsManager.serialize(),
+            random: this.random.getState(),
+            lastSpawnTime: this.lastSpawnTime,
+            nextBoss: this.nextBoss,
+            wasEnergyCritical: this.wasEnergyCritical,
+            replayTicks: this.recorder.isRecording ? this.recorder.replay.ticks : null
+        };
+    }
+    
+    // Put the run back to a captured state (game status and UI toggles are left as they are)
+    restoreState(state) {
+        this.random.setState(state.random);
+        this.ecsManager.deserialize(state.ecs);
+        this.lastSpawnTime = state.lastSpawnTime;
+        this.nextBoss = state.nextBoss || 0;
+        this.wasEnergyCritical = state.wasEnergyCritical;
+        
+        const { gameStatus, showDebugPanel, showHUD, ...gameState } = state.gameState;
+        this.gameState.update(gameState);
+    }
+    
+    // Save game snapshot: the run state plus the replay being recorded
+    createSnapshot() {
+        return {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            ...this.captureState(),
+            replay: this.recorder.isRecording ? this.recorder.getReplay() : null
+        };
+    }
+    
+    restoreSnapshot(snapshot) {
+        if (this.replayInput) {
+            this.stopReplay();
+        }
+        
+        this.timeTravel.reset();
+        this.restoreState(snapshot);
+        
+        // Keep recording the restored run so its replay stays complete
+        if (snapshot.replay) {
+            this.recorder.resume(snapshot.replay);
+        } else {
+            this.recorder.stop();
+        }
+        
+        // Restored runs start paused so the player can get ready
+        this.gameState.set('gameStatus', 'paused');
+    }
+    
+    // Save the current run to localStorage; returns the snapshot, or null when there is no run to save
+    saveGame() {
+        const gameStatus = this.gameState.get('gameStatus');
+        // Replays and rewound frames aren't the run as it stands
+        if ((gameStatus !== 'playing' && gameStatus !== 'paused') || this.replayInput || this.timeTravel.isScrubbing()) return null;
+        
+        const snapshot = this.createSnapshot();
+        if (typeof localStorage === 'undefined') return snapshot;
+        
+        try {
+            localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(snapshot));
+            this.runSaved = true;
+            console.log('💾 Game saved');
+        } catch (error) {
+            console.warn('⚠️ Failed to save game:', error);
+        }
+        return snapshot;
+    }
+    
+    // Restore a run (the localStorage save unless a snapshot is given); returns whether one was loaded
+    loadGame(snapshot = this.readSavedGame()) {
+        if (!snapshot || snapshot.version !== SAVE_VERSION) return false;
+        
+        this.restoreSnapshot(snapshot);
+        this.runSaved = true;
+        this.savePending = false; // Already on disk
+        console.log(`📂 Game loaded (seed ${snapshot.random.seed})`);
+        return true;
+    }
+    
+    readSavedGame() {
+        if (typeof localStorage === 'undefined') return null;
+        
+        try {
+            const saved = localStorage.getItem(SAVE_STORAGE_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.warn('⚠️ Failed to read saved game:', error);
+            return null;
+        }
+    }
+    
+    clearSavedGame() {
+        this.runSaved = false;
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.removeItem(SAVE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Failed to clear saved game:', error);
+        }
+    }
+    
+    updateEnergyWarning() {
+        const currentTime = Date.now();
+        const isCritical = this.ecsManager.isPlayerEnergyCritical();
+        
+        // Emit when energy becomes critical and periodically while it stays critical
+        if (isCritical && (!this.wasEnergyCritical || currentTime - this.lastEnergyWarning > this.energyWarningCooldown)) {
+            this.events.emit(GAME_EVENTS.ENERGY_CRITICAL, { percentage: this.ecsManager.getPlayerEnergyPercentage() });
+            this.lastEnergyWarning = currentTime;
+        }
+        
+        this.wasEnergyCritical = isCritical;
     }
     
     updateSpawning(deltaTime, timePlayed, difficulty) {
+        // The regular waves hold off while a boss is in play
+        if (this.ecsManager.isBossActive()) {
+            this.lastSpawnTime = timePlayed;
+            return;
+        }
+        
+        // The next boss turns up once the run reaches its difficulty (and environment, if it names one)
+        const boss = bosses.getEncounter(this.nextBoss);
+        const environment = this.gameState.get('currentEnvironment');
+        if (boss && difficulty >= boss.trigger.difficulty && (!boss.trigger.environment || boss.trigger.environment === environment)) {
+            this.ecsManager.createBoss(boss.id);
+            this.nextBoss++;
+            this.lastSpawnTime = timePlayed;
+            return;
+        }
+        
         // Simple spawning logic - can be enhanced later
         const spawnRate = Math.max(2000 - (difficulty * 200), 500); // Faster spawning with difficulty
         
-        if (!this.lastSpawnTime) this.lastSpawnTime = 0;
+        const rng = this.random.stream(RANDOM_STREAMS.SPAWNING);
         
         if (timePlayed - this.lastSpawnTime > spawnRate) {
-            // Spawn enemy
-            const x = Math.random() * (this.canvas.width - 25);
-            const type = Math.random() < 0.1 ? 'spy' : 'enemy'; // 10% chance for spy
+            // Spawn an enemy, weighted by the archetypes unlocked at this difficulty
+            const archetype = enemyArchetypes.pickSpawn(rng, difficulty);
+            const x = rng.range(0, this.canvas.width - archetype.size.width);
             
-            this.ecsManager.createEnemy(x, -30, type);
+            this.ecsManager.createEnemy(x, -archetype.size.height, archetype.id);
             this.lastSpawnTime = timePlayed;
             
             // Occasionally spawn rocks
-            if (Math.random() < 0.3) {
-                const rockX = Math.random() * (this.canvas.width - 30);
+            if (rng.chance(0.3)) {
+                const rockX = rng.range(0, this.canvas.width - 30);
                 this.ecsManager.createRock(rockX, -40, 'medium');
             }
         }
@@ -242,15 +607,16 @@ export class EnhancedSpyShootGame {
             rocks: this.ecsManager.getRockCount(),
             energy: this.ecsManager.getPlayerEnergy(),
             score: this.ecsManager.getPlayerScore(),
-            scannerActive: false, // TODO: Implement scanner in ECS
-            scannerStatus: 'READY'
+            scannerActive: this.ecsManager.isPlayerScanning(),
+            scannerStatus: this.ecsManager.getPlayerScannerStatus(),
+            scannerLockProgress: this.ecsManager.getPlayerScanLockProgress()
         });
         
         // Update performance metrics
-        this.gameState.updatePerformance(this.performanceStats.fps, this.deltaTime);
+        this.gameState.updatePerformance(this.performanceStats.fps, this.performanceStats.frameTime);
     }
     
-    render() {
+    render(alpha = 1) {
         const renderStartTime = performance.now();
         
         // Clear canvas
@@ -260,20 +626,25 @@ export class EnhancedSpyShootGame {
         // Draw starfield background
         this.drawStarfield();
         
-        // ECS handles entity rendering
-        this.ecsManager.render();
-        
-        // Draw UI based on game state
         const gameStatus = this.gameState.get('gameStatus');
         
+        // ECS handles entity rendering (no blending while the simulation is stopped)
+        this.ecsManager.render(gameStatus === 'playing' ? alpha : 1);
+        
+        // Draw UI based on game state
         if (gameStatus === 'start_screen') {
             this.drawStartScreen();
-        } else if (gameStatus === 'paused') {
+        } else if (gameStatus === 'paused' && !this.timeTravel.isScrubbing() && !this.inspector.enabled) {
+            // The debug overlays need the world visible, so they replace the pause overlay
             this.drawPauseScreen();
         } else if (gameStatus === 'game_over') {
             this.drawGameOverScreen();
         }
         
+        if (this.replayInput) {
+            this.drawReplayOverlay();
+        }
+        
         // Draw energy warnings
         if (this.ecsManager.isPlayerEnergyCritical()) {
             this.drawEnergyWarnings();
@@ -281,8 +652,13 @@ export class EnhancedSpyShootGame {
         
         // Update performance stats
         this.performanceStats.renderTime = performance.now() - renderStartTime;
-        this.performanceStats.frameTime = this.deltaTime;
-        this.performanceStats.fps = Math.round(1000 / (this.deltaTime || 16));
+        
+        // Frame rate from the profiler's rolling window rather than a single frame's delta
+        const frameStats = this.ecsManager.endProfilerFrame();
+        if (frameStats) {
+            this.performanceStats.frameTime = frameStats.average;
+            this.performanceStats.fps = frameStats.fps;
+        }
     }
     
     drawStarfield() {
@@ -332,6 +708,12 @@ export class EnhancedSpyShootGame {
         this.ctx.font = '16px Orbitron, monospace';
         this.ctx.fillText('Press P to continue', this.canvas.width / 2, this.canvas.height / 2 + 40);
         
+        if (this.runSaved) {
+            this.ctx.fillStyle = '#006600';
+            this.ctx.font = '14px Orbitron, monospace';
+            this.ctx.fillText('Run saved - it will be here after a reload', this.canvas.width / 2, this.canvas.height / 2 + 70);
+        }
+        
         this.ctx.textAlign = 'left';
     }
     
@@ -352,6 +734,33 @@ export class EnhancedSpyShootGame {
         this.ctx.font = '20px Orbitron, monospace';
         this.ctx.fillText('Press R to Restart', this.canvas.width / 2, this.canvas.height / 2 + 60);
         
+        this.ctx.fillStyle = '#00aa00';
+        this.ctx.font = '14px Orbitron, monospace';
+        if (this.lastReplay) {
+            this.ctx.fillText('Watch replay: 1 (0.5x)  2 (1x)  3 (2x)  4 (4x)', this.canvas.width / 2, this.canvas.height / 2 + 100);
+            this.ctx.fillText('S Save  ·  L Load saved  ·  E Export JSON', this.canvas.width / 2, this.canvas.height / 2 + 122);
+        } else {
+            this.ctx.fillText('L Load saved replay', this.canvas.width / 2, this.canvas.height / 2 + 100);
+        }
+        
+        this.ctx.textAlign = 'left';
+    }
+    
+    drawReplayOverlay() {
+        const progress = this.replayInput.getProgress();
+        
+        this.ctx.fillStyle = '#ffff00';
+        this.ctx.font = 'bold 16px Orbitron, monospace';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`▶ REPLAY ${this.timeScale}x`, this.canvas.width - 20, this.canvas.height - 36);
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 0, 0.3)';
+        this.ctx.fillRect(this.canvas.width - 160, this.canvas.height - 28, 140, 4);
+        this.ctx.fillStyle = '#ffff00';
+        this.ctx.fillRect(this.canvas.width - 160, this.canvas.height - 28, 140 * progress, 4);
+        
+        this.ctx.font = '12px Orbitron, monospace';
+        this.ctx.fillText('Esc to stop', this.canvas.width - 20, this.canvas.height - 10);
         this.ctx.textAlign = 'left';
     }
     
@@ -377,6 +786,7 @@ export class EnhancedSpyShootGame {
         this.gameState.restartGame();
         this.ecsManager.reset();
         this.initPlayer();
+        this.wasEnergyCritical = false;
     }
     
     // Compatibility methods for existing systems
@@ -398,6 +808,7 @@ export class EnhancedSpyShootGame {
             entities: this.ecsManager.getEntityCount(),
             systems: this.ecsManager.getSystemCount(),
             performance: this.performanceStats,
+            profile: this.ecsManager.getProfile(),
             gameState: this.gameState.getState()
         };
     }
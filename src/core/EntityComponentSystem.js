@@ -1,11 +1,14 @@
 // Entity-Component-System (ECS) Architecture
 // Modern game engine pattern for better performance and modularity
+import { EventBus, GAME_EVENTS } from './EventBus.js';
 
 export class Entity {
     constructor(id = null) {
         this.id = id || Entity.generateId();
         this.components = new Map();
         this.active = true;
+        this.world = null; // World to notify about component changes
+        this.archetype = null; // Set by the World while the entity is live
     }
     
     static generateId() {
@@ -13,8 +16,15 @@ export class Entity {
     }
     
     addComponent(component) {
-        this.components.set(component.constructor.name, component);
+        const name = component.constructor.name;
+        const isNewType = !this.components.has(name);
+        this.components.set(name, component);
         component.entity = this;
+        
+        // Let the World re-evaluate system membership
+        if (this.world) {
+            this.world.onComponentAdded(this, name, component, isNewType);
+        }
         return this;
     }
     
@@ -34,11 +44,21 @@ export class Entity {
         if (component) {
             component.entity = null;
             this.components.delete(name);
+            
+            if (this.world) {
+                this.world.onComponentRemoved(this, name);
+            }
         }
         return this;
     }
     
     destroy() {
+        // Entities owned by a World leave it (and every system) at the end of the frame
+        if (this.world) {
+            this.world.destroyEntity(this);
+            return;
+        }
+        
         this.active = false;
         this.components.clear();
     }
@@ -50,15 +70,64 @@ export class Component {
     }
 }
 
+// Serializers keyed by component class; unregistered components are left out of snapshots
+export class ComponentRegistry {
+    constructor() {
+        this.serializers = new Map();
+        this.types = new Map(); // Class name -> class, for restoring
+    }
+    
+    // toJSON(component, context) returns plain data; fromJSON(data, context) returns a component.
+    // By default every field except the entity back-reference is copied.
+    register(componentType, { toJSON = ComponentRegistry.copyFields, fromJSON = null } = {}) {
+        this.serializers.set(componentType, {
+            toJSON,
+            fromJSON: fromJSON || (data => Object.assign(new componentType(), data))
+        });
+        this.types.set(componentType.name, componentType);
+        return this;
+    }
+    
+    has(componentType) {
+        return this.serializers.has(componentType);
+    }
+    
+    static copyFields(component) {
+        const { entity, ...data } = component;
+        return data;
+    }
+    
+    serialize(component, context) {
+        const serializer = this.serializers.get(component.constructor);
+        if (!serializer) return null;
+        
+        return { type: component.constructor.name, data: serializer.toJSON(component, context) };
+    }
+    
+    deserialize(entry, context) {
+        const componentType = this.types.get(entry.type);
+        if (!componentType) {
+            console.warn(`⚠️ Unknown component type in snapshot: ${entry.type}`);
+            return null;
+        }
+        
+        return this.serializers.get(componentType).fromJSON(entry.data, context);
+    }
+}
+
+// Shared registry; CoreComponents registers the game's components
+export const componentRegistry = new ComponentRegistry();
+
 export class System {
     constructor() {
         this.entities = new Set();
         this.requiredComponents = [];
         this.priority = 0;
+        this.world = null; // Set by World.addSystem; gives access to world.events
     }
     
     addEntity(entity) {
-        if (this.matchesRequirements(entity)) {
+        if (!this.entities.has(entity) && this.matchesRequirements(entity)) {
             this.entities.add(entity);
             this.onEntityAdded(entity);
         }
@@ -72,6 +141,11 @@ export class System {
     }
     
     matchesRequirements(entity) {
+        // Entities inside a World already know which queries their archetype satisfies
+        if (this.query && entity.archetype) {
+            return entity.archetype.queries.has(this.query);
+        }
+        
         return this.requiredComponents.every(componentType => 
             entity.hasComponent(componentType)
         );
@@ -81,6 +155,10 @@ export class System {
         // Override in subclasses
     }
     
+    render(alpha) {
+        // Override in subclasses that draw; alpha is how far to blend from the previous simulation step
+    }
+    
     onEntityAdded(entity) {
         // Override in subclasses
     }
@@ -90,34 +168,311 @@ export class System {
     }
 }
 
+export class Archetype {
+    constructor(componentNames) {
+        this.componentNames = new Set(componentNames);
+        this.key = Archetype.keyFor(componentNames);
+        
+        // Dense entity list with a sparse index for O(1) swap-removal
+        this.entities = [];
+        this.indices = new Map();
+        
+        // One column per component type, aligned with this.entities
+        this.columns = new Map();
+        this.componentNames.forEach(name => this.columns.set(name, []));
+        
+        // Queries whose requirements this archetype satisfies
+        this.queries = new Set();
+    }
+    
+    static keyFor(componentNames) {
+        return Array.from(componentNames).sort().join('|');
+    }
+    
+    get size() {
+        return this.entities.length;
+    }
+    
+    has(entity) {
+        return this.indices.has(entity);
+    }
+    
+    add(entity) {
+        this.indices.set(entity, this.entities.length);
+        this.entities.push(entity);
+        this.columns.forEach((column, name) => column.push(entity.components.get(name)));
+    }
+    
+    remove(entity) {
+        const index = this.indices.get(entity);
+        if (index === undefined) return;
+        
+        // Swap the last row into the hole to keep storage dense
+        const lastIndex = this.entities.length - 1;
+        const lastEntity = this.entities[lastIndex];
+        
+        this.entities[index] = lastEntity;
+        this.entities.pop();
+        this.columns.forEach(column => {
+            column[index] = column[lastIndex];
+            column.pop();
+        });
+        
+        this.indices.set(lastEntity, index);
+        this.indices.delete(entity);
+    }
+    
+    setComponent(entity, name, component) {
+        const index = this.indices.get(entity);
+        if (index !== undefined && this.columns.has(name)) {
+            this.columns.get(name)[index] = component;
+        }
+    }
+}
+
+export class Query {
+    constructor(componentNames) {
+        this.componentNames = componentNames;
+        this.archetypes = [];
+        this.entities = new Set();
+        this.listeners = new Set();
+    }
+    
+    get size() {
+        return this.entities.size;
+    }
+    
+    matches(archetype) {
+        return this.componentNames.every(name => archetype.componentNames.has(name));
+    }
+    
+    addArchetype(archetype) {
+        this.archetypes.push(archetype);
+        archetype.queries.add(this);
+    }
+    
+    add(entity) {
+        if (this.entities.has(entity)) return;
+        
+        this.entities.add(entity);
+        this.listeners.forEach(listener => listener.addEntity(entity));
+    }
+    
+    remove(entity) {
+        if (!this.entities.has(entity)) return;
+        
+        this.entities.delete(entity);
+        this.listeners.forEach(listener => listener.removeEntity(entity));
+    }
+    
+    // Listeners expose addEntity/removeEntity, which is exactly the System interface
+    subscribe(listener) {
+        this.listeners.add(listener);
+    }
+    
+    unsubscribe(listener) {
+        this.listeners.delete(listener);
+    }
+    
+    // Iterate matching entities with their components in query order, straight from archetype columns
+    forEach(callback) {
+        for (const archetype of this.archetypes) {
+            const columns = this.componentNames.map(name => archetype.columns.get(name));
+            const entities = archetype.entities;
+            
+            for (let i = entities.length - 1; i >= 0; i--) {
+                callback(entities[i], ...columns.map(column => column[i]));
+            }
+        }
+    }
+    
+    toArray() {
+        return Array.from(this.entities);
+    }
+}
+
 export class World {
-    constructor() {
+    constructor(events = new EventBus()) {
         this.entities = new Map();
         this.systems = new Map();
         this.systemsArray = [];
         this.toAdd = [];
         this.toRemove = [];
+        this.events = events;
+        
+        // Sequential ids keep runs reproducible (no clock or Math.random involved)
+        this.nextEntityId = 1;
+        
+        // Archetype storage and cached queries
+        this.archetypes = new Map();
+        this.queries = new Map();
+        
+        // Optional Profiler that times every system
+        this.profiler = null;
     }
     
     createEntity() {
-        const entity = new Entity();
+        const entity = new Entity(this.generateEntityId());
+        entity.world = this;
         this.toAdd.push(entity);
         return entity;
     }
     
+    generateEntityId() {
+        return `entity_${this.nextEntityId++}`;
+    }
+    
+    // Keep generated ids clear of ones restored from a save
+    reserveEntityId(id) {
+        const match = /^entity_(\d+)$/.exec(id);
+        if (match) {
+            this.nextEntityId = Math.max(this.nextEntityId, Number(match[1]) + 1);
+        }
+    }
+    
     addEntity(entity) {
         this.entities.set(entity.id, entity);
+        entity.world = this;
         
-        // Add to matching systems
-        this.systemsArray.forEach(system => {
-            system.addEntity(entity);
+        // Matching queries (and the systems they feed) pick the entity up from its archetype
+        this.moveToArchetype(entity, this.getArchetype(entity.components.keys()));
+    }
+    
+    addComponent(entity, component) {
+        entity.world = this;
+        return entity.addComponent(component);
+    }
+    
+    removeComponent(entity, componentType) {
+        entity.world = this;
+        return entity.removeComponent(componentType);
+    }
+    
+    onComponentAdded(entity, name, component, isNewType) {
+        // Pending entities get their archetype when they are added
+        if (!entity.archetype) return;
+        
+        if (isNewType) {
+            this.moveToArchetype(entity, this.getArchetype([...entity.archetype.componentNames, name]));
+        } else {
+            entity.archetype.setComponent(entity, name, component);
+        }
+    }
+    
+    onComponentRemoved(entity, name) {
+        if (!entity.archetype) return;
+        
+        const names = [...entity.archetype.componentNames].filter(existing => existing !== name);
+        this.moveToArchetype(entity, this.getArchetype(names));
+    }
+    
+    getArchetype(componentNames) {
+        const names = Array.from(componentNames);
+        const key = Archetype.keyFor(names);
+        let archetype = this.archetypes.get(key);
+        
+        if (!archetype) {
+            archetype = new Archetype(names);
+            this.archetypes.set(key, archetype);
+            
+            // Existing queries start watching the new archetype if it satisfies them
+            this.queries.forEach(query => {
+                if (query.matches(archetype)) {
+                    query.addArchetype(archetype);
+                }
+            });
+        }
+        
+        return archetype;
+    }
+    
+    moveToArchetype(entity, archetype) {
+        const previous = entity.archetype;
+        if (previous === archetype) return;
+        
+        if (previous) {
+            previous.remove(entity);
+        }
+        archetype.add(entity);
+        entity.archetype = archetype;
+        
+        // Only queries whose match result changed are touched
+        if (previous) {
+            previous.queries.forEach(query => {
+                if (!archetype.queries.has(query)) {
+                    query.remove(entity);
+                }
+            });
+        }
+        archetype.queries.forEach(query => {
+            if (!previous || !previous.queries.has(query)) {
+                query.add(entity);
+            }
         });
     }
     
+    detachEntity(entity) {
+        const archetype = entity.archetype;
+        if (!archetype) return;
+        
+        archetype.remove(entity);
+        entity.archetype = null;
+        archetype.queries.forEach(query => query.remove(entity));
+    }
+    
+    query(...componentTypes) {
+        const names = componentTypes.map(type => typeof type === 'string' ? type : type.name);
+        const key = Archetype.keyFor(names); // Same query whatever order the types are listed in
+        let query = this.queries.get(key);
+        
+        if (!query) {
+            query = new Query(names);
+            this.queries.set(key, query);
+            
+            this.archetypes.forEach(archetype => {
+                if (query.matches(archetype)) {
+                    query.addArchetype(archetype);
+                    archetype.entities.forEach(entity => query.add(entity));
+                }
+            });
+        }
+        
+        return query;
+    }
+    
     removeEntity(entityId) {
-        const entity = this.entities.get(entityId);
+        const entity = this.entities.get(entityId) || this.toAdd.find(pending => pending.id === entityId);
         if (entity) {
-            this.toRemove.push(entity);
+            this.destroyEntity(entity);
+        }
+    }
+    
+    destroyEntity(entity) {
+        if (!entity.active) return;
+        
+        // Deactivate now so systems can skip it; components stay readable until the flush
+        entity.active = false;
+        this.toRemove.push(entity);
+    }
+    
+    onDestroy(listener) {
+        return this.events.on(GAME_EVENTS.ENTITY_DESTROYED, ({ entity }) => listener(entity));
+    }
+    
+    flushRemovals() {
+        // Destroy listeners may destroy further entities, so drain until empty
+        while (this.toRemove.length > 0) {
+            const pending = this.toRemove.splice(0);
+            
+            pending.forEach(entity => {
+                this.detachEntity(entity);
+                this.entities.delete(entity.id);
+                
+                this.events.emit(GAME_EVENTS.ENTITY_DESTROYED, { entity });
+                
+                entity.world = null;
+                entity.destroy();
+            });
         }
     }
     
@@ -127,16 +482,17 @@ export class World {
     
     addSystem(system) {
         const name = system.constructor.name;
+        system.world = this;
         this.systems.set(name, system);
         this.systemsArray.push(system);
         
         // Sort by priority
         this.systemsArray.sort((a, b) => a.priority - b.priority);
         
-        // Add existing entities to new system
-        this.entities.forEach(entity => {
-            system.addEntity(entity);
-        });
+        // Feed the system from a persistent query, including entities that already exist
+        system.query = this.query(...system.requiredComponents);
+        system.query.subscribe(system);
+        system.query.entities.forEach(entity => system.addEntity(entity));
         
         return system;
     }
@@ -147,39 +503,136 @@ export class World {
     }
     
     update(deltaTime) {
-        // Process pending additions
-        this.toAdd.forEach(entity => this.addEntity(entity));
+        // Process pending additions (skipping entities destroyed before they spawned)
+        this.toAdd.forEach(entity => {
+            if (entity.active) {
+                this.addEntity(entity);
+            }
+        });
         this.toAdd.length = 0;
         
-        // Process pending removals
-        this.toRemove.forEach(entity => {
-            this.systemsArray.forEach(system => system.removeEntity(entity));
-            this.entities.delete(entity.id);
-            entity.destroy();
-        });
-        this.toRemove.length = 0;
+        // Process removals requested between frames
+        this.flushRemovals();
         
         // Update all systems
         this.systemsArray.forEach(system => {
+            if (!this.profiler) {
+                system.update(deltaTime);
+                return;
+            }
+            
+            const startTime = performance.now();
             system.update(deltaTime);
+            this.profiler.record(system.constructor.name, performance.now() - startTime, system.entities.size);
         });
+        
+        // Entities destroyed during this frame leave all systems now
+        this.flushRemovals();
     }
     
-    getEntitiesWith(...componentTypes) {
-        const result = [];
+    // Draw the current state; runs once per displayed frame, independently of the fixed-rate updates
+    render(alpha = 1) {
+        this.systemsArray.forEach(system => {
+            // Only systems that draw show up as render sections
+            if (!this.profiler || system.render === System.prototype.render) {
+                system.render(alpha);
+                return;
+            }
+            
+            const startTime = performance.now();
+            system.render(alpha);
+            this.profiler.record(`${system.constructor.name}.render`, performance.now() - startTime, system.entities.size);
+        });
+    }
+    
+    // Plain-data snapshot of every live entity (including ones still waiting to be added)
+    serialize(registry = componentRegistry) {
+        const context = {
+            getId: entity => (entity && entity.active ? entity.id : null)
+        };
+        
+        const describe = (entity, pending) => ({
+            id: entity.id,
+            pending,
+            components: Array.from(entity.components.values())
+                .map(component => registry.serialize(component, context))
+                .filter(Boolean)
+        });
+        
+        const entities = [];
         this.entities.forEach(entity => {
-            if (componentTypes.every(type => entity.hasComponent(type))) {
-                result.push(entity);
+            if (entity.active) entities.push(describe(entity, false));
+        });
+        this.toAdd.forEach(entity => {
+            if (entity.active) entities.push(describe(entity, true));
+        });
+        
+        return { entities, nextEntityId: this.nextEntityId };
+    }
+    
+    // Recreate the entities in a snapshot; returns them by id
+    deserialize(snapshot, registry = componentRegistry) {
+        const restored = new Map();
+        snapshot.entities.forEach(data => {
+            this.reserveEntityId(data.id);
+            restored.set(data.id, new Entity(data.id));
+        });
+        // Carry on numbering where the saved run was, past ids that have since been destroyed
+        this.nextEntityId = Math.max(this.nextEntityId, snapshot.nextEntityId || 0);
+        
+        // Entity references (e.g. a bullet's owner) resolve once every entity exists
+        const context = {
+            getEntity: id => restored.get(id) || this.entities.get(id) || null
+        };
+        
+        snapshot.entities.forEach(data => {
+            const entity = restored.get(data.id);
+            entity.world = this;
+            data.components.forEach(entry => {
+                const component = registry.deserialize(entry, context);
+                if (component) {
+                    entity.addComponent(component);
+                }
+            });
+            
+            if (data.pending) {
+                this.toAdd.push(entity);
+            } else {
+                this.addEntity(entity);
             }
         });
-        return result;
+        
+        return restored;
+    }
+    
+    // One-off lookup: uses a cached query when a system already keeps one, otherwise scans the archetypes without caching
+    getEntitiesWith(...componentTypes) {
+        const names = componentTypes.map(type => typeof type === 'string' ? type : type.name);
+        const cached = this.queries.get(Archetype.keyFor(names));
+        if (cached) return cached.toArray();
+        
+        const entities = [];
+        this.archetypes.forEach(archetype => {
+            if (names.every(name => archetype.componentNames.has(name))) {
+                entities.push(...archetype.entities);
+            }
+        });
+        return entities;
     }
     
     clear() {
+        this.entities.forEach(entity => {
+            entity.archetype = null;
+        });
         this.entities.clear();
+        this.archetypes.clear();
+        this.queries.clear();
         this.systems.clear();
         this.systemsArray.length = 0;
         this.toAdd.length = 0;
         this.toRemove.length = 0;
+        
+        // Number from 1 again, so every run (and its replay) hands out the same ids
+        this.nextEntityId = 1;
     }
 }
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Entity Inspector - Click an entity to see every component on it and nudge numeric fields live
+// Also lays out collider boxes (coloured by collision layer) and velocity vectors for the overlay
+import { ENTITY_TAGS } from './TimeTravelDebugger.js';
+
+// Overlay colour per collision layer (see EntityFactory)
+export const LAYER_COLORS = {
+    1: '#00ff00', // Player
+    2: '#ff3333', // Enemies
+    4: '#aaaaaa', // Rocks
+    8: '#ffff66' // Bullets
+};
+
+// Velocity vectors show where an entity will be this many 60 FPS frames from now
+const VELOCITY_SCALE = 10;
+
+export class EntityInspector {
+    constructor(game) {
+        this.game = game;
+        this.enabled = false;
+        this.selectedId = null;
+        this.fieldIndex = 0; // Index into the selected entity's editable fields
+        this.stepPending = false;
+    }
+    
+    toggle() {
+        this.enabled = !this.enabled;
+        this.stepPending = false;
+        console.log(`🔍 Entity inspector ${this.enabled ? 'on' : 'off'}`);
+        return this.enabled;
+    }
+    
+    getWorld() {
+        return this.game.getECSManager().world;
+    }
+    
+    // Select the smallest entity under a canvas point (or clear the selection)
+    selectAt(point) {
+        let best = null;
+        let bestArea = Infinity;
+        
+        this.getWorld().getEntitiesWith('Transform').forEach(entity => {
+            const bounds = this.getBounds(entity);
+            if (!bounds) return;
+            
+            const inside = point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+                point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+            const area = bounds.width * bounds.height;
+            if (inside && area < bestArea) {
+                best = entity;
+                bestArea = area;
+            }
+        });
+        
+        this.selectedId = best ? best.id : null;
+        this.fieldIndex = 0;
+        return best;
+    }
+    
+    // The selected entity while it is still alive (ids survive time travel restores)
+    getSelected() {
+        if (this.selectedId === null) return null;
+        
+        const entity = this.getWorld().getEntity(this.selectedId);
+        return entity && entity.active ? entity : null;
+    }
+    
+    // Collider box, or the sprite's size for entities that can't collide
+    getBounds(entity) {
+        const transform = entity.getComponent('Transform');
+        const collider = entity.getComponent('Collider');
+        if (collider) {
+            return { x: transform.x + collider.offsetX, y: transform.y + collider.offsetY, width: collider.width, height: collider.height };
+        }
+        
+        const sprite = entity.getComponent('Sprite');
+        return sprite ? { x: transform.x, y: transform.y, width: sprite.width, height: sprite.height } : null;
+    }
+    
+    // Every numeric field of the selected entity, in component order
+    getEditableFields(entity = this.getSelected()) {
+        if (!entity) return [];
+        
+        const fields = [];
+        entity.components.forEach((component, type) => {
+            Object.keys(component).forEach(field => {
+                if (this.isEditable(component, field)) {
+                    fields.push({ type, field });
+                }
+            });
+        });
+        return fields;
+    }
+    
+    isEditable(component, field) {
+        return field !== 'entity' && typeof component[field] === 'number' && Number.isFinite(component[field]);
+    }
+    
+    selectField(direction) {
+        const count = this.getEditableFields().length;
+        if (count === 0) return;
+        
+        this.fieldIndex = (this.fieldIndex + direction + count) % count;
+    }
+    
+    // Nudge the selected field by one step (ten with coarse); returns the new value
+    adjustField(direction, coarse = false) {
+        const entity = this.getSelected();
+        const target = this.getEditableFields(entity)[this.fieldIndex];
+        if (!target) return null;
+        
+        const component = entity.getComponent(target.type);
+        const value = component[target.field];
+        const step = this.getStepSize(value) * (coarse ? 10 : 1);
+        
+        // toPrecision drops the float noise that repeated steps would pile up
+        component[target.field] = Number((value + direction * step).toPrecision(12));
+        console.log(`🔧 ${entity.id} ${target.type}.${target.field} = ${component[target.field]}`);
+        return component[target.field];
+    }
+    
+    // One step changes the second significant digit, so 60 moves by 1 and 0.003 by 0.0001
+    getStepSize(value) {
+        if (value === 0) return 1;
+        return Math.pow(10, Math.floor(Math.log10(Math.abs(value))) - 1);
+    }
+    
+    // Ask for one simulation tick while the game is paused (run by the game after input is handled)
+    requestStep() {
+        this.stepPending = true;
+    }
+    
+    consumeStep() {
+        const pending = this.stepPending;
+        this.stepPending = false;
+        return pending;
+    }
+    
+    getLabel(entity) {
+        const tag = ENTITY_TAGS.find(name => entity.hasComponent(name));
+        return tag ? `${tag} ${entity.id}` : entity.id;
+    }
+    
+    // Read-only text for a field value
+    formatValue(value) {
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+        if (value instanceof Map || value instanceof Set) return `${value.constructor.name}(${value.size})`;
+        if (Array.isArray(value)) return `[${value.length}]`;
+        if (value && typeof value === 'object') return value.id !== undefined ? value.id : '{…}';
+        return String(value);
+    }
+    
+    // Components of the selected entity as display rows; the field being edited is flagged
+    describeSelected(entity) {
+        const target = this.getEditableFields(entity)[this.fieldIndex];
+        const components = [];
+        
+        entity.components.forEach((component, type) => {
+            const fields = Object.keys(component)
+                .filter(field => field !== 'entity')
+                .map(field => ({
+                    name: field,
+                    value: this.formatValue(component[field]),
+                    editable: this.isEditable(component, field),
+                    active: !!target && target.type === type && target.field === field
+                }));
+            components.push({ type, fields });
+        });
+        
+        return { id: entity.id, label: this.getLabel(entity), components };
+    }
+    
+    // Everything the overlay draws
+    getStatus() {
+        if (!this.enabled) return { enabled: false };
+        
+        const colliders = [];
+        const vectors = [];
+        
+        this.getWorld().getEntitiesWith('Transform').forEach(entity => {
+            const bounds = this.getBounds(entity);
+            if (!bounds) return;
+            
+            const collider = entity.getComponent('Collider');
+            colliders.push({
+                ...bounds,
+                color: collider ? LAYER_COLORS[collider.collisionLayer] || '#ffffff' : '#555555',
+                selected: entity.id === this.selectedId
+            });
+            
+            const velocity = entity.getComponent('Velocity');
+            if (velocity && (velocity.x !== 0 || velocity.y !== 0)) {
+                const x = bounds.x + bounds.width / 2;
+                const y = bounds.y + bounds.height / 2;
+                vectors.push({ x, y, toX: x + velocity.x * VELOCITY_SCALE, toY: y + velocity.y * VELOCITY_SCALE });
+            }
+        });
+        
+        const selected = this.getSelected();
+        
+        return {
+            enabled: true,
+            paused: this.game.getGameState().isPaused(),
+            selected: selected ? this.describeSelected(selected) : null,
+            colliders,
+            vectors
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+// EventBus - Typed publish/subscribe channel for ECS systems and game-level subscribers
+// Event types are declared with their payload fields so typos fail loudly instead of going unheard
+
+export const GAME_EVENTS = {
+    COLLISION: 'collision',
+    ENTITY_DESTROYED: 'entityDestroyed',
+    TARGET_DESTROYED: 'targetDestroyed',
+    TARGET_DAMAGED: 'targetDamaged',
+    PLAYER_HIT: 'playerHit',
+    PLAYER_DAMAGED: 'playerDamaged',
+    PLAYER_LIFE_LOST: 'playerLifeLost',
+    PLAYER_RESPAWNED: 'playerRespawned',
+    POWER_UP_COLLECTED: 'powerUpCollected',
+    POWER_UP_EXPIRED: 'powerUpExpired',
+    SHOT_FIRED: 'shotFired',
+    SHOT_BLOCKED: 'shotBlocked',
+    WEAPON_SWITCHED: 'weaponSwitched',
+    WEAPON_OVERHEATED: 'weaponOverheated',
+    BOSS_ENCOUNTER: 'bossEncounter',
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',
+    BOSS_DEFEATED: 'bossDefeated',
+    SCAN_STARTED: 'scanStarted',
+    SCAN_STOPPED: 'scanStopped',
+    ENERGY_CRITICAL: 'energyCritical',
+    SCORE_CHANGED: 'scoreChanged',
+    GAME_STARTED: 'gameStarted',
+    GAME_OVER: 'gameOver'
+};
+
+// Required payload fields for each event type
+const EVENT_SCHEMAS = {
+    [GAME_EVENTS.COLLISION]: ['entityA', 'entityB'],
+    [GAME_EVENTS.ENTITY_DESTROYED]: ['entity'],
+    [GAME_EVENTS.TARGET_DESTROYED]: ['kind', 'x', 'y', 'points'],
+    [GAME_EVENTS.TARGET_DAMAGED]: ['kind', 'x', 'y'],
+    [GAME_EVENTS.PLAYER_HIT]: ['kind', 'damage'],
+    [GAME_EVENTS.PLAYER_DAMAGED]: ['kind', 'damage', 'health'],
+    [GAME_EVENTS.PLAYER_LIFE_LOST]: ['lives', 'x', 'y'],
+    [GAME_EVENTS.PLAYER_RESPAWNED]: ['lives'],
+    [GAME_EVENTS.POWER_UP_COLLECTED]: ['powerUp', 'x', 'y'],
+    [GAME_EVENTS.POWER_UP_EXPIRED]: ['powerUp'],
+    [GAME_EVENTS.SHOT_FIRED]: ['x', 'y'],
+    [GAME_EVENTS.SHOT_BLOCKED]: ['reason'],
+    [GAME_EVENTS.WEAPON_SWITCHED]: ['weapon'],
+    [GAME_EVENTS.WEAPON_OVERHEATED]: ['weapon'],
+    [GAME_EVENTS.BOSS_ENCOUNTER]: ['bossId', 'name'],
+    [GAME_EVENTS.BOSS_PHASE_CHANGED]: ['bossId', 'phase'],
+    [GAME_EVENTS.BOSS_DEFEATED]: ['bossId', 'name', 'x', 'y'],
+    [GAME_EVENTS.SCAN_STARTED]: [],
+    [GAME_EVENTS.SCAN_STOPPED]: [],
+    [GAME_EVENTS.ENERGY_CRITICAL]: ['percentage'],
+    [GAME_EVENTS.SCORE_CHANGED]: ['score'],
+    [GAME_EVENTS.GAME_STARTED]: [],
+    [GAME_EVENTS.GAME_OVER]: ['score']
+};
+
+export class EventBus {
+    constructor() {
+        this.schemas = new Map(Object.entries(EVENT_SCHEMAS));
+        this.handlers = new Map();
+    }
+    
+    /**
+     * Declare a new event type and its required payload fields
+     */
+    define(type, fields = []) {
+        this.schemas.set(type, fields);
+    }
+    
+    /**
+     * Check whether an event type has been declared
+     */
+    isDefined(type) {
+        return this.schemas.has(type);
+    }
+    
+    /**
+     * Subscribe to an event type; returns an unsubscribe function
+     */
+    on(type, handler) {
+        this.assertDefined(type);
+        
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        
+        return () => this.off(type, handler);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event type only
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+    
+    /**
+     * Remove a subscription
+     */
+    off(type, handler) {
+        if (this.handlers.has(type)) {
+            this.handlers.get(type).delete(handler);
+        }
+    }
+    
+    /**
+     * Publish an event to every subscriber of its type
+     */
+    emit(type, payload = {}) {
+        this.assertDefined(type);
+        
+        const missing = this.schemas.get(type).filter(field => !(field in payload));
+        if (missing.length > 0) {
+            console.warn(`⚠️ Event '${type}' is missing payload fields: ${missing.join(', ')}`);
+        }
+        
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+        
+        // Copy so handlers can unsubscribe while being notified
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in '${type}' event handler:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Remove all subscriptions
+     */
+    clear() {
+        this.handlers.clear();
+    }
+    
+    assertDefined(type) {
+        if (!this.schemas.has(type)) {
+            throw new Error(`Unknown event type '${type}'`);
+        }
+    }
+}
\ No newline at end of file
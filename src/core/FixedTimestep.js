@@ -0,0 +1,33 @@
+// FixedTimestep - Turns variable-length display frames into whole, fixed-length simulation steps
+// Time left over carries into the next frame; the fraction of a step left over is the render interpolation alpha
+import { GAME_CONFIG } from '../utils/GameConstants.js';
+
+export class FixedTimestep {
+    constructor(stepRate = GAME_CONFIG.SIMULATION_RATE, maxFrameTime = GAME_CONFIG.MAX_FRAME_TIME) {
+        this.stepTime = 1000 / stepRate;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Bank a frame's elapsed time and run step(stepTime) for every whole step it pays for; returns the alpha.
+     * Frames are capped so a stalled tab doesn't trigger a burst of catch-up steps; timeScale runs the simulation slower or faster
+     */
+    advance(elapsed, step, timeScale = 1) {
+        this.accumulator += Math.min(elapsed, this.maxFrameTime) * timeScale;
+        
+        while (this.accumulator >= this.stepTime) {
+            step(this.stepTime);
+            this.accumulator -= this.stepTime;
+        }
+        
+        return this.accumulator / this.stepTime;
+    }
+    
+    /**
+     * Drop any banked time
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
\ No newline at end of file
@@ -8,6 +8,7 @@ export class GameStateManager {
             gameStatus: 'start_screen', // 'start_screen', 'playing', 'paused', 'game_over'
             timePlayed: 0,
             difficultyLevel: 1,
+            seed: null, // Random seed of the current run (for bug reports and replays)
             
             // UI state
             showDebugPanel: true,
@@ -26,6 +27,7 @@ export class GameStateManager {
             // Systems state
             scannerActive: false,
             scannerStatus: 'READY',
+            scannerLockProgress: 0,
             
             // Environment
             currentEnvironment: null,
@@ -180,7 +182,8 @@ export class GameStateManager {
             enemies: 0,
             rocks: 0,
             scannerActive: false,
-            scannerStatus: 'READY'
+            scannerStatus: 'READY',
+            scannerLockProgress: 0
         });
         
         console.log('🔄 Game restarted');
@@ -197,7 +200,8 @@ export class GameStateManager {
             energy: stats.energy || this.state.energy,
             score: stats.score || this.state.score,
             scannerActive: stats.scannerActive || false,
-            scannerStatus: stats.scannerStatus || 'READY'
+            scannerStatus: stats.scannerStatus || 'READY',
+            scannerLockProgress: stats.scannerLockProgress || 0
         });
     }
     
@@ -268,6 +272,7 @@ export class GameStateManager {
             energyCritical: this.state.energy < 10,
             scannerStatus: this.state.scannerStatus,
             scannerActive: this.state.scannerActive,
+            scannerLockProgress: this.state.scannerLockProgress,
             
             // Stats panel data
             bullets: this.state.bullets,
@@ -0,0 +1,130 @@
+// Headless Runner - Runs EnhancedSpyShootGame in Node without a DOM, canvas or audio
+// Steps the simulation at the fixed timestep as fast as possible for balance checks and regression tests
+import { EnhancedSpyShootGame } from './EnhancedSpyShootGame.js';
+import { EventBus } from './EventBus.js';
+import { Random } from './Random.js';
+import { ScriptedInputSystem } from '../systems/ScriptedInputSystem.js';
+import { GAME_CONFIG } from '../utils/GameConstants.js';
+
+// Headless runs have no audio; sound reacts to game events, so nothing else is needed
+export const NULL_AUDIO_SYSTEMS = Object.freeze({
+    audioSystem: null,
+    soundEffectManager: null,
+    enhancedSoundEffects: null,
+    advancedAudioManager: null
+});
+
+// A 2D context that accepts every drawing call and draws nothing
+export function createNullContext(canvas = null) {
+    const gradient = { addColorStop() {} };
+    const methods = {
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createPattern: () => null,
+        measureText: () => ({ width: 0 }),
+        isPointInPath: () => false
+    };
+    const noop = () => {};
+    
+    const state = {
+        canvas,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        lineWidth: 1,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        shadowColor: 'rgba(0, 0, 0, 0)',
+        shadowBlur: 0
+    };
+    
+    return new Proxy(state, {
+        get: (target, property) => {
+            if (property in target) return target[property];
+            return methods[property] || noop;
+        },
+        set: (target, property, value) => {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+export class HeadlessRunner {
+    constructor({ seed = 0, input = new ScriptedInputSystem(), width = GAME_CONFIG.CANVAS_WIDTH, height = GAME_CONFIG.CANVAS_HEIGHT, render = false } = {}) {
+        this.canvas = { width, height };
+        this.ctx = createNullContext(this.canvas);
+        this.input = input;
+        this.events = new EventBus();
+        this.random = new Random(seed);
+        this.renderFrames = render; // Also exercise the render path every tick
+        
+        this.game = new EnhancedSpyShootGame(this.canvas, this.ctx, input, NULL_AUDIO_SYSTEMS, this.events, this.random);
+        this.game.init();
+        
+        this.fixedTimeStep = 1000 / GAME_CONFIG.SIMULATION_RATE;
+        this.ticks = 0;
+    }
+    
+    // Begin a run (skips the start screen)
+    start() {
+        this.game.startGame();
+        return this;
+    }
+    
+    // Advance the simulation by a number of fixed ticks
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.game.update(this.fixedTimeStep);
+            if (this.renderFrames) {
+                this.game.render(1);
+            }
+            this.ticks++;
+        }
+        return this;
+    }
+    
+    // Step until the predicate holds or maxTicks pass; returns whether the predicate was met
+    runUntil(predicate, maxTicks = GAME_CONFIG.SIMULATION_RATE * 600) {
+        const limit = this.ticks + maxTicks;
+        while (this.ticks < limit && !predicate(this)) {
+            this.step();
+        }
+        return predicate(this);
+    }
+    
+    // Play until game over (or maxTicks); returns the run summary
+    runUntilGameOver(maxTicks) {
+        this.runUntil(runner => runner.isGameOver(), maxTicks);
+        return this.getSummary();
+    }
+    
+    isGameOver() {
+        return this.game.getGameState().get('gameStatus') === 'game_over';
+    }
+    
+    getSummary() {
+        const ecsManager = this.game.getECSManager();
+        const gameState = this.game.getGameState();
+        
+        return {
+            seed: gameState.get('seed'),
+            ticks: this.ticks,
+            timePlayed: gameState.get('timePlayed'),
+            score: ecsManager.getPlayerScore(),
+            energy: ecsManager.getPlayerEnergy(),
+            entities: ecsManager.getEntityCount(),
+            gameOver: this.isGameOver()
+        };
+    }
+    
+    getECSManager() {
+        return this.game.getECSManager();
+    }
+    
+    getGameState() {
+        return this.game.getGameState();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,139 @@
+// Profiler - Per-system timings with rolling averages and percentiles
+// The World reports every System.update/render; each displayed frame's totals are kept for the stacked frame-time graph
+import { GAME_CONFIG } from '../utils/GameConstants.js';
+
+// Fixed-size window of the most recent samples
+export class RollingWindow {
+    constructor(capacity) {
+        this.values = new Float64Array(capacity);
+        this.next = 0;
+        this.count = 0;
+        this.sum = 0;
+    }
+    
+    push(value) {
+        if (this.count === this.values.length) {
+            this.sum -= this.values[this.next];
+        } else {
+            this.count++;
+        }
+        
+        this.values[this.next] = value;
+        this.sum += value;
+        this.next = (this.next + 1) % this.values.length;
+    }
+    
+    average() {
+        return this.count > 0 ? this.sum / this.count : 0;
+    }
+    
+    // Nearest-rank percentiles (e.g. [50, 95, 99]) from one sorted copy
+    percentiles(ranks) {
+        if (this.count === 0) return ranks.map(() => 0);
+        
+        const sorted = this.values.slice(0, this.count).sort();
+        return ranks.map(rank => sorted[Math.min(this.count - 1, Math.ceil(rank / 100 * this.count) - 1)]);
+    }
+    
+    clear() {
+        this.next = 0;
+        this.count = 0;
+        this.sum = 0;
+    }
+}
+
+export class Profiler {
+    constructor(windowSize = GAME_CONFIG.PROFILER_WINDOW, graphFrames = GAME_CONFIG.PROFILER_GRAPH_FRAMES) {
+        this.windowSize = windowSize;
+        this.enabled = true;
+        this.sections = new Map(); // name -> { samples, entities, frameTime }
+        this.frameTimes = new RollingWindow(windowSize); // Real time between displayed frames
+        this.lastFrameEnd = null;
+        
+        // Per-frame breakdown for the graph: one { name: ms } object per displayed frame
+        this.graphFrames = graphFrames;
+        this.frames = [];
+    }
+    
+    // Record one update (or render) of a section, with the number of entities it processed
+    record(name, milliseconds, entities = 0) {
+        if (!this.enabled) return;
+        
+        let section = this.sections.get(name);
+        if (!section) {
+            section = { samples: new RollingWindow(this.windowSize), entities: 0, frameTime: 0 };
+            this.sections.set(name, section);
+        }
+        
+        section.samples.push(milliseconds);
+        section.entities = entities;
+        section.frameTime += milliseconds; // Several updates can run per displayed frame
+    }
+    
+    // Close the displayed frame: store its breakdown and the time since the previous frame
+    endFrame(now = performance.now()) {
+        if (!this.enabled) return;
+        
+        if (this.lastFrameEnd !== null) {
+            this.frameTimes.push(now - this.lastFrameEnd);
+        }
+        this.lastFrameEnd = now;
+        
+        const frame = {};
+        this.sections.forEach((section, name) => {
+            frame[name] = section.frameTime;
+            section.frameTime = 0;
+        });
+        
+        this.frames.push(frame);
+        if (this.frames.length > this.graphFrames) {
+            this.frames.shift();
+        }
+    }
+    
+    // Rolling frame rate from the average frame time (not a single frame's delta)
+    getFrameStats() {
+        const average = this.frameTimes.average();
+        const [p50, p95, p99] = this.frameTimes.percentiles([50, 95, 99]);
+        
+        return {
+            average,
+            p50,
+            p95,
+            p99,
+            fps: average > 0 ? Math.round(1000 / average) : 0
+        };
+    }
+    
+    // Per-section averages, percentiles and entity counts, most expensive first
+    getSectionStats() {
+        const stats = [];
+        
+        this.sections.forEach((section, name) => {
+            const [p50, p95, p99] = section.samples.percentiles([50, 95, 99]);
+            stats.push({ name, average: section.samples.average(), p50, p95, p99, entities: section.entities });
+        });
+        
+        return stats.sort((a, b) => b.average - a.average);
+    }
+    
+    // Section names in a stable order (first recorded first) and the recent frame breakdowns
+    getGraph() {
+        return { sections: [...this.sections.keys()], frames: this.frames };
+    }
+    
+    getStats() {
+        return {
+            frame: this.getFrameStats(),
+            sections: this.getSectionStats(),
+            graph: this.getGraph()
+        };
+    }
+    
+    reset() {
+        this.sections.clear();
+        this.frameTimes.clear();
+        this.lastFrameEnd = null;
+        this.frames = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Random - Seedable PRNG service shared by both game modes
+// Each named stream is derived from the run seed, so extra draws in one (e.g. visuals) never shift another (e.g. spawning)
+
+export const RANDOM_STREAMS = {
+    SPAWNING: 'spawning',
+    AI: 'ai',
+    LOOT: 'loot',
+    VISUALS: 'visuals',
+    ENVIRONMENT: 'environment'
+};
+
+// Mix a stream name into the seed (FNV-1a) so each stream gets its own sequence
+function deriveSeed(seed, name) {
+    let hash = 0x811c9dc5 ^ seed;
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export class RandomStream {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    /**
+     * Next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [min, max)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+    
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Random element of an array
+     */
+    pick(items) {
+        return items[this.int(0, items.length)];
+    }
+    
+    /**
+     * Copy of an array in random order (Fisher-Yates)
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.int(0, i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    
+    /**
+     * Either 1 or -1
+     */
+    sign() {
+        return this.next() < 0.5 ? -1 : 1;
+    }
+}
+
+export class Random {
+    constructor(seed = null) {
+        // A fixed seed (e.g. from a bug report or daily challenge) is replayed by every run
+        this.fixedSeed = seed === null ? null : Random.normalizeSeed(seed);
+        this.reset(this.fixedSeed === null ? Random.createSeed() : this.fixedSeed);
+    }
+    
+    /**
+     * Pick a fresh seed (the only place that may use Math.random)
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+    
+    /**
+     * Accept numbers or strings (e.g. from a URL) as seeds
+     */
+    static normalizeSeed(seed) {
+        const value = Number(seed);
+        if (Number.isFinite(value)) return value >>> 0;
+        return deriveSeed(0, String(seed));
+    }
+    
+    /**
+     * Restart every stream from a seed
+     */
+    reset(seed) {
+        this.seed = Random.normalizeSeed(seed);
+        this.streams = new Map();
+    }
+    
+    /**
+     * Begin a new run from the given seed (e.g. a replay's), else the fixed seed or a fresh one; returns the seed
+     */
+    startRun(seed = this.fixedSeed === null ? Random.createSeed() : this.fixedSeed) {
+        this.reset(seed);
+        console.log(`🎲 Run seed: ${this.seed}`);
+        return this.seed;
+    }
+    
+    /**
+     * Run seed and the position of every stream (for save games)
+     */
+    getState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.state;
+        });
+        return { seed: this.seed, streams };
+    }
+    
+    /**
+     * Continue from a saved state
+     */
+    setState(state) {
+        this.reset(state.seed);
+        Object.entries(state.streams).forEach(([name, value]) => {
+            this.streams.set(name, new RandomStream(value));
+        });
+    }
+    
+    /**
+     * Get a named stream, created on first use
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(deriveSeed(this.seed, name)));
+        }
+        return this.streams.get(name);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,39 @@
+// SnapshotHistory - Fixed-size ring buffer that keeps the most recent entries and drops the oldest
+export class SnapshotHistory {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0; // Slot holding the oldest entry
+        this.size = 0;
+    }
+    
+    push(item) {
+        this.items[(this.start + this.size) % this.capacity] = item;
+        
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+    
+    // Entry by age: 0 is the oldest, size - 1 the newest
+    get(index) {
+        if (index < 0 || index >= this.size) return undefined;
+        return this.items[(this.start + index) % this.capacity];
+    }
+    
+    // Keep the oldest count entries and drop everything newer
+    truncate(count) {
+        while (this.size > Math.max(0, count)) {
+            this.size--;
+            this.items[(this.start + this.size) % this.capacity] = undefined;
+        }
+    }
+    
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+// SpatialHash - Uniform grid that buckets axis-aligned boxes by the cells they overlap
+// Used as the collision broadphase: only boxes sharing a cell need a narrow-phase test
+
+export class SpatialHash {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+    
+    /**
+     * Remove every item (cells are rebuilt each frame)
+     */
+    clear() {
+        this.cells.clear();
+    }
+    
+    /**
+     * Add an item to every cell its bounding box overlaps
+     */
+    insert(item, left, top, right, bottom) {
+        const minX = Math.floor(left / this.cellSize);
+        const maxX = Math.floor(right / this.cellSize);
+        const minY = Math.floor(top / this.cellSize);
+        const maxY = Math.floor(bottom / this.cellSize);
+        
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellY = minY; cellY <= maxY; cellY++) {
+                const key = `${cellX},${cellY}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+    
+    /**
+     * Visit the items of every occupied cell
+     */
+    forEachCell(callback) {
+        this.cells.forEach(callback);
+    }
+    
+    /**
+     * Number of occupied cells
+     */
+    getCellCount() {
+        return this.cells.size;
+    }
+}
\ No newline at end of file
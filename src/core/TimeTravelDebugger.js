@@ -0,0 +1,207 @@
+// Time Travel Debugger - Records the last few seconds of run state every tick and steps through it while paused
+// Each frame is a full run state (world, timers, random streams), so "resume from here" continues the run from that tick
+import { SnapshotHistory } from './SnapshotHistory.js';
+import { GAME_CONFIG } from '../utils/GameConstants.js';
+
+// Components whose changes are listed for each frame
+const TRACKED_COMPONENTS = ['Transform', 'Health', 'Collider'];
+
+// Bookkeeping fields that change with every move and would drown out the interesting ones
+const IGNORED_FIELDS = new Set(['prevX', 'prevY']);
+
+// Tag components used to label entities
+export const ENTITY_TAGS = ['Player', 'Enemy', 'Bullet', 'Rock'];
+
+export class TimeTravelDebugger {
+    constructor(game, seconds = GAME_CONFIG.REWIND_SECONDS) {
+        this.game = game;
+        this.history = new SnapshotHistory(Math.round(seconds * GAME_CONFIG.SIMULATION_RATE));
+        this.enabled = false;
+        this.cursor = null; // Frame being inspected; null while the run is live
+        this.changes = [];
+        this.bounds = [];
+    }
+    
+    toggle() {
+        if (this.isScrubbing()) {
+            this.returnToLive();
+        }
+        
+        this.enabled = !this.enabled;
+        this.history.clear();
+        console.log(`⏪ Time travel recording ${this.enabled ? 'on' : 'off'}`);
+        return this.enabled;
+    }
+    
+    isScrubbing() {
+        return this.cursor !== null;
+    }
+    
+    // Called after every simulated tick; frames are stored as JSON so later ticks can't mutate them
+    record() {
+        if (!this.enabled || this.isScrubbing()) return;
+        
+        this.history.push(JSON.stringify(this.game.captureState()));
+    }
+    
+    // Move one frame back (-1) or forward (1) and restore the run to it
+    step(direction) {
+        if (!this.enabled || this.history.size === 0) return false;
+        
+        const from = this.isScrubbing() ? this.cursor : this.history.size - 1;
+        const cursor = Math.max(0, Math.min(this.history.size - 1, from + direction));
+        if (cursor === this.cursor) return false;
+        
+        const frame = this.getFrame(cursor);
+        this.cursor = cursor;
+        this.game.restoreState(frame);
+        this.changes = this.diffFrames(this.getFrame(cursor - 1), frame);
+        this.bounds = this.getColliderBounds(frame, this.changes);
+        return true;
+    }
+    
+    // Drop the frames after the one being inspected; returns its state so the game can continue from it
+    resumeFromHere() {
+        if (!this.isScrubbing()) return null;
+        
+        const state = this.getFrame(this.cursor);
+        this.history.truncate(this.cursor + 1);
+        this.cursor = null;
+        this.changes = [];
+        this.bounds = [];
+        return state;
+    }
+    
+    // Leave the scrubber with the run as it was before stepping back
+    returnToLive() {
+        if (!this.isScrubbing()) return;
+        
+        this.game.restoreState(this.getFrame(this.history.size - 1));
+        this.cursor = null;
+        this.changes = [];
+        this.bounds = [];
+    }
+    
+    reset() {
+        this.history.clear();
+        this.cursor = null;
+        this.changes = [];
+        this.bounds = [];
+    }
+    
+    getFrame(index) {
+        const frame = this.history.get(index);
+        return frame ? JSON.parse(frame) : null;
+    }
+    
+    // Per-entity changes to the tracked components between two frames
+    diffFrames(previous, current) {
+        if (!previous || !current) return [];
+        
+        const before = this.indexEntities(previous);
+        const after = this.indexEntities(current);
+        const changes = [];
+        
+        after.forEach((components, id) => {
+            const label = this.getLabel(id, components);
+            const old = before.get(id);
+            
+            if (!old) {
+                changes.push({ id, label, status: 'spawned', details: [] });
+                return;
+            }
+            
+            const details = [];
+            TRACKED_COMPONENTS.forEach(type => {
+                if (components[type] && old[type]) {
+                    details.push(...this.diffFields(type, old[type], components[type]));
+                }
+            });
+            
+            if (details.length > 0) {
+                changes.push({ id, label, status: 'changed', details });
+            }
+        });
+        
+        before.forEach((components, id) => {
+            if (!after.has(id)) {
+                changes.push({ id, label: this.getLabel(id, components), status: 'destroyed', details: [] });
+            }
+        });
+        
+        return changes;
+    }
+    
+    diffFields(type, before, after) {
+        const details = [];
+        
+        Object.keys(after).forEach(field => {
+            if (IGNORED_FIELDS.has(field) || before[field] === after[field]) return;
+            details.push(`${type}.${field} ${this.formatValue(before[field])} → ${this.formatValue(after[field])}`);
+        });
+        
+        return details;
+    }
+    
+    formatValue(value) {
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(1) : String(value);
+    }
+    
+    // Entity id -> { componentType: data }
+    indexEntities(state) {
+        const entities = new Map();
+        
+        state.ecs.world.entities.forEach(entity => {
+            const components = {};
+            entity.components.forEach(entry => {
+                components[entry.type] = entry.data;
+            });
+            entities.set(entity.id, components);
+        });
+        
+        return entities;
+    }
+    
+    getLabel(id, components) {
+        const tag = ENTITY_TAGS.find(name => components[name]);
+        return tag ? `${tag} ${id}` : id;
+    }
+    
+    // Collider boxes in a frame, flagged when they changed since the previous frame
+    getColliderBounds(frame, changes) {
+        const changed = new Set(changes.map(change => change.id));
+        const bounds = [];
+        
+        this.indexEntities(frame).forEach((components, id) => {
+            const transform = components.Transform;
+            const collider = components.Collider;
+            if (!transform || !collider) return;
+            
+            bounds.push({
+                x: transform.x + collider.offsetX,
+                y: transform.y + collider.offsetY,
+                width: collider.width,
+                height: collider.height,
+                changed: changed.has(id)
+            });
+        });
+        
+        return bounds;
+    }
+    
+    // Everything the debug overlay shows
+    getStatus() {
+        const frames = this.history.size;
+        const frame = this.isScrubbing() ? this.cursor : frames - 1;
+        
+        return {
+            enabled: this.enabled,
+            scrubbing: this.isScrubbing(),
+            frame,
+            frames,
+            secondsBehind: (frames - 1 - frame) / GAME_CONFIG.SIMULATION_RATE,
+            changes: this.changes,
+            bounds: this.bounds
+        };
+    }
+}
\ No newline at end of file
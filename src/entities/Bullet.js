@@ -12,8 +12,8 @@ export class Bullet {
     }
     
     update(deltaTime, canvasHeight) {
-        // Move bullet upward
-        this.y -= this.speed;
+        // Move bullet upward (speed is per frame at the 60 FPS baseline)
+        this.y -= this.speed * (deltaTime / 1000) * 60;
         
         // Mark bullet as inactive if it goes off-screen
         if (this.y + this.height < 0) {
@@ -1,83 +1,136 @@
 // EnemyShip entity class
 import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { Random, RANDOM_STREAMS } from '../core/Random.js';
+import { enemyArchetypes } from '../factories/EnemyArchetypes.js';
+import { updateMovement, isOffScreen } from '../systems/MovementPatterns.js';
 
 export class EnemyShip {
-    constructor(x, y, type = 'enemy') {
+    constructor(x, y, archetypeId = 'enemy', random = new Random()) {
+        const archetype = enemyArchetypes.get(archetypeId);
+        
         this.x = x;
         this.y = y;
-        this.width = 25;
-        this.height = 30;
-        this.speed = 2;
-        this.type = type; // 'enemy' or 'spy'
+        this.width = archetype.size.width;
+        this.height = archetype.size.height;
+        this.speed = archetype.stats.speed;
+        this.type = archetype.kind; // 'enemy' or 'spy'
+        this.archetype = archetype.id;
+        this.pointValue = archetype.score;
         this.active = true;
         
-        // Zig-zag movement properties
-        this.zigzagDirection = Math.random() > 0.5 ? 1 : -1; // Start moving left or right
-        this.zigzagSpeed = 1.5; // Horizontal movement speed
-        this.zigzagAmplitude = 60; // How far left/right to move
-        this.centerX = x; // Remember starting X position
-        this.zigzagTimer = 0;
-        this.zigzagFrequency = 0.003; // How fast to change direction
+        // Movement sequence (see MovementPatterns) and the running step's state
+        this.direction = random.stream(RANDOM_STREAMS.AI).sign(); // Mirrors dives and circles
+        this.movement = archetype.movement;
+        this.movementStep = 0;
+        this.movementTime = 0;
+        this.movementStarted = false;
+        this.anchorX = x;
+        this.anchorY = y;
+        this.heading = Math.PI / 2;
+        this.phase = 0;
         
         // Visual properties
-        this.pulseTimer = Math.random() * Math.PI * 2; // Random start for pulsing effect
+        this.pulseTimer = random.stream(RANDOM_STREAMS.VISUALS).range(0, Math.PI * 2); // Random start for pulsing effect
+        
+        // Scanner lock state (0 = disguised, 1 = identified)
+        this.revealProgress = 0;
+        this.revealDecayRate = GAME_CONFIG.SCANNER_LOCK_DECAY;
+        this.tagTimer = 0;
+        this.tagDuration = archetype.scanner.tagDuration;
+        this.lockResistance = archetype.scanner.lockResistance;
     }
     
-    update(deltaTime, canvasWidth, canvasHeight) {
-        // Move downward
-        this.y += this.speed;
-        
-        // Update zig-zag movement
-        this.updateZigzagMovement(deltaTime, canvasWidth);
+    update(deltaTime, canvasWidth, canvasHeight, target = null) {
+        // Fly the current movement step (velocity is per frame at the 60 FPS baseline)
+        const body = { x: this.x, y: this.y, width: this.width, height: this.height };
+        const velocity = updateMovement(this, body, { deltaTime, canvasWidth, canvasHeight, target });
+        const frames = (deltaTime / 1000) * 60;
+        this.x += velocity.x * frames;
+        this.y += velocity.y * frames;
         
         // Update visual effects
         this.pulseTimer += deltaTime * 0.005;
         
-        // Mark as inactive if off-screen
-        if (this.y > canvasHeight + 50) {
+        // Mark as inactive once it has left the screen
+        if (isOffScreen(this, velocity, canvasWidth, canvasHeight)) {
             this.active = false;
         }
     }
     
-    updateZigzagMovement(deltaTime, canvasWidth) {
-        // Update zig-zag timer
-        this.zigzagTimer += deltaTime * this.zigzagFrequency;
-        
-        // Calculate zig-zag offset using sine wave
-        const zigzagOffset = Math.sin(this.zigzagTimer) * this.zigzagAmplitude;
-        
-        // Apply zig-zag movement
-        this.x = this.centerX + zigzagOffset;
-        
-        // Keep within canvas bounds
-        if (this.x < 0) {
-            this.x = 0;
-            this.centerX = this.zigzagAmplitude;
-        } else if (this.x + this.width > canvasWidth) {
-            this.x = canvasWidth - this.width;
-            this.centerX = canvasWidth - this.width - this.zigzagAmplitude;
+    // Apply this frame's scanner lock rate (0 when outside the scanner cone)
+    updateReveal(lockRate, deltaTime) {
+        if (lockRate > 0) {
+            this.revealProgress = Math.min(1, this.revealProgress + (lockRate / this.lockResistance * deltaTime) / 1000);
+            if (this.revealProgress >= 1) {
+                this.tagTimer = this.tagDuration;
+            }
+        } else if (this.tagTimer > 0) {
+            // Identified ships stay tagged for a while after the lock is lost
+            this.tagTimer = Math.max(0, this.tagTimer - deltaTime);
+            if (this.tagTimer <= 0) {
+                this.revealProgress = 0;
+            }
+        } else {
+            // An unfinished lock fades once the ship leaves the cone
+            this.revealProgress = Math.max(0, this.revealProgress - (this.revealDecayRate * deltaTime) / 1000);
         }
     }
     
+    // Check if the scanner has fully identified this ship
+    isRevealed() {
+        return this.revealProgress >= 1;
+    }
+    
     render(ctx, scannerActive = false, scannerSystem = null) {
         if (!this.active) return;
         
         ctx.save();
         
-        // Draw scanner outline if scanner is active
-        if (scannerActive && scannerSystem) {
+        // Draw scanner outline for identified ships; an unfinished lock only shows a neutral bar
+        if (this.isRevealed() && scannerSystem) {
             const outlineColor = scannerSystem.getShipOutlineColor(this);
             if (outlineColor) {
                 ctx.strokeStyle = outlineColor;
                 ctx.lineWidth = 3;
                 ctx.strokeRect(this.x - 3, this.y - 3, this.width + 6, this.height + 6);
             }
+        } else if (this.revealProgress > 0) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(this.x, this.y - 8, this.width, 3);
+            ctx.fillStyle = GAME_CONFIG.COLORS.SCANNER_LOCK;
+            ctx.fillRect(this.x, this.y - 8, this.width * this.revealProgress, 3);
         }
         
         const centerX = this.x + this.width / 2;
         const centerY = this.y + this.height / 2;
         
-        if (this.type === 'enemy') {
+        if (GAME_CONFIG.COVERT_SPIES && !this.isRevealed()) {
+            // Unidentified ship - enemies and spies share this disguise
+            ctx.fillStyle = GAME_CONFIG.COLORS.UNIDENTIFIED;
+            ctx.strokeStyle = '#aaaacc';
+            ctx.lineWidth = 2;
+            
+            ctx.beginPath();
+            ctx.moveTo(centerX, this.y);
+            ctx.lineTo(this.x + this.width - 2, this.y + 8);
+            ctx.lineTo(this.x + this.width, centerY + 5);
+            ctx.lineTo(this.x + this.width - 5, this.y + this.height);
+            ctx.lineTo(this.x + 5, this.y + this.height);
+            ctx.lineTo(this.x, centerY + 5);
+            ctx.lineTo(this.x + 2, this.y + 8);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            
+            // Neutral energy core
+            ctx.fillStyle = '#aa88ff';
+            ctx.shadowColor = '#aa88ff';
+            ctx.shadowBlur = 6;
+            ctx.beginPath();
+            ctx.ellipse(centerX, centerY, 4, 6, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        } else if (this.type === 'enemy') {
             // Enhanced enemy ship design - angular red ship with blue core
             ctx.fillStyle = '#cc0000';
             ctx.strokeStyle = '#ff3333';
@@ -114,7 +167,7 @@ export class EnemyShip {
             ctx.fillStyle = '#ff6600';
             ctx.fillRect(this.x + 8, this.y + this.height - 2, 2, 4);
             ctx.fillRect(this.x + this.width - 10, this.y + this.height - 2, 2, 4);
-            
+        
         } else { // spy
             // Spy alien - similar but with different colors
             ctx.fillStyle = '#cccc00';
@@ -182,7 +235,7 @@ export class EnemyShip {
     
     // Get point value for scoring
     getPointValue() {
-        return this.type === 'enemy' ? GAME_CONFIG.ENEMY_KILL_POINTS : GAME_CONFIG.SPY_ALIEN_PENALTY;
+        return this.pointValue;
     }
     
     // Check if this is a spy alien
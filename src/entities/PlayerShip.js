@@ -30,6 +30,8 @@ export class PlayerShip {
     }
     
     update(deltaTime, inputSystem) {
+        const frames = (deltaTime / 1000) * 60; // Handling is tuned per frame at the 60 FPS baseline
+        
         // Get input direction
         const inputVector = this.getInputVector(inputSystem);
         
@@ -41,18 +43,19 @@ export class PlayerShip {
             const normalizedY = inputVector.y / magnitude;
             
             // Apply acceleration
-            this.velocity.x += normalizedX * this.acceleration;
-            this.velocity.y += normalizedY * this.acceleration;
+            this.velocity.x += normalizedX * this.acceleration * frames;
+            this.velocity.y += normalizedY * this.acceleration * frames;
             
             // Update thruster intensity for visual effects
-            this.thrusterIntensity = Math.min(1.0, this.thrusterIntensity + 0.1);
+            this.thrusterIntensity = Math.min(1.0, this.thrusterIntensity + 0.1 * frames);
         } else {
             // Apply deceleration when no input
-            this.velocity.x *= this.deceleration;
-            this.velocity.y *= this.deceleration;
+            const deceleration = Math.pow(this.deceleration, frames);
+            this.velocity.x *= deceleration;
+            this.velocity.y *= deceleration;
             
             // Reduce thruster intensity
-            this.thrusterIntensity = Math.max(0, this.thrusterIntensity - 0.05);
+            this.thrusterIntensity = Math.max(0, this.thrusterIntensity - 0.05 * frames);
         }
         
         // Limit velocity to max speed
@@ -63,9 +66,8 @@ export class PlayerShip {
         }
         
         // Apply movement with delta time for smooth frame-rate independent movement
-        const deltaSeconds = deltaTime / 1000;
-        this.x += this.velocity.x * deltaSeconds * 60; // 60 FPS baseline
-        this.y += this.velocity.y * deltaSeconds * 60;
+        this.x += this.velocity.x * frames;
+        this.y += this.velocity.y * frames;
         
         // Enforce boundary constraints with bounce effect
         this.constrainToBounds();
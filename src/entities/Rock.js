@@ -1,28 +1,32 @@
 // Rock entity class - environmental hazards
 import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { Random, RANDOM_STREAMS } from '../core/Random.js';
 
 export class Rock {
-    constructor(x, y) {
+    constructor(x, y, random = new Random()) {
+        const spawning = random.stream(RANDOM_STREAMS.SPAWNING);
+        const visuals = random.stream(RANDOM_STREAMS.VISUALS);
+        
         this.x = x;
         this.y = y;
-        this.size = 20 + Math.random() * 15; // Random size between 20-35
+        this.size = spawning.range(20, 35); // Random size between 20-35
         this.width = this.size;
         this.height = this.size;
-        this.speed = 1.5 + Math.random() * 1; // Slightly slower than enemies
+        this.speed = spawning.range(1.5, 2.5); // Slightly slower than enemies
         this.active = true;
         
         // Visual properties
         this.rotationAngle = 0;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.01; // Random rotation
-        this.rockType = Math.floor(Math.random() * 3); // Different rock shapes
+        this.rotationSpeed = visuals.range(-0.005, 0.005); // Random rotation
+        this.rockType = visuals.int(0, 3); // Different rock shapes
         
         // Collision properties
         this.health = 2; // Takes 2 bullets to destroy
     }
     
     update(deltaTime, canvasWidth, canvasHeight) {
-        // Move downward
-        this.y += this.speed;
+        // Move downward (speed is per frame at the 60 FPS baseline)
+        this.y += this.speed * (deltaTime / 1000) * 60;
         
         // Rotate rock
         this.rotationAngle += this.rotationSpeed * deltaTime;
@@ -0,0 +1,166 @@
+// Bosses - Boss encounter definitions loaded from JSON (src/data/bosses.json)
+// Each definition covers when the boss turns up, its health pool, hitboxes, phases (movement, firing and
+// escort waves, switched at health thresholds), score and the reward for beating it; encounters come in file order
+import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { normalizeMovement } from '../systems/MovementPatterns.js';
+import { normalizeFiring, enemyArchetypes } from './EnemyArchetypes.js';
+import { powerUps } from './PowerUps.js';
+import bossDefinitions from '../data/bosses.json' with { type: 'json' };
+
+export const BOSS_MOVEMENT_PATTERNS = ['formation', 'strafe']; // Patterns that keep a boss on screen
+
+export class BossRegistry {
+    constructor(definitions = [], archetypes = enemyArchetypes, loot = powerUps) {
+        this.archetypes = archetypes; // Registry escort archetype ids are checked against
+        this.loot = loot; // Registry reward power-up ids are checked against
+        this.bosses = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+    
+    // Validate a definition, fill in defaults and add it (replacing one with the same id)
+    register(definition) {
+        const boss = this.normalize(definition);
+        this.bosses.set(boss.id, boss);
+        return boss;
+    }
+    
+    has(id) {
+        return this.bosses.has(id);
+    }
+    
+    get(id) {
+        const boss = this.bosses.get(id);
+        if (!boss) {
+            throw new Error(`Unknown boss '${id}'`);
+        }
+        return boss;
+    }
+    
+    getAll() {
+        return [...this.bosses.values()];
+    }
+    
+    // The encounter at a position in the run's order, or null once they have all been met
+    getEncounter(index) {
+        return this.getAll()[index] || null;
+    }
+    
+    // Complete definition with defaults; throws on anything the game can't build
+    normalize(definition) {
+        const id = definition && definition.id;
+        const fail = problem => {
+            throw new Error(`Boss '${id}': ${problem}`);
+        };
+        
+        if (typeof id !== 'string' || id === '') fail('needs a string id');
+        
+        // Met once the run reaches the difficulty, in the named environment if there is one
+        const trigger = { difficulty: 1, environment: null, ...definition.trigger };
+        if (!(trigger.difficulty >= 1)) fail('trigger.difficulty must be 1 or more');
+        
+        const size = definition.size || {};
+        if (!(size.width > 0 && size.height > 0)) fail('size needs a positive width and height');
+        
+        const stats = {
+            speed: 1.5,
+            collisionDamage: GAME_CONFIG.ENEMY_COLLISION_DAMAGE,
+            ...definition.stats
+        };
+        if (!(stats.health > 0)) fail('stats.health must be positive');
+        if (!(stats.speed > 0)) fail('stats.speed must be positive');
+        if (!(definition.score >= 0)) fail('score must be 0 or more');
+        
+        const hitboxes = this.normalizeHitboxes(definition.hitboxes, fail);
+        const phases = this.normalizePhases(definition.phases, fail);
+        
+        const reward = { energy: 0, hull: 0, powerUps: [], environment: null, ...definition.reward };
+        if (!(reward.energy >= 0 && reward.hull >= 0)) fail('reward.energy and reward.hull must be 0 or more');
+        reward.powerUps.forEach(powerUp => {
+            if (!this.loot.has(powerUp)) fail(`unknown reward power-up '${powerUp}'`);
+        });
+        
+        const render = { ...definition.render };
+        if (!render.body || !render.outline || !render.core) fail('render needs body, outline and core colours');
+        
+        return {
+            id,
+            name: definition.name || id,
+            trigger,
+            stats,
+            size: { width: size.width, height: size.height },
+            score: definition.score,
+            hitboxes,
+            phases,
+            reward,
+            render
+        };
+    }
+    
+    // Boxes relative to the boss's corner; damageMultiplier is above 1 for weak points and below 1 for armour
+    normalizeHitboxes(hitboxes, fail) {
+        if (!Array.isArray(hitboxes) || hitboxes.length === 0) fail('needs at least one hitbox');
+        
+        const ids = new Set();
+        return hitboxes.map((definition, index) => {
+            const hitbox = { id: `hitbox${index + 1}`, x: 0, y: 0, damageMultiplier: 1, ...definition };
+            if (ids.has(hitbox.id)) fail(`hitbox '${hitbox.id}' is listed twice`);
+            if (!(hitbox.width > 0 && hitbox.height > 0)) fail(`hitbox '${hitbox.id}' needs a positive width and height`);
+            if (!(hitbox.damageMultiplier >= 0)) fail(`hitbox '${hitbox.id}' needs a damageMultiplier of 0 or more`);
+            
+            ids.add(hitbox.id);
+            return hitbox;
+        });
+    }
+    
+    // Phases start at the health fraction given (the first at 1, the rest descending) and each needs a gun
+    normalizePhases(phases, fail) {
+        if (!Array.isArray(phases) || phases.length === 0) fail('needs at least one phase');
+        
+        return phases.map((definition, index) => {
+            const label = `phase ${index + 1}`;
+            const phase = { name: label, escorts: null, ...definition };
+            
+            const previous = index > 0 ? phases[index - 1].health : null;
+            if (index === 0 && phase.health !== 1) fail('the first phase must start at health 1');
+            if (index > 0 && !(phase.health > 0 && phase.health < previous)) fail(`${label} needs a health threshold between 0 and the previous phase's`);
+            
+            try {
+                phase.movement = normalizeMovement(definition.movement);
+                phase.firing = normalizeFiring(definition.firing);
+            } catch (error) {
+                fail(`${label}: ${error.message}`);
+            }
+            phase.movement.forEach(step => {
+                if (!BOSS_MOVEMENT_PATTERNS.includes(step.pattern)) fail(`${label}: bosses only fly ${BOSS_MOVEMENT_PATTERNS.join(', ')}`);
+            });
+            if (phase.movement[phase.movement.length - 1].duration !== null) fail(`${label}: the last movement step needs a null duration`);
+            if (!phase.firing) fail(`${label} needs firing`);
+            
+            if (phase.escorts) {
+                phase.escorts = this.normalizeEscorts(phase.escorts, label, fail);
+            }
+            return phase;
+        });
+    }
+    
+    // Escort waves: the listed archetypes launch together every interval while fewer than `max` are flying;
+    // with `shield` set, the boss takes no damage while any hostile escort is alive
+    normalizeEscorts(definition, label, fail) {
+        const escorts = { interval: 6000, shield: false, ...definition };
+        if (!Array.isArray(escorts.archetypes) || escorts.archetypes.length === 0) fail(`${label}: escorts need at least one archetype`);
+        escorts.archetypes.forEach(archetype => {
+            if (!this.archetypes.has(archetype)) fail(`${label}: unknown escort archetype '${archetype}'`);
+        });
+        if (!(escorts.interval > 0)) fail(`${label}: escorts.interval must be positive`);
+        
+        escorts.max = escorts.max === undefined ? escorts.archetypes.length : escorts.max;
+        if (!(escorts.max >= 1)) fail(`${label}: escorts.max must be 1 or more`);
+        if (escorts.shield && !escorts.archetypes.some(archetype => this.archetypes.get(archetype).kind === 'enemy')) {
+            fail(`${label}: a shield needs at least one hostile escort to drop it`);
+        }
+        return escorts;
+    }
+}
+
+// Shared registry with the built-in encounters; register() more at startup
+export const bosses = new BossRegistry(bossDefinitions);
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Bosses specs - boss definitions get their defaults filled in and broken hitboxes, phases or escorts are rejected
+import { describe, it, expect } from 'vitest';
+import { BossRegistry, bosses } from './Bosses.js';
+
+const warden = bosses.get('warden');
+
+// The warden with some of its definition swapped out
+function createBoss(overrides = {}) {
+    return new BossRegistry([{ ...warden, id: 'test', ...overrides }]);
+}
+
+function withPhase(index, changes) {
+    return warden.phases.map((phase, i) => (i === index ? { ...phase, ...changes } : phase));
+}
+
+describe('BossRegistry', () => {
+    it('loads the built-in encounters in file order', () => {
+        expect(bosses.getEncounter(0).id).toBe('warden');
+        expect(bosses.getEncounter(bosses.getAll().length)).toBeNull();
+    });
+    
+    it('names unnamed hitboxes and phases by position', () => {
+        const boss = createBoss({
+            hitboxes: [{ width: 10, height: 10 }],
+            phases: [{ health: 1, movement: { pattern: 'strafe' }, firing: { pattern: 'down' } }]
+        }).get('test');
+        
+        expect(boss.hitboxes[0]).toMatchObject({ id: 'hitbox1', x: 0, y: 0, damageMultiplier: 1 });
+        expect(boss.phases[0].name).toBe('phase 1');
+    });
+    
+    it('rejects a first phase that does not start at full health', () => {
+        expect(() => createBoss({ phases: withPhase(0, { health: 0.5 }) }))
+            .toThrow("Boss 'test': the first phase must start at health 1");
+    });
+    
+    it('rejects phase thresholds that do not descend', () => {
+        expect(() => createBoss({ phases: withPhase(1, { health: 1.5 }) }))
+            .toThrow("Boss 'test': phase 2 needs a health threshold between 0 and the previous phase's");
+    });
+    
+    it('rejects movement that would fly the boss off screen', () => {
+        expect(() => createBoss({ phases: withPhase(0, { movement: { pattern: 'dive' } }) }))
+            .toThrow("Boss 'test': phase 1: bosses only fly formation, strafe");
+    });
+    
+    it('rejects a hitbox listed twice', () => {
+        expect(() => createBoss({ hitboxes: [...warden.hitboxes, warden.hitboxes[0]] }))
+            .toThrow("Boss 'test': hitbox 'hull' is listed twice");
+    });
+    
+    it('rejects an unknown escort archetype and a shield only spies could drop', () => {
+        expect(() => createBoss({ phases: withPhase(0, { escorts: { archetypes: ['mothership'] } }) }))
+            .toThrow("Boss 'test': phase 1: unknown escort archetype 'mothership'");
+        expect(() => createBoss({ phases: withPhase(0, { escorts: { archetypes: ['spy'], shield: true } }) }))
+            .toThrow("Boss 'test': phase 1: a shield needs at least one hostile escort to drop it");
+    });
+    
+    it('rejects an unknown reward power-up', () => {
+        expect(() => createBoss({ reward: { powerUps: ['extraLife'] } }))
+            .toThrow("Boss 'test': unknown reward power-up 'extraLife'");
+    });
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+// Enemy Archetypes - Enemy definitions loaded from JSON (src/data/enemies.json)
+// Each definition covers stats, size, collider, score, movement, firing, scanner signature, loot table and render style;
+// the EntityFactory builds enemies from them, so new ships only need a new entry
+import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { normalizeMovement } from '../systems/MovementPatterns.js';
+import { powerUps } from './PowerUps.js';
+import enemyDefinitions from '../data/enemies.json' with { type: 'json' };
+
+export const ENEMY_KINDS = ['enemy', 'spy']; // enemy: hostile, shoot it; spy: friendly, shooting it costs points
+export const FIRING_PATTERNS = ['down', 'aimed', 'spread', 'ring'];
+export const HULL_SHAPES = ['angular', 'dart', 'heavy'];
+
+// Complete a gun definition with defaults (null for an unarmed ship); throws on anything the EnemyWeaponSystem can't fire
+export function normalizeFiring(firing) {
+    if (!firing) return null;
+    
+    const normalized = {
+        interval: 2000,
+        bulletSpeed: 4,
+        count: 1,
+        angle: 0,
+        damage: GAME_CONFIG.ENEMY_BULLET_DAMAGE,
+        ...firing
+    };
+    if (!FIRING_PATTERNS.includes(normalized.pattern)) throw new Error(`unknown firing pattern '${normalized.pattern}'`);
+    if (!(normalized.interval > 0)) throw new Error('firing.interval must be positive');
+    if (!(normalized.bulletSpeed > 0 && normalized.count >= 1)) throw new Error('firing needs a positive bulletSpeed and count');
+    if (!(normalized.damage >= 0)) throw new Error('firing.damage must be 0 or more');
+    return normalized;
+}
+
+export class EnemyArchetypeRegistry {
+    constructor(definitions = [], loot = powerUps) {
+        this.loot = loot; // Registry the `loot` table ids are checked against
+        this.archetypes = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+    
+    // Validate a definition, fill in defaults and add it (replacing one with the same id)
+    register(definition) {
+        const archetype = this.normalize(definition);
+        this.archetypes.set(archetype.id, archetype);
+        return archetype;
+    }
+    
+    has(id) {
+        return this.archetypes.has(id);
+    }
+    
+    get(id) {
+        const archetype = this.archetypes.get(id);
+        if (!archetype) {
+            throw new Error(`Unknown enemy archetype '${id}'`);
+        }
+        return archetype;
+    }
+    
+    getAll() {
+        return [...this.archetypes.values()];
+    }
+    
+    // Weighted pick among the archetypes unlocked at this difficulty (one draw from the stream)
+    pickSpawn(rng, difficulty = 1) {
+        const candidates = this.getAll().filter(archetype => archetype.spawn.weight > 0 && difficulty >= archetype.spawn.minDifficulty);
+        const total = candidates.reduce((sum, archetype) => sum + archetype.spawn.weight, 0);
+        if (total === 0) return null;
+        
+        let roll = rng.range(0, total);
+        for (const archetype of candidates) {
+            roll -= archetype.spawn.weight;
+            if (roll < 0) return archetype;
+        }
+        return candidates[candidates.length - 1];
+    }
+    
+    // Complete definition with defaults; throws on anything the game can't build
+    normalize(definition) {
+        const id = definition && definition.id;
+        const fail = problem => {
+            throw new Error(`Enemy archetype '${id}': ${problem}`);
+        };
+        
+        if (typeof id !== 'string' || id === '') fail('needs a string id');
+        if (!ENEMY_KINDS.includes(definition.kind)) fail(`kind must be one of ${ENEMY_KINDS.join(', ')}`);
+        
+        const size = definition.size || {};
+        if (!(size.width > 0 && size.height > 0)) fail('size needs a positive width and height');
+        
+        const stats = {
+            health: 1,
+            speed: 2,
+            collisionDamage: GAME_CONFIG.ENEMY_COLLISION_DAMAGE,
+            ...definition.stats
+        };
+        if (!(stats.health > 0)) fail('stats.health must be positive');
+        
+        let movement;
+        try {
+            movement = normalizeMovement(definition.movement);
+        } catch (error) {
+            fail(error.message);
+        }
+        
+        let firing;
+        try {
+            firing = normalizeFiring(definition.firing);
+        } catch (error) {
+            fail(error.message);
+        }
+        
+        const scanner = {
+            signature: definition.kind,
+            lockResistance: 1,
+            tagDuration: GAME_CONFIG.SCANNER_TAG_DURATION,
+            ...definition.scanner
+        };
+        if (!ENEMY_KINDS.includes(scanner.signature)) fail(`scanner.signature must be one of ${ENEMY_KINDS.join(', ')}`);
+        if (!(scanner.lockResistance > 0)) fail('scanner.lockResistance must be positive');
+        
+        // Loot table for the drops when the ship is shot down (null for none)
+        const loot = definition.loot === undefined ? null : definition.loot;
+        if (loot !== null && !this.loot.hasLootTable(loot)) fail(`unknown loot table '${loot}'`);
+        
+        const render = { shape: 'angular', coreSize: [4, 6], ...definition.render };
+        if (!HULL_SHAPES.includes(render.shape)) fail(`unknown hull shape '${render.shape}'`);
+        if (!render.body || !render.outline || !render.core) fail('render needs body, outline and core colours');
+        
+        return {
+            id,
+            name: definition.name || id,
+            kind: definition.kind,
+            spawn: { weight: 0, minDifficulty: 1, ...definition.spawn },
+            stats,
+            size: { width: size.width, height: size.height },
+            collider: { width: size.width, height: size.height, offsetX: 0, offsetY: 0, ...definition.collider },
+            // Kills of hostiles score, spies cost points, unless the definition says otherwise
+            score: typeof definition.score === 'number' ? definition.score : (definition.kind === 'spy' ? GAME_CONFIG.SPY_ALIEN_PENALTY : GAME_CONFIG.ENEMY_KILL_POINTS),
+            movement,
+            firing,
+            scanner,
+            loot,
+            render
+        };
+    }
+}
+
+// Shared registry with the built-in definitions; register() more (e.g. from a mod's JSON) at startup
+export const enemyArchetypes = new EnemyArchetypeRegistry(enemyDefinitions);
\ No newline at end of file
@@ -0,0 +1,57 @@
+// EnemyArchetypes specs - definitions get their defaults filled in and broken ones are rejected with the reason
+import { describe, it, expect } from 'vitest';
+import { EnemyArchetypeRegistry, enemyArchetypes } from './EnemyArchetypes.js';
+
+const render = { body: '#cc0000', outline: '#ff3333', core: '#0066ff' };
+
+function createArchetype(overrides = {}) {
+    return { id: 'test', kind: 'enemy', size: { width: 10, height: 10 }, render, ...overrides };
+}
+
+describe('EnemyArchetypeRegistry', () => {
+    it('loads the built-in definitions', () => {
+        expect(enemyArchetypes.get('bomber').stats.health).toBe(3);
+        expect(enemyArchetypes.get('decoy').scanner.lockResistance).toBe(2);
+    });
+    
+    it('fills in defaults and gives spies the penalty score', () => {
+        const registry = new EnemyArchetypeRegistry([createArchetype({ id: 'friend', kind: 'spy' })]);
+        const friend = registry.get('friend');
+        
+        expect(friend.collider).toEqual({ width: 10, height: 10, offsetX: 0, offsetY: 0 });
+        expect(friend.scanner.signature).toBe('spy');
+        expect(friend.score).toBeLessThan(0);
+    });
+    
+    it('rejects an unknown movement pattern', () => {
+        expect(() => new EnemyArchetypeRegistry([createArchetype({ id: 'broken', movement: { pattern: 'teleport' } })]))
+            .toThrow("Enemy archetype 'broken': unknown movement pattern 'teleport'");
+    });
+    
+    it('rejects a definition without a size', () => {
+        expect(() => new EnemyArchetypeRegistry([createArchetype({ size: undefined })]))
+            .toThrow("Enemy archetype 'test': size needs a positive width and height");
+    });
+    
+    it('rejects an unknown kind', () => {
+        expect(() => new EnemyArchetypeRegistry([createArchetype({ kind: 'ally' })]))
+            .toThrow(/kind must be one of enemy, spy/);
+    });
+    
+    it('rejects a missing render colour', () => {
+        expect(() => new EnemyArchetypeRegistry([createArchetype({ render: { body: '#cc0000' } })]))
+            .toThrow(/render needs body, outline and core colours/);
+    });
+    
+    it('accepts harmless decoy fire but rejects negative damage', () => {
+        const decoyFire = { pattern: 'down', interval: 3200, damage: 0 };
+        
+        expect(new EnemyArchetypeRegistry([createArchetype({ firing: decoyFire })]).get('test').firing.damage).toBe(0);
+        expect(() => new EnemyArchetypeRegistry([createArchetype({ firing: { ...decoyFire, damage: -5 } })]))
+            .toThrow("Enemy archetype 'test': firing.damage must be 0 or more");
+    });
+    
+    it('throws for an archetype that was never registered', () => {
+        expect(() => enemyArchetypes.get('mothership')).toThrow("Unknown enemy archetype 'mothership'");
+    });
+});
\ No newline at end of file
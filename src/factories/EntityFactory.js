@@ -1,14 +1,22 @@
 // Entity Factory - Creates game entities with proper components
 import { 
     Transform, Velocity, Acceleration, Sprite, RigidBody, Collider,
-    PlayerController, EnemyAI, Projectile, Health, Energy, Score,
-    Player, Enemy, Bullet, Rock
+    PlayerController, EnemyAI, EnemyWeapon, Weapon, Projectile, Health, Energy, Lives, Score, Scanner, Revealed, Pickup, Lifetime,
+    Boss, BossPart, Player, Enemy, Bullet, EnemyBullet, Rock, PowerUp
 } from '../components/CoreComponents.js';
 import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { Random, RANDOM_STREAMS } from '../core/Random.js';
+import { enemyArchetypes } from './EnemyArchetypes.js';
+import { powerUps } from './PowerUps.js';
+import { bosses } from './Bosses.js';
 
 export class EntityFactory {
-    constructor(world) {
+    constructor(world, random = new Random(), archetypes = enemyArchetypes, loot = powerUps, encounters = bosses) {
         this.world = world;
+        this.random = random;
+        this.archetypes = archetypes;
+        this.powerUps = loot;
+        this.bosses = encounters;
     }
     
     createPlayer(x, y, canvasWidth, canvasHeight) {
@@ -26,9 +34,16 @@ export class EntityFactory {
         
         // Player-specific components
         entity.addComponent(new PlayerController());
-        entity.addComponent(new Health(1));
+        
+        // Hull, worn down by enemy fire, rams and rocks with a grace period after each hit
+        const hull = new Health(GAME_CONFIG.PLAYER_MAX_HULL);
+        hull.invulnerabilityTime = GAME_CONFIG.PLAYER_INVULNERABILITY_TIME;
+        entity.addComponent(hull);
+        entity.addComponent(new Lives(GAME_CONFIG.PLAYER_LIVES, x, y));
         entity.addComponent(new Energy(GAME_CONFIG.PLAYER_MAX_ENERGY));
         entity.addComponent(new Score(0));
+        entity.addComponent(this.createScanner());
+        entity.addComponent(this.createWeapon());
         
         // Tag component
         entity.addComponent(new Player());
@@ -36,7 +51,7 @@ export class EntityFactory {
         // Set collision layers
         const collider = entity.getComponent(Collider);
         collider.collisionLayer = 1; // Player layer
-        collider.collisionMask = 2 | 4; // Can collide with enemies and rocks
+        collider.collisionMask = 2 | 4 | 16 | 32; // Can collide with enemies, rocks, enemy bullets and pickups
         
         // Set velocity limits
         const velocity = entity.getComponent(Velocity);
@@ -50,26 +65,74 @@ export class EntityFactory {
         return entity;
     }
     
-    createEnemy(x, y, type = 'enemy') {
+    createScanner() {
+        const scanner = new Scanner(
+            GAME_CONFIG.SCANNER_ENERGY_DRAIN_RATE,
+            GAME_CONFIG.SCANNER_RANGE,
+            GAME_CONFIG.SCANNER_FALLOFF
+        );
+        scanner.drainPerTarget = GAME_CONFIG.SCANNER_DRAIN_PER_TARGET;
+        scanner.coneAngle = GAME_CONFIG.SCANNER_CONE_ANGLE * Math.PI / 180;
+        scanner.lockRate = GAME_CONFIG.SCANNER_LOCK_RATE;
+        scanner.maxLevel = GAME_CONFIG.SCANNER_MAX_LEVEL;
+        scanner.levelBonus = GAME_CONFIG.SCANNER_LEVEL_BONUS;
+        return scanner;
+    }
+    
+    createWeapon() {
+        const weapon = new Weapon(GAME_CONFIG.PLAYER_START_WEAPON);
+        weapon.coolRate = GAME_CONFIG.WEAPON_COOL_RATE;
+        weapon.recoveryHeat = GAME_CONFIG.WEAPON_OVERHEAT_RECOVERY;
+        return weapon;
+    }
+    
+    // Build an enemy from its archetype definition (src/data/enemies.json)
+    createEnemy(x, y, archetypeId = 'enemy') {
+        const archetype = this.archetypes.get(archetypeId);
+        const { size, stats, scanner } = archetype;
         const entity = this.world.createEntity();
         
         // Core components
         entity.addComponent(new Transform(x, y));
-        entity.addComponent(new Velocity(0, 2));
-        entity.addComponent(new Sprite(25, 30, type === 'enemy' ? '#cc0000' : '#cccc00'));
+        const velocity = new Velocity(0, stats.speed);
+        velocity.maxSpeed = GAME_CONFIG.ENEMY_MAX_SPEED;
+        entity.addComponent(velocity);
+        entity.addComponent(new Sprite(size.width, size.height, archetype.render.body));
         
         // Collision
-        entity.addComponent(new Collider(25, 30, 0, 0));
+        const { width, height, offsetX, offsetY } = archetype.collider;
+        entity.addComponent(new Collider(width, height, offsetX, offsetY));
         
         // Enemy-specific components
-        const ai = new EnemyAI(type);
-        ai.centerX = x; // Remember starting position for zigzag
+        const ai = new EnemyAI(archetype.kind);
+        ai.archetype = archetype.id;
+        ai.speed = stats.speed;
+        ai.collisionDamage = stats.collisionDamage;
+        ai.movement = archetype.movement;
+        ai.direction = this.random.stream(RANDOM_STREAMS.AI).sign();
+        ai.pulseTimer = this.random.stream(RANDOM_STREAMS.VISUALS).range(0, Math.PI * 2);
         entity.addComponent(ai);
-        entity.addComponent(new Health(1));
+        entity.addComponent(new Health(stats.health));
+        
+        // Gun, if the archetype has one; the first volley is staggered so a wave doesn't fire in unison
+        if (archetype.firing) {
+            const { pattern, interval, bulletSpeed, count, angle, damage } = archetype.firing;
+            const weapon = new EnemyWeapon(pattern, interval, bulletSpeed);
+            weapon.count = count;
+            weapon.angle = angle;
+            weapon.damage = damage;
+            weapon.cooldown = this.random.stream(RANDOM_STREAMS.AI).range(0.5, 1) * interval;
+            entity.addComponent(weapon);
+        }
+        
+        // Disguise state, lifted by the scanner
+        const revealed = new Revealed(scanner.tagDuration, GAME_CONFIG.SCANNER_LOCK_DECAY);
+        revealed.signature = scanner.signature;
+        revealed.lockResistance = scanner.lockResistance;
+        entity.addComponent(revealed);
         
         // Scoring
-        const scoreValue = type === 'enemy' ? GAME_CONFIG.ENEMY_KILL_POINTS : GAME_CONFIG.SPY_ALIEN_PENALTY;
-        entity.addComponent(new Score(scoreValue));
+        entity.addComponent(new Score(archetype.score));
         
         // Tag component
         entity.addComponent(new Enemy());
@@ -82,19 +145,28 @@ export class EntityFactory {
         return entity;
     }
     
-    createBullet(x, y, direction = { x: 0, y: -1 }) {
+    // Player shot; `shot` is a weapon's projectile definition (see src/data/weapons.json), a plain blaster bolt by default
+    createBullet(x, y, direction = { x: 0, y: -1 }, owner = null, shot = {}) {
+        const { speed = 5, damage = 1, width = 4, height = 12, color = '#ffff00', piercing = false, homing = 0 } = shot;
         const entity = this.world.createEntity();
         
         // Core components
         entity.addComponent(new Transform(x, y));
-        entity.addComponent(new Velocity(0, 0)); // Will be set by ProjectileSystem
-        entity.addComponent(new Sprite(4, 12, '#ffff00'));
+        const velocity = new Velocity(0, 0); // Will be set by ProjectileSystem
+        velocity.maxSpeed = speed;
+        entity.addComponent(velocity);
+        entity.addComponent(new Sprite(width, height, color));
         
         // Collision
-        entity.addComponent(new Collider(4, 12, 0, 0));
+        entity.addComponent(new Collider(width, height, 0, 0));
         
         // Projectile-specific components
-        entity.addComponent(new Projectile(8, direction));
+        const projectile = new Projectile(speed, direction);
+        projectile.damage = damage;
+        projectile.piercing = piercing;
+        projectile.homing = homing;
+        projectile.owner = owner;
+        entity.addComponent(projectile);
         entity.addComponent(new Health(1));
         
         // Tag component
@@ -104,6 +176,37 @@ export class EntityFactory {
         const collider = entity.getComponent(Collider);
         collider.collisionLayer = 8; // Bullet layer
         collider.collisionMask = 2 | 4; // Can collide with enemies and rocks
+        collider.continuous = true; // Fast enough to tunnel through ships on a long frame
+        
+        return entity;
+    }
+    
+    // Shot fired by an enemy ship; only the player can be hit by it
+    createEnemyBullet(x, y, direction, speed, damage = GAME_CONFIG.ENEMY_BULLET_DAMAGE) {
+        const entity = this.world.createEntity();
+        
+        // Core components (x, y is the centre of the muzzle)
+        entity.addComponent(new Transform(x - 3, y));
+        entity.addComponent(new Velocity(0, 0)); // Will be set by ProjectileSystem
+        entity.addComponent(new Sprite(6, 10, GAME_CONFIG.COLORS.ENEMY_BULLET));
+        
+        // Collision
+        entity.addComponent(new Collider(6, 10, 0, 0));
+        
+        // Projectile-specific components
+        const projectile = new Projectile(speed, direction);
+        projectile.damage = damage;
+        entity.addComponent(projectile);
+        entity.addComponent(new Health(1));
+        
+        // Tag component
+        entity.addComponent(new EnemyBullet());
+        
+        // Set collision layers
+        const collider = entity.getComponent(Collider);
+        collider.collisionLayer = 16; // Enemy bullet layer
+        collider.collisionMask = 1; // Can only collide with the player
+        collider.continuous = true;
         
         return entity;
     }
@@ -143,6 +246,111 @@ export class EntityFactory {
         return entity;
     }
     
+    // Pickup granting a power-up (src/data/powerups.json), centred on x, y; drifts down and expires if left
+    createPowerUp(x, y, powerUpId) {
+        const powerUp = this.powerUps.get(powerUpId);
+        const size = GAME_CONFIG.POWER_UP_SIZE;
+        const entity = this.world.createEntity();
+        
+        // Core components
+        entity.addComponent(new Transform(x - size / 2, y - size / 2));
+        entity.addComponent(new Velocity(0, GAME_CONFIG.POWER_UP_DRIFT_SPEED));
+        entity.addComponent(new Sprite(size, size, powerUp.color));
+        
+        // Collision
+        entity.addComponent(new Collider(size, size, 0, 0));
+        
+        // Pickup-specific components
+        entity.addComponent(new Pickup(powerUp));
+        entity.addComponent(new Lifetime(GAME_CONFIG.POWER_UP_LIFETIME));
+        
+        // Tag component
+        entity.addComponent(new PowerUp());
+        
+        // Set collision layers
+        const collider = entity.getComponent(Collider);
+        collider.collisionLayer = 32; // Pickup layer
+        collider.collisionMask = 1; // Can only be collected by the player
+        
+        return entity;
+    }
+    
+    // Build a boss from its definition (src/data/bosses.json): the body flies, fires and is drawn, while
+    // a BossPart entity per hitbox takes the hits; it starts in its first phase and can't be hurt on the way in
+    createBoss(x, y, bossId) {
+        const definition = this.bosses.get(bossId);
+        const { size, stats } = definition;
+        const [phase] = definition.phases;
+        const entity = this.world.createEntity();
+        
+        // Core components
+        entity.addComponent(new Transform(x, y));
+        const velocity = new Velocity(0, stats.speed);
+        velocity.maxSpeed = GAME_CONFIG.ENEMY_MAX_SPEED;
+        entity.addComponent(velocity);
+        entity.addComponent(new Sprite(size.width, size.height, definition.render.body));
+        
+        // Flies its phase's movement like any ship (no archetype; the BossSystem swaps phases)
+        const ai = new EnemyAI('boss');
+        ai.speed = stats.speed;
+        ai.collisionDamage = stats.collisionDamage;
+        ai.movement = phase.movement;
+        ai.pulseTimer = this.random.stream(RANDOM_STREAMS.VISUALS).range(0, Math.PI * 2);
+        entity.addComponent(ai);
+        
+        const { pattern, interval, bulletSpeed, count, angle, damage } = phase.firing;
+        const weapon = new EnemyWeapon(pattern, interval, bulletSpeed);
+        weapon.count = count;
+        weapon.angle = angle;
+        weapon.damage = damage;
+        entity.addComponent(weapon);
+        
+        const health = new Health(stats.health);
+        health.invulnerable = true;
+        health.invulnerabilityTimer = GAME_CONFIG.BOSS_PHASE_TRANSITION_TIME;
+        entity.addComponent(health);
+        entity.addComponent(new Score(definition.score));
+        
+        const boss = new Boss(definition.id);
+        entity.addComponent(boss);
+        
+        // Tag component
+        entity.addComponent(new Enemy());
+        
+        boss.parts = definition.hitboxes.map(hitbox => this.createBossPart(entity, x, y, hitbox));
+        
+        return entity;
+    }
+    
+    createBossPart(bossEntity, x, y, hitbox) {
+        const entity = this.world.createEntity();
+        
+        entity.addComponent(new Transform(x + hitbox.x, y + hitbox.y));
+        entity.addComponent(new Collider(hitbox.width, hitbox.height, 0, 0));
+        entity.addComponent(new BossPart(bossEntity, hitbox.id, hitbox.x, hitbox.y, hitbox.damageMultiplier));
+        
+        // Set collision layers
+        const collider = entity.getComponent(Collider);
+        collider.collisionLayer = 2; // Enemy layer
+        collider.collisionMask = 1 | 8; // Can collide with player and bullets
+        
+        return entity;
+    }
+    
+    // Roll a destroyed ship's (its archetype's `loot`) or rock's loot table; returns the dropped pickup or null
+    createLoot(target, x, y) {
+        const ai = target.getComponent(EnemyAI);
+        let tableId = null;
+        if (ai && ai.archetype) {
+            tableId = this.archetypes.get(ai.archetype).loot;
+        } else if (target.hasComponent(Rock)) {
+            tableId = GAME_CONFIG.ROCK_LOOT_TABLE;
+        }
+        
+        const powerUp = this.powerUps.rollLoot(tableId, this.random.stream(RANDOM_STREAMS.LOOT));
+        return powerUp ? this.createPowerUp(x, y, powerUp.id) : null;
+    }
+    
     createExplosion(x, y, size = 'medium') {
         const entity = this.world.createEntity();
         
@@ -0,0 +1,119 @@
+// Power-ups - Pickup definitions and loot tables loaded from JSON (src/data/powerups.json)
+// Each power-up names the timed effect PlayerController applies while it lasts; loot tables say what
+// destroyed ships (by their archetype's `loot`) and rocks drop, and how often
+import powerUpData from '../data/powerups.json' with { type: 'json' };
+
+// Effect types and the parameters each one needs (all positive numbers unless noted)
+export const POWER_UP_EFFECTS = {
+    energy: ['amount'], // Restores `amount` energy over the duration
+    rapidFire: ['fireRateMultiplier'],
+    spreadShot: ['count', 'angle'], // `count` shots fanned over `angle` degrees
+    shield: [], // Hits cost no hull or energy
+    scannerOvercharge: ['lockRateMultiplier'], // Plus `drainMultiplier` (0 or more) on the scanner's energy drain
+    timeSlow: ['timeScale'] // Enemies, their fire and rocks run at this fraction of normal speed
+};
+
+export class PowerUpRegistry {
+    constructor({ powerUps = [], lootTables = {} } = {}) {
+        this.powerUps = new Map();
+        this.lootTables = new Map();
+        powerUps.forEach(definition => this.register(definition));
+        Object.entries(lootTables).forEach(([id, table]) => this.registerLootTable(id, table));
+    }
+    
+    // Validate a definition, fill in defaults and add it (replacing one with the same id)
+    register(definition) {
+        const powerUp = this.normalize(definition);
+        this.powerUps.set(powerUp.id, powerUp);
+        return powerUp;
+    }
+    
+    // Add a loot table; every drop must name a registered power-up
+    registerLootTable(id, table) {
+        const fail = problem => {
+            throw new Error(`Loot table '${id}': ${problem}`);
+        };
+        
+        if (!(table.chance >= 0 && table.chance <= 1)) fail('chance must be between 0 and 1');
+        if (!Array.isArray(table.drops) || table.drops.length === 0) fail('needs at least one drop');
+        table.drops.forEach(drop => {
+            if (!this.powerUps.has(drop.powerUp)) fail(`unknown power-up '${drop.powerUp}'`);
+            if (!(drop.weight > 0)) fail(`drop '${drop.powerUp}' needs a positive weight`);
+        });
+        
+        this.lootTables.set(id, { chance: table.chance, drops: table.drops.map(drop => ({ ...drop })) });
+    }
+    
+    has(id) {
+        return this.powerUps.has(id);
+    }
+    
+    get(id) {
+        const powerUp = this.powerUps.get(id);
+        if (!powerUp) {
+            throw new Error(`Unknown power-up '${id}'`);
+        }
+        return powerUp;
+    }
+    
+    getAll() {
+        return [...this.powerUps.values()];
+    }
+    
+    hasLootTable(id) {
+        return this.lootTables.has(id);
+    }
+    
+    // What a destroyed target drops from its table, or null; a chance draw, then a weighted pick on a hit
+    rollLoot(tableId, rng) {
+        if (tableId === null) return null;
+        
+        const table = this.lootTables.get(tableId);
+        if (!table) {
+            throw new Error(`Unknown loot table '${tableId}'`);
+        }
+        if (!rng.chance(table.chance)) return null;
+        
+        const total = table.drops.reduce((sum, drop) => sum + drop.weight, 0);
+        let roll = rng.range(0, total);
+        for (const drop of table.drops) {
+            roll -= drop.weight;
+            if (roll < 0) return this.get(drop.powerUp);
+        }
+        return this.get(table.drops[table.drops.length - 1].powerUp);
+    }
+    
+    // Complete definition with defaults; throws on anything the game can't apply
+    normalize(definition) {
+        const id = definition && definition.id;
+        const fail = problem => {
+            throw new Error(`Power-up '${id}': ${problem}`);
+        };
+        
+        if (typeof id !== 'string' || id === '') fail('needs a string id');
+        
+        const parameters = POWER_UP_EFFECTS[definition.effect];
+        if (!parameters) fail(`effect must be one of ${Object.keys(POWER_UP_EFFECTS).join(', ')}`);
+        if (!(definition.duration > 0)) fail('duration must be positive');
+        parameters.forEach(parameter => {
+            if (!(definition[parameter] > 0)) fail(`${definition.effect} needs a positive ${parameter}`);
+        });
+        
+        const powerUp = {
+            name: id,
+            symbol: id.charAt(0).toUpperCase(),
+            color: '#ffffff',
+            ...definition
+        };
+        if (powerUp.effect === 'scannerOvercharge') {
+            powerUp.drainMultiplier = powerUp.drainMultiplier === undefined ? 1 : powerUp.drainMultiplier;
+            if (!(powerUp.drainMultiplier >= 0)) fail('drainMultiplier must be 0 or more');
+        }
+        if (powerUp.effect === 'timeSlow' && powerUp.timeScale > 1) fail('timeScale must be at most 1');
+        
+        return powerUp;
+    }
+}
+
+// Shared registry with the built-in definitions; register() more at startup
+export const powerUps = new PowerUpRegistry(powerUpData);
\ No newline at end of file
@@ -0,0 +1,52 @@
+// PowerUps specs - power-up and loot table definitions are checked on load, and loot rolls follow the stream
+import { describe, it, expect } from 'vitest';
+import { PowerUpRegistry, powerUps } from './PowerUps.js';
+import { RandomStream } from '../core/Random.js';
+
+describe('PowerUpRegistry', () => {
+    it('loads the built-in power-ups and loot tables', () => {
+        expect(powerUps.get('shield').effect).toBe('shield');
+        expect(powerUps.hasLootTable('common')).toBe(true);
+    });
+    
+    it('defaults the scanner overcharge drain to normal', () => {
+        const registry = new PowerUpRegistry({ powerUps: [{ id: 'overcharge', effect: 'scannerOvercharge', duration: 1000, lockRateMultiplier: 2 }] });
+        
+        expect(registry.get('overcharge').drainMultiplier).toBe(1);
+    });
+    
+    it('rejects a loot table that drops an unknown power-up', () => {
+        const lootTables = { broken: { chance: 0.5, drops: [{ powerUp: 'missile', weight: 1 }] } };
+        
+        expect(() => new PowerUpRegistry({ powerUps: powerUps.getAll(), lootTables }))
+            .toThrow("Loot table 'broken': unknown power-up 'missile'");
+    });
+    
+    it('rejects a loot table chance outside 0 to 1', () => {
+        const lootTables = { greedy: { chance: 1.5, drops: [{ powerUp: 'shield', weight: 1 }] } };
+        
+        expect(() => new PowerUpRegistry({ powerUps: powerUps.getAll(), lootTables }))
+            .toThrow("Loot table 'greedy': chance must be between 0 and 1");
+    });
+    
+    it('rejects an unknown effect and a missing parameter', () => {
+        expect(() => new PowerUpRegistry({ powerUps: [{ id: 'warp', effect: 'teleport', duration: 1000 }] }))
+            .toThrow(/Power-up 'warp': effect must be one of energy, rapidFire/);
+        expect(() => new PowerUpRegistry({ powerUps: [{ id: 'fast', effect: 'rapidFire', duration: 1000 }] }))
+            .toThrow("Power-up 'fast': rapidFire needs a positive fireRateMultiplier");
+    });
+    
+    it('rolls the same drops from the same seed', () => {
+        const rollAll = () => {
+            const rng = new RandomStream(7);
+            return Array.from({ length: 50 }, () => {
+                const drop = powerUps.rollLoot('elite', rng);
+                return drop ? drop.id : null;
+            });
+        };
+        
+        expect(rollAll()).toEqual(rollAll());
+        expect(powerUps.rollLoot(null, new RandomStream(7))).toBeNull();
+        expect(() => powerUps.rollLoot('jackpot', new RandomStream(7))).toThrow("Unknown loot table 'jackpot'");
+    });
+});
\ No newline at end of file
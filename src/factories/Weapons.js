@@ -0,0 +1,103 @@
+// Weapons - Player weapon definitions loaded from JSON (src/data/weapons.json)
+// Each definition covers how the gun fires, its cooldown, energy cost, heat, projectile and sound;
+// the PlayerWeaponSystem fires them and number keys pick them by their position in the list
+import { KEYS } from '../utils/GameConstants.js';
+import weaponDefinitions from '../data/weapons.json' with { type: 'json' };
+
+export const FIRE_MODES = ['auto', 'charge']; // auto: fires while Space is held; charge: builds while held, fires on release
+export const WEAPON_SLOT_KEYS = [KEYS.WEAPON_1, KEYS.WEAPON_2, KEYS.WEAPON_3, KEYS.WEAPON_4, KEYS.WEAPON_5];
+
+export class WeaponRegistry {
+    constructor(definitions = []) {
+        this.weapons = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+    
+    // Validate a definition, fill in defaults and add it (replacing one with the same id)
+    register(definition) {
+        const weapon = this.normalize(definition);
+        this.weapons.set(weapon.id, weapon);
+        return weapon;
+    }
+    
+    has(id) {
+        return this.weapons.has(id);
+    }
+    
+    get(id) {
+        const weapon = this.weapons.get(id);
+        if (!weapon) {
+            throw new Error(`Unknown weapon '${id}'`);
+        }
+        return weapon;
+    }
+    
+    getAll() {
+        return [...this.weapons.values()];
+    }
+    
+    // Weapon on a number key (0-based slot), or null for an empty slot
+    getSlot(slot) {
+        return this.getAll()[slot] || null;
+    }
+    
+    // 1-based number key a weapon sits on, or null when it is past the last slot
+    getSlotNumber(id) {
+        const slot = this.getAll().findIndex(weapon => weapon.id === id);
+        return slot >= 0 && slot < WEAPON_SLOT_KEYS.length ? slot + 1 : null;
+    }
+    
+    // Complete definition with defaults; throws on anything the game can't fire
+    normalize(definition) {
+        const id = definition && definition.id;
+        const fail = problem => {
+            throw new Error(`Weapon '${id}': ${problem}`);
+        };
+        
+        if (typeof id !== 'string' || id === '') fail('needs a string id');
+        
+        const weapon = {
+            name: id,
+            fire: 'auto',
+            energyCost: 0,
+            heat: 0,
+            count: 1,
+            angle: 0,
+            ...definition
+        };
+        if (!FIRE_MODES.includes(weapon.fire)) fail(`fire must be one of ${FIRE_MODES.join(', ')}`);
+        if (!(weapon.cooldown > 0)) fail('cooldown must be positive');
+        if (!(weapon.energyCost >= 0)) fail('energyCost must be 0 or more');
+        if (!(weapon.heat >= 0 && weapon.heat <= 100)) fail('heat must be between 0 and 100');
+        if (!(weapon.count >= 1 && weapon.angle >= 0)) fail('needs a count of at least 1 and an angle of 0 or more');
+        
+        // Charge weapons scale cost, heat and damage by how long the trigger was held
+        if (weapon.fire === 'charge') {
+            weapon.minCharge = weapon.minCharge === undefined ? 0 : weapon.minCharge;
+            if (!(weapon.chargeTime > 0)) fail('chargeTime must be positive');
+            if (!(weapon.minCharge >= 0 && weapon.minCharge <= 1)) fail('minCharge must be between 0 and 1');
+        }
+        
+        weapon.projectile = {
+            speed: 5,
+            damage: 1,
+            width: 4,
+            height: 12,
+            color: '#ffff00',
+            piercing: false, // Carries on through every target it hits
+            homing: 0, // Turn rate towards the nearest enemy (degrees per second)
+            ...definition.projectile
+        };
+        const projectile = weapon.projectile;
+        if (!(projectile.speed > 0 && projectile.damage > 0)) fail('projectile needs a positive speed and damage');
+        if (!(projectile.width > 0 && projectile.height > 0)) fail('projectile needs a positive width and height');
+        if (!(projectile.homing >= 0)) fail('projectile.homing must be 0 or more');
+        
+        weapon.sound = { id: 'laser', pitch: 1, ...definition.sound };
+        
+        return weapon;
+    }
+}
+
+// Shared registry with the built-in weapons; register() more at startup
+export const weapons = new WeaponRegistry(weaponDefinitions);
\ No newline at end of file
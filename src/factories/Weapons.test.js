@@ -0,0 +1,41 @@
+// Weapons specs - weapon definitions get their defaults filled in, sit on number keys and are rejected with the reason
+import { describe, it, expect } from 'vitest';
+import { WeaponRegistry, weapons } from './Weapons.js';
+
+describe('WeaponRegistry', () => {
+    it('puts the built-in weapons on number keys in list order', () => {
+        expect(weapons.getSlot(0).id).toBe('blaster');
+        expect(weapons.getSlotNumber('railGun')).toBe(5);
+        expect(weapons.getSlot(9)).toBeNull();
+    });
+    
+    it('fills in projectile, sound and charge defaults', () => {
+        const registry = new WeaponRegistry([{ id: 'beam', fire: 'charge', cooldown: 500, chargeTime: 1000 }]);
+        const beam = registry.get('beam');
+        
+        expect(beam.minCharge).toBe(0);
+        expect(beam.projectile).toMatchObject({ speed: 5, damage: 1, piercing: false, homing: 0 });
+        expect(beam.sound).toEqual({ id: 'laser', pitch: 1 });
+    });
+    
+    it('rejects an unknown fire mode', () => {
+        expect(() => new WeaponRegistry([{ id: 'broken', fire: 'burst', cooldown: 100 }]))
+            .toThrow("Weapon 'broken': fire must be one of auto, charge");
+    });
+    
+    it('rejects a charge weapon without a charge time', () => {
+        expect(() => new WeaponRegistry([{ id: 'beam', fire: 'charge', cooldown: 500 }]))
+            .toThrow("Weapon 'beam': chargeTime must be positive");
+    });
+    
+    it('rejects heat above 100 and a harmless projectile', () => {
+        expect(() => new WeaponRegistry([{ id: 'hot', cooldown: 100, heat: 150 }]))
+            .toThrow("Weapon 'hot': heat must be between 0 and 100");
+        expect(() => new WeaponRegistry([{ id: 'blank', cooldown: 100, projectile: { damage: 0 } }]))
+            .toThrow("Weapon 'blank': projectile needs a positive speed and damage");
+    });
+    
+    it('throws for a weapon that was never registered', () => {
+        expect(() => weapons.get('laserSword')).toThrow("Unknown weapon 'laserSword'");
+    });
+});
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Collision detection system for SpyShoot
 import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class CollisionSystem {
     constructor() {
@@ -7,32 +8,42 @@ export class CollisionSystem {
         this.bulletEnemyCollisions = [];
         this.playerEnemyCollisions = [];
         this.playerRockCollisions = [];
+        
+        // Event bus (set by the game)
+        this.events = null;
     }
     
-    update(shootingSystem, spawningSystem, player, energySystem, scoreSystem, soundEffectManager = null, enhancedSoundEffects = null) {
-        // Store sound effect managers for use in collision handlers
-        this.soundEffectManager = soundEffectManager;
-        this.enhancedSoundEffects = enhancedSoundEffects;
-        
+    // Set event bus used to report hits (scoring, energy and audio subscribe to it)
+    setEventBus(events) {
+        this.events = events;
+    }
+    
+    emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
+    }
+    
+    update(shootingSystem, spawningSystem, player) {
         // Clear previous frame collisions
         this.bulletEnemyCollisions = [];
         this.playerEnemyCollisions = [];
         this.playerRockCollisions = [];
         
         // Check bullet vs enemy collisions
-        this.checkBulletEnemyCollisions(shootingSystem, spawningSystem, energySystem, scoreSystem);
+        this.checkBulletEnemyCollisions(shootingSystem, spawningSystem);
         
         // Check bullet vs rock collisions
-        this.checkBulletRockCollisions(shootingSystem, spawningSystem, scoreSystem);
+        this.checkBulletRockCollisions(shootingSystem, spawningSystem);
         
         // Check player vs rock collisions
-        this.checkPlayerRockCollisions(player, spawningSystem, energySystem);
+        this.checkPlayerRockCollisions(player, spawningSystem);
         
-        // Check player vs enemy collisions (future implementation)
-        // this.checkPlayerEnemyCollisions(player, spawningSystem);
+        // Check player vs enemy collisions
+        this.checkPlayerEnemyCollisions(player, spawningSystem);
     }
     
-    checkBulletEnemyCollisions(shootingSystem, spawningSystem, energySystem, scoreSystem) {
+    checkBulletEnemyCollisions(shootingSystem, spawningSystem) {
         const bullets = shootingSystem.getActiveBullets();
         const enemies = spawningSystem.getActiveEnemies();
         
@@ -40,71 +51,46 @@ export class CollisionSystem {
             for (const enemy of enemies) {
                 if (this.isColliding(bullet.getBounds(), enemy.getBounds())) {
                     // Handle collision
-                    this.handleBulletEnemyCollision(bullet, enemy, shootingSystem, spawningSystem, energySystem, scoreSystem);
+                    this.handleBulletEnemyCollision(bullet, enemy, shootingSystem, spawningSystem);
                     break; // Bullet can only hit one enemy
                 }
             }
         }
     }
     
-    handleBulletEnemyCollision(bullet, enemy, shootingSystem, spawningSystem, energySystem, scoreSystem) {
+    handleBulletEnemyCollision(bullet, enemy, shootingSystem, spawningSystem) {
         // Remove bullet and enemy
         shootingSystem.removeBullet(bullet);
         spawningSystem.removeEnemy(enemy);
         
-        // Play enhanced explosion sound effect
-        if (this.enhancedSoundEffects) {
-            this.enhancedSoundEffects.playEnemyExplosion(
-                enemy.getCenterPosition().x, 
-                enemy.getCenterPosition().y
-            );
-        } else if (this.soundEffectManager) {
-            this.soundEffectManager.playSoundPositioned('explosion_enemy', 
-                enemy.getCenterPosition().x, 
-                enemy.getCenterPosition().y, 
-                { pitchVariation: 0.15 }
-            );
-        }
+        const center = enemy.getCenterPosition();
+        
+        // Score, energy and sound react by enemy type (shooting a spy is a penalty)
+        this.emit(GAME_EVENTS.TARGET_DESTROYED, {
+            target: enemy,
+            by: bullet,
+            kind: enemy.type,
+            points: enemy.isSpy() ? GAME_CONFIG.SPY_ALIEN_PENALTY : GAME_CONFIG.ENEMY_KILL_POINTS,
+            x: center.x,
+            y: center.y
+        });
         
-        // Handle scoring and energy based on enemy type
         if (enemy.isEnemy()) {
-            // Destroyed an enemy - award points and restore energy
-            scoreSystem.addEnemyKill(GAME_CONFIG.ENEMY_KILL_POINTS);
-            energySystem.restoreEnergy(GAME_CONFIG.ENERGY_RESTORE_AMOUNT);
-            
-            // Play power-up sound for energy restoration
-            if (this.enhancedSoundEffects) {
-                setTimeout(() => {
-                    this.enhancedSoundEffects.playPowerUp();
-                }, 200);
-            }
-            
             console.log(`Enemy destroyed! +${GAME_CONFIG.ENEMY_KILL_POINTS} points, +${GAME_CONFIG.ENERGY_RESTORE_AMOUNT} energy`);
         } else if (enemy.isSpy()) {
-            // Shot a spy alien - penalty
-            scoreSystem.addSpyPenalty(GAME_CONFIG.SPY_ALIEN_PENALTY); // This is negative
-            energySystem.consumeEnergy(Math.abs(GAME_CONFIG.SPY_ALIEN_PENALTY / 10)); // Energy penalty
-            
-            // Play spy detection sound (negative feedback)
-            if (this.enhancedSoundEffects) {
-                setTimeout(() => {
-                    this.enhancedSoundEffects.playUIError();
-                }, 300);
-            }
-            
             console.log(`Spy alien shot! ${GAME_CONFIG.SPY_ALIEN_PENALTY} points, energy penalty`);
         }
         
         // Store collision for visual effects
         this.bulletEnemyCollisions.push({
-            x: enemy.getCenterPosition().x,
-            y: enemy.getCenterPosition().y,
+            x: center.x,
+            y: center.y,
             type: enemy.type,
             timestamp: Date.now()
         });
     }
     
-    checkBulletRockCollisions(shootingSystem, spawningSystem, scoreSystem) {
+    checkBulletRockCollisions(shootingSystem, spawningSystem) {
         const bullets = shootingSystem.getActiveBullets();
         const rocks = spawningSystem.getActiveRocks();
         
@@ -112,54 +98,47 @@ export class CollisionSystem {
             for (const rock of rocks) {
                 if (this.isColliding(bullet.getBounds(), rock.getBounds())) {
                     // Handle collision
-                    this.handleBulletRockCollision(bullet, rock, shootingSystem, spawningSystem, scoreSystem);
+                    this.handleBulletRockCollision(bullet, rock, shootingSystem);
                     break; // Bullet can only hit one rock
                 }
             }
         }
     }
     
-    handleBulletRockCollision(bullet, rock, shootingSystem, spawningSystem, scoreSystem) {
+    handleBulletRockCollision(bullet, rock, shootingSystem) {
         // Remove bullet
         shootingSystem.removeBullet(bullet);
         
         // Damage rock (rocks take multiple hits)
         const rockDestroyed = rock.takeDamage();
-        
-        // Play enhanced rock impact/explosion sound effect
-        if (this.enhancedSoundEffects) {
-            this.enhancedSoundEffects.playRockExplosion(
-                rock.getCenterPosition().x, 
-                rock.getCenterPosition().y,
-                rockDestroyed
-            );
-        } else if (this.soundEffectManager) {
-            this.soundEffectManager.playSoundPositioned('explosion_rock', 
-                rock.getCenterPosition().x, 
-                rock.getCenterPosition().y, 
-                { pitchVariation: 0.2 }
-            );
-        }
+        const center = rock.getCenterPosition();
         
         if (rockDestroyed) {
             // Rock destroyed - small point reward
-            scoreSystem.addEnemyKill(rock.getPointValue());
+            this.emit(GAME_EVENTS.TARGET_DESTROYED, {
+                target: rock,
+                by: bullet,
+                kind: 'rock',
+                points: rock.getPointValue(),
+                x: center.x,
+                y: center.y
+            });
             console.log(`Rock destroyed! +${rock.getPointValue()} points`);
             
             // Store collision for visual effects
             this.bulletEnemyCollisions.push({
-                x: rock.getCenterPosition().x,
-                y: rock.getCenterPosition().y,
+                x: center.x,
+                y: center.y,
                 type: 'rock',
                 timestamp: Date.now()
             });
         } else {
+            this.emit(GAME_EVENTS.TARGET_DAMAGED, { target: rock, kind: 'rock', x: center.x, y: center.y });
             console.log('Rock damaged but not destroyed');
         }
     }
     
     checkPlayerEnemyCollisions(player, spawningSystem) {
-        // Placeholder for player-enemy collision detection
         const enemies = spawningSystem.getActiveEnemies();
         const playerBounds = player.getBounds();
         
@@ -176,10 +155,10 @@ export class CollisionSystem {
         // Remove enemy and damage player
         spawningSystem.removeEnemy(enemy);
         
-        // Damage player (reduce energy)
-        player.consumeEnergy(20); // Collision damage
+        // Ramming costs energy (drained by the energy system)
+        this.emit(GAME_EVENTS.PLAYER_HIT, { kind: 'enemy', damage: GAME_CONFIG.ENEMY_COLLISION_DAMAGE });
         
-        console.log('Player hit by enemy! -20 energy');
+        console.log(`Player hit by enemy! -${GAME_CONFIG.ENEMY_COLLISION_DAMAGE} energy`);
         
         // Store collision for visual effects
         this.playerEnemyCollisions.push({
@@ -189,27 +168,27 @@ export class CollisionSystem {
         });
     }
     
-    checkPlayerRockCollisions(player, spawningSystem, energySystem) {
+    checkPlayerRockCollisions(player, spawningSystem) {
         const rocks = spawningSystem.getActiveRocks();
         const playerBounds = player.getBounds();
         
         for (const rock of rocks) {
             if (this.isColliding(playerBounds, rock.getBounds())) {
                 // Handle player-rock collision
-                this.handlePlayerRockCollision(player, rock, spawningSystem, energySystem);
+                this.handlePlayerRockCollision(player, rock, spawningSystem);
                 break;
             }
         }
     }
     
-    handlePlayerRockCollision(player, rock, spawningSystem, energySystem) {
+    handlePlayerRockCollision(player, rock, spawningSystem) {
         // Remove rock and damage player significantly
         spawningSystem.removeRock(rock);
         
-        // Heavy damage from rock collision
-        energySystem.consumeEnergy(30);
+        // Heavy damage from rock collision (drained by the energy system)
+        this.emit(GAME_EVENTS.PLAYER_HIT, { kind: 'rock', damage: GAME_CONFIG.ROCK_COLLISION_DAMAGE });
         
-        console.log('Player hit by rock! -30 energy');
+        console.log(`Player hit by rock! -${GAME_CONFIG.ROCK_COLLISION_DAMAGE} energy`);
         
         // Store collision for visual effects
         this.playerRockCollisions.push({
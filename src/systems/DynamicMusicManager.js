@@ -1,5 +1,6 @@
 // DynamicMusicManager - Manages intensity-based music selection and transitions
 // Handles environment-specific music tracks and combat music escalation
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class DynamicMusicManager {
     constructor(musicManager, audioSystem) {
@@ -31,10 +32,28 @@ export class DynamicMusicManager {
         // Music state tracking
         this.isTransitioning = false;
         this.queuedTrack = null;
+        this.preBossIntensity = null; // Intensity to return to once the boss is beaten
+        
+        // Game event subscriptions
+        this.unsubscribers = [];
         
         console.log('🎵 DynamicMusicManager initialized');
     }
     
+    /**
+     * Route game events from the event bus into handleGameEvent
+     */
+    setEventBus(events) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [
+            events.on(GAME_EVENTS.GAME_STARTED, () => this.handleGameEvent('game_start')),
+            events.on(GAME_EVENTS.GAME_OVER, (event) => this.handleGameEvent('game_over', event)),
+            events.on(GAME_EVENTS.ENERGY_CRITICAL, (event) => this.handleGameEvent('energy_critical', event)),
+            events.on(GAME_EVENTS.BOSS_ENCOUNTER, (event) => this.handleGameEvent('boss_encounter', event)),
+            events.on(GAME_EVENTS.BOSS_DEFEATED, (event) => this.handleGameEvent('boss_defeated', event))
+        ];
+    }
+    
     /**
      * Initialize music configurations for each environment and intensity level
      */
@@ -225,6 +244,9 @@ export class DynamicMusicManager {
             case 'boss_encounter':
                 this.handleBossEncounter();
                 break;
+            case 'boss_defeated':
+                this.handleBossDefeated();
+                break;
             case 'energy_critical':
                 this.handleEnergyCritical();
                 break;
@@ -239,6 +261,7 @@ export class DynamicMusicManager {
         
         // Start with calm ambient music
         this.currentIntensity = 0.0;
+        this.preBossIntensity = null;
         
         if (this.currentEnvironment) {
             this.evaluateMusicChange(true);
@@ -282,11 +305,25 @@ export class DynamicMusicManager {
      * Handle boss encounter event
      */
     handleBossEncounter() {
+        if (this.preBossIntensity === null) {
+            this.preBossIntensity = this.currentIntensity;
+        }
+        
         // Force maximum intensity
         this.currentIntensity = 1.0;
         this.evaluateMusicChange(true);
     }
     
+    /**
+     * Handle boss defeated event
+     */
+    handleBossDefeated() {
+        // Settle back to where the music was before the fight
+        this.currentIntensity = this.preBossIntensity === null ? this.intensityThresholds.ambient : this.preBossIntensity;
+        this.preBossIntensity = null;
+        this.evaluateMusicChange(true);
+    }
+    
     /**
      * Handle energy critical event
      */
@@ -355,6 +392,8 @@ export class DynamicMusicManager {
      */
     dispose() {
         this.stop();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
         console.log('🧹 DynamicMusicManager disposed');
     }
 }
\ No newline at end of file
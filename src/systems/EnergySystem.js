@@ -1,32 +1,61 @@
 // Energy management system for SpyShoot
 import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class EnergySystem {
     constructor(maxEnergy = GAME_CONFIG.PLAYER_MAX_ENERGY) {
         this.maxEnergy = maxEnergy;
         this.currentEnergy = maxEnergy;
         this.energyDrainRate = GAME_CONFIG.SCANNER_ENERGY_DRAIN_RATE;
+        this.drainPerTarget = GAME_CONFIG.SCANNER_DRAIN_PER_TARGET;
         
         // Energy regeneration (optional feature)
         this.naturalRegenRate = 0.5; // Energy per second natural regen
         this.lastRegenTime = 0;
         this.regenCooldown = 3000; // 3 seconds without energy consumption before regen starts
         
-        // Energy consumption tracking
+        // Energy consumption tracking (simulation time in milliseconds, advanced by update())
+        this.time = 0;
         this.lastEnergyUse = 0;
         
         // Warning sound tracking
         this.wasCritical = false;
         this.lastWarningSound = 0;
         this.warningSoundCooldown = 2000; // 2 seconds between warning sounds
+        
+        // Event bus integration
+        this.events = null;
+        this.unsubscribers = [];
+    }
+    
+    // Set event bus; kills and hits reported on it adjust energy
+    setEventBus(events) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.events = events;
+        this.unsubscribers = [
+            events.on(GAME_EVENTS.TARGET_DESTROYED, (event) => this.handleTargetDestroyed(event)),
+            events.on(GAME_EVENTS.PLAYER_HIT, ({ damage }) => this.consumeEnergy(damage))
+        ];
     }
     
-    update(deltaTime, scannerActive, soundEffectManager = null, enhancedSoundEffects = null, advancedAudioManager = null) {
-        const currentTime = Date.now();
+    handleTargetDestroyed({ kind }) {
+        if (kind === 'enemy') {
+            // Destroyed an enemy - restore energy
+            this.restoreEnergy(GAME_CONFIG.ENERGY_RESTORE_AMOUNT);
+        } else if (kind === 'spy') {
+            // Shot a spy alien - energy penalty
+            this.consumeEnergy(Math.abs(GAME_CONFIG.SPY_ALIEN_PENALTY / 10));
+        }
+    }
+    
+    update(deltaTime, scannerActive, scanTargets = 0) {
+        this.time += deltaTime;
+        const currentTime = this.time;
         
-        // Handle scanner energy drain
+        // Handle scanner energy drain (more for every ship being scanned)
         if (scannerActive && this.currentEnergy > 0) {
-            const drainAmount = (this.energyDrainRate * deltaTime) / 1000;
+            const drainRate = this.energyDrainRate + this.drainPerTarget * scanTargets;
+            const drainAmount = (drainRate * deltaTime) / 1000;
             this.consumeEnergy(drainAmount);
         }
         
@@ -36,8 +65,8 @@ export class EnergySystem {
             this.restoreEnergy(regenAmount);
         }
         
-        // Handle energy warning sounds (legacy support)
-        this.handleWarningSound(soundEffectManager, enhancedSoundEffects);
+        // Announce critical energy to subscribers (warning sounds, music)
+        this.handleCriticalWarning();
         
         // Advanced audio manager handles escalating warnings automatically
         // No additional integration needed here as it reads energy percentage directly
@@ -46,19 +75,15 @@ export class EnergySystem {
         this.currentEnergy = Math.max(0, Math.min(this.maxEnergy, this.currentEnergy));
     }
     
-    // Handle energy warning sound effects
-    handleWarningSound(soundEffectManager, enhancedSoundEffects) {
-        const currentTime = Date.now();
+    // Emit energyCritical when energy becomes critical and periodically while it stays critical
+    handleCriticalWarning() {
+        const currentTime = this.time;
         const isCriticalNow = this.isCritical();
         const energyPercentage = this.getEnergyPercentage();
         
-        // Play warning sound when energy becomes critical or periodically while critical
         if (isCriticalNow && (!this.wasCritical || currentTime - this.lastWarningSound > this.warningSoundCooldown)) {
-            
-            if (enhancedSoundEffects) {
-                enhancedSoundEffects.playWarningSound(energyPercentage);
-            } else if (soundEffectManager) {
-                soundEffectManager.playSound('warning_alarm');
+            if (this.events) {
+                this.events.emit(GAME_EVENTS.ENERGY_CRITICAL, { percentage: energyPercentage });
             }
             
             this.lastWarningSound = currentTime;
@@ -71,7 +96,7 @@ export class EnergySystem {
     consumeEnergy(amount) {
         if (this.currentEnergy >= amount) {
             this.currentEnergy -= amount;
-            this.lastEnergyUse = Date.now();
+            this.lastEnergyUse = this.time;
             return true;
         }
         return false;
@@ -110,6 +135,7 @@ export class EnergySystem {
     // Reset energy to full (for game restart)
     reset() {
         this.currentEnergy = this.maxEnergy;
+        this.time = 0;
         this.lastEnergyUse = 0;
         this.lastRegenTime = 0;
         this.wasCritical = false;
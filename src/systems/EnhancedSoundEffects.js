@@ -1,5 +1,6 @@
 // EnhancedSoundEffects - Advanced sound effect management with variations and smart selection
 // Handles sound effect variations, UI sounds, and contextual audio feedback
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class EnhancedSoundEffects {
     constructor(soundEffectManager) {
@@ -21,9 +22,54 @@ export class EnhancedSoundEffects {
         // UI sound integration
         this.uiSoundsEnabled = true;
         
+        // Game event subscriptions
+        this.unsubscribers = [];
+        
         console.log('🔊 EnhancedSoundEffects initialized');
     }
     
+    /**
+     * Subscribe to game events so systems never call sounds directly
+     */
+    setEventBus(events) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [
+            events.on(GAME_EVENTS.SHOT_FIRED, ({ sound }) => this.playWeaponSound(sound)),
+            events.on(GAME_EVENTS.SHOT_BLOCKED, () => this.playUIError()),
+            events.on(GAME_EVENTS.WEAPON_SWITCHED, () => this.playUIClick()),
+            events.on(GAME_EVENTS.WEAPON_OVERHEATED, () => this.playContextualFeedback('weapon_overheated')),
+            events.on(GAME_EVENTS.TARGET_DESTROYED, (event) => this.handleTargetDestroyed(event)),
+            events.on(GAME_EVENTS.TARGET_DAMAGED, ({ x, y }) => this.playContextualFeedback('rock_hit', { x, y, destroyed: false })),
+            events.on(GAME_EVENTS.PLAYER_DAMAGED, ({ x, y }) => this.playContextualFeedback('hull_hit', { x, y })),
+            events.on(GAME_EVENTS.PLAYER_LIFE_LOST, ({ x, y }) => this.playContextualFeedback('ship_lost', { x, y })),
+            events.on(GAME_EVENTS.PLAYER_RESPAWNED, () => this.playContextualFeedback('respawn')),
+            events.on(GAME_EVENTS.POWER_UP_COLLECTED, () => this.playContextualFeedback('powerup_collected')),
+            events.on(GAME_EVENTS.SCAN_STARTED, () => this.playContextualFeedback('scanner_toggle', { isActivating: true })),
+            events.on(GAME_EVENTS.BOSS_ENCOUNTER, () => this.playContextualFeedback('boss_encounter')),
+            events.on(GAME_EVENTS.BOSS_PHASE_CHANGED, ({ x, y }) => this.playContextualFeedback('boss_phase', { x, y })),
+            events.on(GAME_EVENTS.BOSS_DEFEATED, ({ x, y }) => this.playContextualFeedback('boss_defeated', { x, y })),
+            events.on(GAME_EVENTS.ENERGY_CRITICAL, ({ percentage }) => this.playWarningSound(percentage))
+        ];
+    }
+    
+    /**
+     * Play feedback for a destroyed target based on its kind
+     */
+    handleTargetDestroyed({ kind, x, y }) {
+        switch (kind) {
+            case 'enemy':
+                this.playContextualFeedback('enemy_killed', { x, y });
+                setTimeout(() => this.playContextualFeedback('energy_restored'), 200);
+                break;
+            case 'spy':
+                this.playContextualFeedback('spy_killed', { x, y });
+                break;
+            case 'rock':
+                this.playContextualFeedback('rock_hit', { x, y, destroyed: true });
+                break;
+        }
+    }
+    
     /**
      * Play a laser sound with automatic variation
      */
@@ -35,6 +81,23 @@ export class EnhancedSoundEffects {
         });
     }
     
+    /**
+     * Play a weapon's shot sound (a sound group or a single sound, at the weapon's pitch);
+     * shots without one use the standard laser
+     */
+    playWeaponSound(sound = null) {
+        if (!sound) {
+            return this.playLaserSound({ pitchVariation: 0.1 });
+        }
+        
+        const { id, ...options } = sound;
+        const soundId = this.soundGroups[id] ? this.getVariedSound(id) : id;
+        return this.soundEffectManager.playSoundVaried(soundId, {
+            pitchVariation: 0.1,
+            ...options
+        });
+    }
+    
     /**
      * Play an enemy explosion with variation
      */
@@ -248,6 +311,40 @@ export class EnhancedSoundEffects {
                 this.playPowerUp();
                 break;
                 
+            case 'hull_hit':
+                this.playRockExplosion(context.x, context.y, false, { pitch: 0.7 });
+                break;
+            
+            case 'ship_lost':
+                this.playEnemyExplosion(context.x, context.y, { pitch: 0.5 });
+                break;
+            
+            case 'respawn':
+                this.playPowerUp();
+                break;
+            
+            case 'weapon_overheated':
+                this.soundEffectManager.playSound('energy_low', { volume: 0.5, pitch: 1.4 });
+                break;
+            
+            case 'powerup_collected':
+                this.playPowerUp({ pitch: 1.5 });
+                break;
+            
+            case 'boss_encounter':
+                this.playEnemyApproach({ volume: 0.8, pitch: 0.6 });
+                break;
+            
+            case 'boss_phase':
+                this.playEnemyExplosion(context.x, context.y, { pitch: 0.6 });
+                setTimeout(() => this.playEnemyApproach({ volume: 0.6, pitch: 0.8 }), 300);
+                break;
+            
+            case 'boss_defeated':
+                this.playEnemyExplosion(context.x, context.y, { pitch: 0.4, volume: 1.0 });
+                setTimeout(() => this.playAchievement(), 500);
+                break;
+            
             case 'scanner_toggle':
                 this.playScannerSound(context.isActivating);
                 break;
@@ -367,6 +464,8 @@ export class EnhancedSoundEffects {
      * Clean up resources
      */
     dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
         this.lastPlayedInGroup.clear();
         console.log('🧹 EnhancedSoundEffects disposed');
     }
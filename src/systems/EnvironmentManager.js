@@ -1,11 +1,16 @@
 // EnvironmentManager - Manages different space environments and their properties
 // Handles environment definitions, transitions, and gameplay modifiers
 
+import { Random, RANDOM_STREAMS } from '../core/Random.js';
+
 export class EnvironmentManager {
-    constructor() {
+    constructor(random = new Random()) {
+        this.random = random;
+        
         // Current environment state
         this.currentEnvironment = 'deep_space';
-        this.environmentStartTime = Date.now();
+        this.gameTime = 0; // Environments advance on game time, so seeded runs and pauses behave
+        this.environmentStartTime = 0;
         this.environmentDuration = 30000; // 30 seconds per environment
         
         // Environment definitions
@@ -254,7 +259,7 @@ export class EnvironmentManager {
     setEnvironment(environmentId) {
         if (this.environments[environmentId]) {
             this.currentEnvironment = environmentId;
-            this.environmentStartTime = Date.now();
+            this.environmentStartTime = this.gameTime;
             console.log(`🌌 Environment changed to: ${this.environments[environmentId].name}`);
             return true;
         }
@@ -267,8 +272,8 @@ export class EnvironmentManager {
      * Update environment progression
      */
     update(deltaTime, gameTime) {
-        const currentTime = Date.now();
-        const timeInEnvironment = currentTime - this.environmentStartTime;
+        this.gameTime = gameTime;
+        const timeInEnvironment = this.gameTime - this.environmentStartTime;
         
         // Check if it's time to change environment
         if (timeInEnvironment >= this.environmentDuration) {
@@ -285,9 +290,7 @@ export class EnvironmentManager {
             const availableEnvironments = Object.keys(this.environments)
                 .filter(env => env !== this.currentEnvironment);
             
-            const nextEnvironment = availableEnvironments[
-                Math.floor(Math.random() * availableEnvironments.length)
-            ];
+            const nextEnvironment = this.random.stream(RANDOM_STREAMS.ENVIRONMENT).pick(availableEnvironments);
             
             this.setEnvironment(nextEnvironment);
         } else {
@@ -344,8 +347,7 @@ export class EnvironmentManager {
      * Get environment progress (0.0 to 1.0)
      */
     getEnvironmentProgress() {
-        const currentTime = Date.now();
-        const timeInEnvironment = currentTime - this.environmentStartTime;
+        const timeInEnvironment = this.gameTime - this.environmentStartTime;
         return Math.min(1.0, timeInEnvironment / this.environmentDuration);
     }
     
@@ -353,8 +355,7 @@ export class EnvironmentManager {
      * Get time remaining in current environment
      */
     getTimeRemaining() {
-        const currentTime = Date.now();
-        const timeInEnvironment = currentTime - this.environmentStartTime;
+        const timeInEnvironment = this.gameTime - this.environmentStartTime;
         return Math.max(0, this.environmentDuration - timeInEnvironment);
     }
     
@@ -414,7 +415,8 @@ export class EnvironmentManager {
      */
     reset() {
         this.currentEnvironment = 'deep_space';
-        this.environmentStartTime = Date.now();
+        this.gameTime = 0;
+        this.environmentStartTime = 0;
         this.currentSequenceIndex = 0;
         console.log('🌌 EnvironmentManager reset');
     }
@@ -1,11 +1,15 @@
 // Input handling system
-import { KEYS } from '../utils/GameConstants.js';
+import { KEYS, DEBUG_KEYS } from '../utils/GameConstants.js';
 
 export class InputSystem {
     constructor() {
         this.keys = {};
         this.previousKeys = {};
+        this.pendingPresses = new Set(); // Keys pressed since the last update()
+        this.justPressed = new Set(); // Keys pressed since the previous frame
         this.mouseClicked = false;
+        this.pendingClick = null; // Canvas position of a click since the last update()
+        this.click = null; // Click latched for the frame that starts now
         this.setupEventListeners();
         console.log('InputSystem initialized');
     }
@@ -14,10 +18,14 @@ export class InputSystem {
         // Keyboard events
         document.addEventListener('keydown', (e) => {
             console.log('Keydown event:', e.code, e.key);
+            if (!this.keys[e.code]) {
+                this.pendingPresses.add(e.code);
+            }
             this.keys[e.code] = true;
             
             // Prevent default for all game keys to avoid browser interference
             if (this.isGameKey(e.code) || 
+                this.isDebugKey(e.code) ||
                 e.code === 'Space' || 
                 e.code === 'Enter' || 
                 e.code === 'NumpadEnter' ||
@@ -34,6 +42,7 @@ export class InputSystem {
             
             // Prevent default for game keys on keyup too
             if (this.isGameKey(e.code) || 
+                this.isDebugKey(e.code) ||
                 e.code === 'Space' || 
                 e.code === 'Enter' || 
                 e.code === 'NumpadEnter' ||
@@ -62,6 +71,13 @@ export class InputSystem {
             canvas.addEventListener('click', (e) => {
                 console.log('Canvas clicked');
                 this.mouseClicked = true;
+                
+                // Map from page pixels to canvas pixels (the canvas may be scaled by CSS)
+                const rect = canvas.getBoundingClientRect();
+                this.pendingClick = {
+                    x: (e.clientX - rect.left) * canvas.width / rect.width,
+                    y: (e.clientY - rect.top) * canvas.height / rect.height
+                };
                 e.preventDefault();
             });
         }
@@ -78,6 +94,20 @@ export class InputSystem {
     update() {
         // Store previous frame key states
         this.previousKeys = { ...this.keys };
+        
+        // Presses arrive between frames, so latch them for the frame that starts now
+        this.justPressed = this.pendingPresses;
+        this.pendingPresses = new Set();
+        this.click = this.pendingClick;
+        this.pendingClick = null;
+    }
+    
+    // Forget presses that haven't been handled yet (e.g. keys hit while a replay was playing)
+    clearPresses() {
+        this.pendingPresses.clear();
+        this.justPressed.clear();
+        this.pendingClick = null;
+        this.click = null;
     }
     
     isKeyPressed(keyCode) {
@@ -85,13 +115,18 @@ export class InputSystem {
     }
     
     isKeyJustPressed(keyCode) {
-        return !!this.keys[keyCode] && !this.previousKeys[keyCode];
+        return this.justPressed.has(keyCode);
     }
     
     isMouseClicked() {
         return this.mouseClicked;
     }
     
+    // Canvas position clicked this frame, or null
+    getClick() {
+        return this.click;
+    }
+    
     // Get movement vector based on current input
     getMovementVector() {
         let x = 0;
@@ -131,4 +166,8 @@ export class InputSystem {
         const gameKeys = Object.values(KEYS);
         return gameKeys.includes(keyCode);
     }
+    
+    isDebugKey(keyCode) {
+        return Object.values(DEBUG_KEYS).includes(keyCode);
+    }
 }
\ No newline at end of file
@@ -5,9 +5,10 @@ import { EnvironmentManager } from './EnvironmentManager.js';
 import { TransitionManager } from './TransitionManager.js';
 import { EnvironmentRenderer } from './EnvironmentRenderer.js';
 import { EnvironmentalAudioManager } from './EnvironmentalAudioManager.js';
+import { Random } from '../core/Random.js';
 
 export class LocationSystem {
-    constructor(canvas, audioSystem = null, spawningSystem = null, musicManager = null, dynamicMusicManager = null) {
+    constructor(canvas, audioSystem = null, spawningSystem = null, musicManager = null, dynamicMusicManager = null, random = new Random()) {
         this.canvas = canvas;
         this.audioSystem = audioSystem;
         this.spawningSystem = spawningSystem;
@@ -15,7 +16,7 @@ export class LocationSystem {
         this.dynamicMusicManager = dynamicMusicManager;
         
         // Core managers
-        this.environmentManager = new EnvironmentManager();
+        this.environmentManager = new EnvironmentManager(random);
         this.transitionManager = new TransitionManager();
         this.environmentRenderer = new EnvironmentRenderer(canvas);
         this.environmentalAudioManager = new EnvironmentalAudioManager(audioSystem, musicManager);
@@ -423,21 +424,23 @@ export class LocationSystem {
     }
     
     /**
-     * Force environment change
+     * Force environment change; returns false for an unknown environment.
+     * A gradual change fades over with its audio and music like a timed one; an immediate one cuts straight to it
      */
     setEnvironment(environmentId, immediate = false) {
+        const previousEnvironment = this.environmentManager.currentEnvironment;
+        if (!this.environmentManager.setEnvironment(environmentId)) return false;
+        
         if (immediate) {
-            this.environmentManager.setEnvironment(environmentId);
             this.transitionManager.reset();
-        } else {
-            const currentEnv = this.environmentManager.getCurrentEnvironment();
-            const targetEnv = this.environmentManager.getEnvironment(environmentId);
-            
-            if (targetEnv) {
-                this.environmentManager.setEnvironment(environmentId);
-                this.transitionManager.startTransition(currentEnv, targetEnv);
+            this.environmentalAudioManager.setEnvironment(environmentId, true);
+            if (this.dynamicMusicManager) {
+                this.dynamicMusicManager.setEnvironment(environmentId);
             }
+        } else if (environmentId !== previousEnvironment) {
+            this.handleEnvironmentChange(previousEnvironment, environmentId);
         }
+        return true;
     }
     
     /**
@@ -0,0 +1,248 @@
+// Movement Patterns - Enemy flight paths, run one after another as a sequence of steps
+// Shared by the ECS EnemyAISystem and the legacy EnemyShip. A step is { pattern, duration?, ...params }
+// and ends when its duration runs out or its pattern finishes (e.g. a bezier reaching its last point);
+// a null duration runs until the pattern finishes, or for the rest of the flight.
+//
+// The mover (EnemyAI or EnemyShip) carries the sequence and its progress:
+//   movement, movementStep, movementTime, movementStarted, speed, direction,
+//   anchorX/anchorY, heading and phase (scratch state for the running pattern)
+// body is the ship's box { x, y, width, height }; context is { deltaTime, canvasWidth, canvasHeight, target }
+// where target is the player's centre (or null). Patterns return a velocity in pixels per 60 FPS frame.
+
+const DEGREES = Math.PI / 180;
+
+function getFrames(deltaTime) {
+    return deltaTime / 1000 * 60;
+}
+
+// The step's own speed, or the ship's cruising speed scaled for the pattern
+function getSpeed(mover, step, scale = 1) {
+    return step.speed !== undefined ? step.speed : mover.speed * scale;
+}
+
+// Velocity that lands the ship exactly on a point this tick
+function moveTo(body, x, y, frames) {
+    if (frames <= 0) return { x: 0, y: 0 };
+    return { x: (x - body.x) / frames, y: (y - body.y) / frames };
+}
+
+// Velocity that flies straight at a point, no faster than speed, and settles on it
+function chase(body, x, y, speed, frames) {
+    const dx = x - body.x;
+    const dy = y - body.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    
+    if (distance <= speed * frames) {
+        return moveTo(body, x, y, frames);
+    }
+    return { x: dx / distance * speed, y: dy / distance * speed };
+}
+
+// Turn a heading towards a desired angle by at most maxTurn radians
+export function turnTowards(heading, desired, maxTurn) {
+    const difference = Math.atan2(Math.sin(desired - heading), Math.cos(desired - heading));
+    return heading + Math.max(-maxTurn, Math.min(maxTurn, difference));
+}
+
+// Paths mirror when the ship starts on the right half, so they curve towards the middle of the screen
+function getMirror(mover, body, context) {
+    return mover.anchorX + body.width / 2 > context.canvasWidth / 2 ? -1 : 1;
+}
+
+export const MOVEMENT_PATTERNS = {
+    // Sine weave around the x the step started at
+    zigzag: {
+        defaults: { amplitude: 60, frequency: 0.003 },
+        start(mover, step, body) {
+            mover.anchorX = body.x;
+            mover.phase = 0;
+        },
+        update(mover, step, body, context) {
+            mover.phase += context.deltaTime * step.frequency;
+            
+            // Keep the whole weave on screen
+            const targetX = mover.anchorX + Math.sin(mover.phase) * step.amplitude;
+            if (targetX < 0) {
+                mover.anchorX = step.amplitude;
+            } else if (targetX + body.width > context.canvasWidth) {
+                mover.anchorX = context.canvasWidth - body.width - step.amplitude;
+            }
+            
+            // Ease towards the weave rather than snapping onto it
+            const newTargetX = mover.anchorX + Math.sin(mover.phase) * step.amplitude;
+            return { x: (newTargetX - body.x) * 0.1, y: getSpeed(mover, step) };
+        }
+    },
+    
+    // Straight line at `angle` degrees off vertical, or at the player when `aim` is set
+    dive: {
+        defaults: { angle: 0, aim: false },
+        start(mover, step, body, context) {
+            const { target } = context;
+            if (step.aim && target) {
+                mover.heading = Math.atan2(target.y - (body.y + body.height / 2), target.x - (body.x + body.width / 2));
+            } else {
+                mover.heading = Math.PI / 2 - step.angle * DEGREES * mover.direction;
+            }
+        },
+        update(mover, step) {
+            const speed = getSpeed(mover, step, 2);
+            return { x: Math.cos(mover.heading) * speed, y: Math.sin(mover.heading) * speed };
+        }
+    },
+    
+    // Fly down to `depth` (fraction of the screen height), then bank away and leave over the far side
+    swoop: {
+        defaults: { depth: 0.4, turnRate: 90, turn: 150 },
+        start(mover, step, body) {
+            mover.anchorX = body.x;
+            mover.heading = Math.PI / 2;
+            mover.phase = 0; // Degrees turned so far
+        },
+        update(mover, step, body, context) {
+            if (body.y + body.height / 2 > step.depth * context.canvasHeight && mover.phase < step.turn) {
+                const turn = Math.min(step.turn - mover.phase, step.turnRate * context.deltaTime / 1000);
+                mover.phase += turn;
+                mover.heading -= getMirror(mover, body, context) * turn * DEGREES;
+            }
+            
+            const speed = getSpeed(mover, step, 1.5);
+            return { x: Math.cos(mover.heading) * speed, y: Math.sin(mover.heading) * speed };
+        }
+    },
+    
+    // Orbit a point below where the step started, drifting down the screen
+    circle: {
+        defaults: { duration: 4000, radius: 60, angularSpeed: 180, drift: 0.5 },
+        start(mover, step, body) {
+            mover.anchorX = body.x;
+            mover.anchorY = body.y + step.radius;
+            mover.phase = -Math.PI / 2; // Top of the circle
+        },
+        update(mover, step, body, context) {
+            const frames = getFrames(context.deltaTime);
+            mover.anchorY += step.drift * frames;
+            mover.phase += mover.direction * step.angularSpeed * DEGREES * context.deltaTime / 1000;
+            
+            return moveTo(body, mover.anchorX + Math.cos(mover.phase) * step.radius, mover.anchorY + Math.sin(mover.phase) * step.radius, frames);
+        }
+    },
+    
+    // Chase the player, turning at most `turnRate` degrees per second
+    homing: {
+        defaults: { turnRate: 120 },
+        start(mover) {
+            mover.heading = Math.PI / 2;
+        },
+        update(mover, step, body, context) {
+            const { target } = context;
+            if (target) {
+                const desired = Math.atan2(target.y - (body.y + body.height / 2), target.x - (body.x + body.width / 2));
+                mover.heading = turnTowards(mover.heading, desired, step.turnRate * DEGREES * context.deltaTime / 1000);
+            }
+            
+            const speed = getSpeed(mover, step, 1.5);
+            return { x: Math.cos(mover.heading) * speed, y: Math.sin(mover.heading) * speed };
+        }
+    },
+    
+    // Fly to a slot (fractions of the screen; x defaults to the ship's own column) and hold it
+    formation: {
+        defaults: { duration: 3000, x: null, y: 0.25 },
+        start(mover, step, body, context) {
+            mover.anchorX = step.x === null ? body.x : step.x * context.canvasWidth - body.width / 2;
+            mover.anchorY = step.y * context.canvasHeight - body.height / 2;
+        },
+        update(mover, step, body, context) {
+            return chase(body, mover.anchorX, mover.anchorY, getSpeed(mover, step, 1.5), getFrames(context.deltaTime));
+        }
+    },
+    
+    // Hold a height (fraction of the screen) and sweep from side to side across the middle;
+    // `amplitude` is the fraction of the screen width either side of centre
+    strafe: {
+        defaults: { y: 0.2, amplitude: 0.3, frequency: 0.0008 },
+        start(mover) {
+            mover.phase = 0;
+        },
+        update(mover, step, body, context) {
+            mover.phase += context.deltaTime * step.frequency;
+            
+            const x = (0.5 + Math.sin(mover.phase) * step.amplitude) * context.canvasWidth - body.width / 2;
+            const y = step.y * context.canvasHeight - body.height / 2;
+            return chase(body, x, y, getSpeed(mover, step, 1.5), getFrames(context.deltaTime));
+        }
+    },
+    
+    // Cubic bezier from where the step started through three points given as pixel offsets from it
+    bezier: {
+        defaults: { duration: 2500, points: [[0, 120], [150, 120], [150, 240]] },
+        start(mover, step, body) {
+            mover.anchorX = body.x;
+            mover.anchorY = body.y;
+        },
+        update(mover, step, body, context) {
+            const t = Math.min(1, mover.movementTime / step.duration);
+            const u = 1 - t;
+            const [p1, p2, p3] = step.points;
+            
+            // P0 is the start point, i.e. offset (0, 0)
+            const x = 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0];
+            const y = 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1];
+            const mirror = getMirror(mover, body, context);
+            
+            return { ...moveTo(body, mover.anchorX + x * mirror, mover.anchorY + y, getFrames(context.deltaTime)), done: t >= 1 };
+        }
+    }
+};
+
+// Turn a definition's movement (one step or a list of them) into complete steps; throws on anything invalid
+export function normalizeMovement(movement = { pattern: 'zigzag' }) {
+    const steps = Array.isArray(movement) ? movement : [movement];
+    if (steps.length === 0) throw new Error('movement needs at least one step');
+    
+    return steps.map((step, index) => {
+        const pattern = MOVEMENT_PATTERNS[step.pattern];
+        if (!pattern) throw new Error(`unknown movement pattern '${step.pattern}' (step ${index + 1})`);
+        
+        // null rather than Infinity so steps survive JSON snapshots
+        const normalized = { duration: null, ...pattern.defaults, ...step };
+        if (normalized.duration !== null && !(normalized.duration > 0)) throw new Error(`movement step ${index + 1} needs a positive duration`);
+        if (step.pattern === 'bezier' && !(normalized.duration > 0 && Array.isArray(normalized.points) && normalized.points.length === 3)) {
+            throw new Error(`bezier step ${index + 1} needs a duration and three points`);
+        }
+        return normalized;
+    });
+}
+
+// Run the mover's current step for one tick and return its velocity; ships past their last step dive straight down
+export function updateMovement(mover, body, context) {
+    const step = mover.movement[mover.movementStep];
+    if (!step) return { x: 0, y: mover.speed };
+    
+    const pattern = MOVEMENT_PATTERNS[step.pattern];
+    if (!mover.movementStarted) {
+        pattern.start(mover, step, body, context);
+        mover.movementStarted = true;
+    }
+    
+    mover.movementTime += context.deltaTime;
+    const velocity = pattern.update(mover, step, body, context);
+    
+    // The next step starts from wherever this one left the ship
+    if (velocity.done || (step.duration !== null && mover.movementTime >= step.duration)) {
+        mover.movementStep++;
+        mover.movementTime = 0;
+        mover.movementStarted = false;
+    }
+    
+    return velocity;
+}
+
+// Ships leave once they are well clear of the bottom or either side, or flying away off the top
+export function isOffScreen(body, velocity, canvasWidth, canvasHeight) {
+    return body.y > canvasHeight + 50 ||
+        body.x + body.width < -50 ||
+        body.x > canvasWidth + 50 ||
+        (velocity.y < 0 && body.y + body.height < -50);
+}
\ No newline at end of file
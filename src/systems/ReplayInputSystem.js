@@ -0,0 +1,82 @@
+// Replay Input System - Plays a recorded replay back in place of the keyboard, one frame per simulation tick
+// Drop-in for InputSystem: PlayerInputSystem, ScannerSystem and the game's handleInput read it the same way
+import { KEYS } from '../utils/GameConstants.js';
+
+export class ReplayInputSystem {
+    constructor(replay) {
+        this.replay = replay;
+        this.keyBits = new Map(replay.keys.map((key, bit) => [key, 1 << bit]));
+        
+        // Position within the run-length encoded frames
+        this.tick = 0;
+        this.frameIndex = 0;
+        this.frameTick = 0;
+        this.held = 0;
+        this.pressed = 0;
+        
+        // The first simulated tick plays the first frame
+        this.loadFrame();
+    }
+    
+    update() {
+        // Frames follow the simulation (see advance()), not the start of each tick
+    }
+    
+    // Move on to the next recorded tick; called after each simulated tick, mirroring ReplayRecorder.capture
+    advance() {
+        this.tick++;
+        this.frameTick++;
+        
+        const frame = this.replay.frames[this.frameIndex];
+        if (frame && this.frameTick >= frame[0]) {
+            this.frameIndex++;
+            this.frameTick = 0;
+        }
+        
+        this.loadFrame();
+    }
+    
+    loadFrame() {
+        const frame = this.replay.frames[this.frameIndex];
+        this.held = frame ? frame[1] : 0;
+        this.pressed = frame ? frame[2] : 0;
+    }
+    
+    isKeyPressed(keyCode) {
+        return (this.held & (this.keyBits.get(keyCode) || 0)) !== 0;
+    }
+    
+    isKeyJustPressed(keyCode) {
+        return (this.pressed & (this.keyBits.get(keyCode) || 0)) !== 0;
+    }
+    
+    isMouseClicked() {
+        return false;
+    }
+    
+    getClick() {
+        return null;
+    }
+    
+    // Get movement vector based on the recorded input
+    getMovementVector() {
+        let x = 0;
+        let y = 0;
+        
+        if (this.isKeyPressed(KEYS.ARROW_LEFT) || this.isKeyPressed(KEYS.A)) x -= 1;
+        if (this.isKeyPressed(KEYS.ARROW_RIGHT) || this.isKeyPressed(KEYS.D)) x += 1;
+        if (this.isKeyPressed(KEYS.ARROW_UP) || this.isKeyPressed(KEYS.W)) y -= 1;
+        if (this.isKeyPressed(KEYS.ARROW_DOWN) || this.isKeyPressed(KEYS.S)) y += 1;
+        
+        return { x, y };
+    }
+    
+    // True once every recorded tick has been played
+    isFinished() {
+        return this.tick >= this.replay.ticks;
+    }
+    
+    getProgress() {
+        return this.replay.ticks > 0 ? Math.min(1, this.tick / this.replay.ticks) : 1;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,184 @@
+// Replay Recorder - Captures the input the simulation sees on every tick, together with the run seed
+// Frames are run-length encoded as [ticks, heldMask, pressedMask] with one bit per key in REPLAY_KEYS
+import { GAME_CONFIG, KEYS } from '../utils/GameConstants.js';
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_STORAGE_KEY = 'spyshoot_replay';
+
+// Every key the game reads during a run (movement, shooting, scanner, pause, debug panel)
+export const REPLAY_KEYS = [...new Set([...Object.values(KEYS), 'KeyP', 'Enter', 'NumpadEnter'])];
+
+export class ReplayRecorder {
+    constructor(keys = REPLAY_KEYS) {
+        this.keys = keys;
+        this.replay = null;
+        this.lastFrame = null;
+        this.isRecording = false;
+    }
+    
+    /**
+     * Begin recording a run started from the given seed
+     */
+    start(seed) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed,
+            tickRate: GAME_CONFIG.SIMULATION_RATE,
+            keys: [...this.keys],
+            ticks: 0,
+            frames: [],
+            score: 0,
+            recordedAt: new Date().toISOString()
+        };
+        this.lastFrame = null;
+        this.isRecording = true;
+    }
+    
+    /**
+     * Record one simulation tick of input
+     */
+    capture(inputSystem) {
+        if (!this.isRecording) return;
+        
+        let held = 0;
+        let pressed = 0;
+        this.keys.forEach((key, bit) => {
+            if (inputSystem.isKeyPressed(key)) held |= 1 << bit;
+            if (inputSystem.isKeyJustPressed(key)) pressed |= 1 << bit;
+        });
+        
+        // Extend the current run while the input doesn't change
+        if (this.lastFrame && this.lastFrame[1] === held && this.lastFrame[2] === pressed) {
+            this.lastFrame[0]++;
+        } else {
+            this.lastFrame = [1, held, pressed];
+            this.replay.frames.push(this.lastFrame);
+        }
+        this.replay.ticks++;
+    }
+    
+    /**
+     * Copy of the replay recorded so far
+     */
+    getReplay() {
+        return this.replay ? { ...this.replay, keys: [...this.replay.keys], frames: this.replay.frames.map(frame => [...frame]) } : null;
+    }
+    
+    /**
+     * Continue recording a replay restored from a save game
+     */
+    resume(replay) {
+        this.replay = replay;
+        this.lastFrame = replay.frames[replay.frames.length - 1] || null;
+        this.isRecording = true;
+    }
+    
+    /**
+     * Drop everything recorded after the first ticks (e.g. when a run is rewound)
+     */
+    truncate(ticks) {
+        if (!this.isRecording || ticks >= this.replay.ticks) return;
+        
+        const frames = [];
+        let remaining = ticks;
+        for (const frame of this.replay.frames) {
+            if (remaining <= 0) break;
+            
+            const count = Math.min(frame[0], remaining);
+            frames.push([count, frame[1], frame[2]]);
+            remaining -= count;
+        }
+        
+        this.replay.frames = frames;
+        this.replay.ticks = ticks;
+        this.lastFrame = frames[frames.length - 1] || null;
+    }
+    
+    /**
+     * Stop recording and throw the replay away (the run no longer follows from its input, e.g. after a live edit)
+     */
+    discard(reason) {
+        if (!this.isRecording) return;
+        
+        this.isRecording = false;
+        this.replay = null;
+        this.lastFrame = null;
+        console.log(`📼 Replay discarded: ${reason}`);
+    }
+    
+    /**
+     * Finish recording; returns the replay (null if nothing was being recorded)
+     */
+    stop(score = 0) {
+        if (!this.isRecording) return null;
+        
+        this.isRecording = false;
+        this.replay.score = score;
+        console.log(`📼 Replay recorded: ${this.replay.ticks} ticks, seed ${this.replay.seed}`);
+        return this.replay;
+    }
+    
+    /**
+     * Serialize a replay to JSON
+     */
+    static toJSON(replay) {
+        return JSON.stringify(replay);
+    }
+    
+    /**
+     * Parse and validate a replay from JSON; returns null if it isn't a usable replay
+     */
+    static fromJSON(json) {
+        try {
+            const replay = JSON.parse(json);
+            if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.frames) || !Array.isArray(replay.keys)) {
+                console.warn('⚠️ Unsupported replay format');
+                return null;
+            }
+            return replay;
+        } catch (error) {
+            console.warn('⚠️ Failed to parse replay:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Save a replay to localStorage
+     */
+    static save(replay) {
+        try {
+            localStorage.setItem(REPLAY_STORAGE_KEY, ReplayRecorder.toJSON(replay));
+            console.log('💾 Replay saved');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to save replay:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved replay from localStorage
+     */
+    static load() {
+        try {
+            const saved = localStorage.getItem(REPLAY_STORAGE_KEY);
+            return saved ? ReplayRecorder.fromJSON(saved) : null;
+        } catch (error) {
+            console.warn('⚠️ Failed to load replay:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Download a replay as a JSON file
+     */
+    static export(replay) {
+        const blob = new Blob([ReplayRecorder.toJSON(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spyshoot-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Scanner system for identifying enemy types
 import { GAME_CONFIG, KEYS } from '../utils/GameConstants.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class ScannerSystem {
     constructor() {
@@ -7,16 +8,41 @@ export class ScannerSystem {
         this.energyDrainRate = GAME_CONFIG.SCANNER_ENERGY_DRAIN_RATE;
         this.scannerToggleCooldown = 200; // Prevent rapid toggling
         this.lastToggleTime = 0;
+        
+        // Cone and scan-lock rules
+        this.range = GAME_CONFIG.SCANNER_RANGE;
+        this.falloff = GAME_CONFIG.SCANNER_FALLOFF;
+        this.coneAngle = GAME_CONFIG.SCANNER_CONE_ANGLE * Math.PI / 180;
+        this.lockRate = GAME_CONFIG.SCANNER_LOCK_RATE;
+        this.level = 1; // Strength level, raised by upgrades
+        
+        // Current lock, refreshed every frame
+        this.targetCount = 0;
+        this.lockProgress = 0;
+        
+        // Event bus (set by the game)
+        this.events = null;
+    }
+    
+    // Set event bus used to announce scanner activation
+    setEventBus(events) {
+        this.events = events;
     }
     
-    update(deltaTime, inputSystem, energySystem, soundEffectManager = null, enhancedSoundEffects = null) {
+    emit(type) {
+        if (this.events) {
+            this.events.emit(type);
+        }
+    }
+    
+    update(deltaTime, inputSystem, energySystem) {
         const currentTime = Date.now();
         
         // Handle scanner toggle input
         if (inputSystem.isKeyJustPressed(KEYS.SCANNER) && 
             currentTime - this.lastToggleTime > this.scannerToggleCooldown) {
             
-            this.toggle(energySystem, soundEffectManager, enhancedSoundEffects);
+            this.toggle(energySystem);
             this.lastToggleTime = currentTime;
         }
         
@@ -26,36 +52,127 @@ export class ScannerSystem {
         }
     }
     
-    toggle(energySystem, soundEffectManager = null, enhancedSoundEffects = null) {
+    toggle(energySystem) {
         if (this.isActive) {
             this.deactivate();
         } else {
-            this.activate(energySystem, soundEffectManager, enhancedSoundEffects);
+            this.activate(energySystem);
         }
     }
     
-    activate(energySystem, soundEffectManager = null, enhancedSoundEffects = null) {
+    activate(energySystem) {
         // Only activate if there's energy available
         if (!energySystem.isEmpty()) {
             this.isActive = true;
+            this.emit(GAME_EVENTS.SCAN_STARTED);
+        }
+    }
+    
+    deactivate() {
+        if (this.isActive) {
+            this.isActive = false;
+            this.emit(GAME_EVENTS.SCAN_STOPPED);
+        }
+    }
+    
+    // Build scan-lock progress on enemy ships inside the cone ahead of the player
+    updateReveals(deltaTime, player, enemies) {
+        const nose = { x: player.x + player.width / 2, y: player.y };
+        this.targetCount = 0;
+        this.lockProgress = 0;
+        
+        for (const enemy of enemies) {
+            const lockRate = this.isActive ? this.getLockRate(nose, enemy.getCenterPosition()) : 0;
+            enemy.updateReveal(lockRate, deltaTime);
             
-            // Play enhanced scanner activation sound
-            if (enhancedSoundEffects) {
-                enhancedSoundEffects.playScannerSound(true);
-            } else if (soundEffectManager) {
-                soundEffectManager.playSound('scanner_beep');
+            if (lockRate > 0) {
+                this.targetCount++;
+                
+                // Report the most advanced unfinished lock
+                if (!enemy.isRevealed()) {
+                    this.lockProgress = Math.max(this.lockProgress, enemy.revealProgress);
+                }
             }
         }
     }
     
-    deactivate() {
-        this.isActive = false;
+    // Lock progress per second for a target, or 0 when it is outside the cone
+    getLockRate(origin, target) {
+        const dx = target.x - origin.x;
+        const dy = target.y - origin.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > this.range + this.falloff) return 0;
+        
+        // The cone points straight up the screen, out of the ship's nose
+        const angle = Math.abs(Math.atan2(dx, -dy));
+        if (angle > this.coneAngle) return 0;
+        
+        // Full rate within range, fading linearly to zero across the falloff band
+        let distanceFactor = 1;
+        if (distance > this.range) {
+            distanceFactor = this.falloff > 0 ? 1 - (distance - this.range) / this.falloff : 0;
+        }
+        
+        return this.lockRate * this.getStrength() * distanceFactor;
     }
     
-    // Get outline color for enemy ships when scanner is active
-    getShipOutlineColor(ship) {
-        if (!this.isActive) return null;
+    // Get lock rate multiplier for the current strength level
+    getStrength() {
+        return 1 + (this.level - 1) * GAME_CONFIG.SCANNER_LEVEL_BONUS;
+    }
+    
+    // Raise scanner strength by one level; returns false when already maxed
+    upgradeStrength() {
+        if (this.level >= GAME_CONFIG.SCANNER_MAX_LEVEL) return false;
+        this.level++;
+        return true;
+    }
+    
+    // Get number of ships currently in the cone (scales energy drain)
+    getTargetCount() {
+        return this.targetCount;
+    }
+    
+    // Get progress (0-1) of the most advanced unfinished lock
+    getLockProgress() {
+        return this.lockProgress;
+    }
+    
+    // Draw the scanner cone ahead of the player
+    renderCone(ctx, player) {
+        if (!this.isActive) return;
+        
+        const noseX = player.x + player.width / 2;
+        const noseY = player.y;
+        const startAngle = -Math.PI / 2 - this.coneAngle;
+        const endAngle = -Math.PI / 2 + this.coneAngle;
+        
+        ctx.save();
+        
+        // Faint outer band where the lock rate falls off
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.04)';
+        ctx.beginPath();
+        ctx.moveTo(noseX, noseY);
+        ctx.arc(noseX, noseY, this.range + this.falloff, startAngle, endAngle);
+        ctx.closePath();
+        ctx.fill();
         
+        // Full-rate range
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.08)';
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(noseX, noseY);
+        ctx.arc(noseX, noseY, this.range, startAngle, endAngle);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+    
+    // Get outline color for scanned enemy ships
+    getShipOutlineColor(ship) {
         switch (ship.type) {
             case 'enemy':
                 return GAME_CONFIG.COLORS.SCANNER_ENEMY; // Red
@@ -73,17 +190,22 @@ export class ScannerSystem {
     
     // Get scanner status for UI
     getStatus() {
-        return this.isActive ? 'ACTIVE' : 'READY';
+        if (!this.isActive) return 'READY';
+        if (this.lockProgress > 0) return `LOCK ${Math.floor(this.lockProgress * 100)}%`;
+        return 'ACTIVE';
     }
     
     // Reset scanner (for game restart)
     reset() {
         this.isActive = false;
         this.lastToggleTime = 0;
+        this.level = 1;
+        this.targetCount = 0;
+        this.lockProgress = 0;
     }
     
     // Force deactivate (for energy depletion)
     forceDeactivate() {
-        this.isActive = false;
+        this.deactivate();
     }
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
 // Score management system for SpyShoot
+import { GAME_EVENTS } from '../core/EventBus.js';
+
 export class ScoreSystem {
     constructor() {
         this.currentScore = 0;
@@ -6,7 +8,8 @@ export class ScoreSystem {
         this.enemiesDestroyed = 0;
         this.spyAliensPenalized = 0;
         this.comboCount = 0;
-        this.lastKillTime = 0;
+        this.time = 0; // Simulation time in milliseconds, advanced by update()
+        this.lastKillTime = -Infinity;
         this.comboTimeWindow = 3000; // 3 seconds for combo
         
         // Achievement tracking
@@ -15,6 +18,39 @@ export class ScoreSystem {
         
         // Sound effect integration
         this.enhancedSoundEffects = null;
+        
+        // Event bus integration
+        this.events = null;
+        this.unsubscribers = [];
+    }
+    
+    // Set event bus and score destroyed targets reported on it
+    setEventBus(events) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.events = events;
+        this.unsubscribers = [
+            events.on(GAME_EVENTS.TARGET_DESTROYED, (event) => this.handleTargetDestroyed(event))
+        ];
+    }
+    
+    handleTargetDestroyed({ kind, points }) {
+        if (kind === 'spy') {
+            this.addSpyPenalty(points);
+        } else if (kind === 'enemy' || kind === 'rock') {
+            this.addEnemyKill(points);
+        }
+    }
+    
+    // Publish the current score to subscribers (HUD)
+    emitScoreChanged() {
+        if (this.events) {
+            this.events.emit(GAME_EVENTS.SCORE_CHANGED, { score: this.currentScore });
+        }
+    }
+    
+    // Advance the clock combos are timed against
+    update(deltaTime) {
+        this.time += deltaTime;
     }
     
     // Set enhanced sound effects reference
@@ -34,7 +70,7 @@ export class ScoreSystem {
         this.enemiesDestroyed++;
         
         // Check for combo
-        const currentTime = Date.now();
+        const currentTime = this.time;
         if (currentTime - this.lastKillTime < this.comboTimeWindow) {
             this.comboCount++;
             // Add combo bonus
@@ -62,6 +98,7 @@ export class ScoreSystem {
         
         // Check for score milestones
         this.checkMilestones(previousScore);
+        this.emitScoreChanged();
     }
     
     // Check if score crossed any milestones
@@ -95,6 +132,7 @@ export class ScoreSystem {
         
         // Ensure score doesn't go negative
         this.currentScore = Math.max(0, this.currentScore);
+        this.emitScoreChanged();
     }
     
     // Get current score
@@ -126,7 +164,7 @@ export class ScoreSystem {
     getComboInfo() {
         return {
             count: this.comboCount,
-            timeRemaining: Math.max(0, this.comboTimeWindow - (Date.now() - this.lastKillTime))
+            timeRemaining: Math.max(0, this.comboTimeWindow - (this.time - this.lastKillTime))
         };
     }
     
@@ -147,7 +185,8 @@ export class ScoreSystem {
         this.enemiesDestroyed = 0;
         this.spyAliensPenalized = 0;
         this.comboCount = 0;
-        this.lastKillTime = 0;
+        this.lastKillTime = -Infinity;
+        this.emitScoreChanged();
     }
     
     // Load high score from localStorage
@@ -0,0 +1,75 @@
+// Scripted Input System - Input driven by code instead of the keyboard, for headless runs and tests
+// The script is called once per tick with the tick number and returns the keys held on that tick
+export class ScriptedInputSystem {
+    constructor(script = () => []) {
+        this.script = script;
+        this.tick = -1;
+        this.keys = new Set();
+        this.heldKeys = new Set(); // Held via press() until release()
+        this.pendingPresses = new Set(); // Taps for the next update()
+        this.justPressed = new Set();
+        this.mouseClicked = false;
+        this.pendingClick = null; // Click for the next update()
+        this.click = null;
+    }
+    
+    // Advance to the next tick: keys that weren't held last tick count as just pressed
+    update() {
+        this.tick++;
+        
+        const held = new Set([...this.script(this.tick, this), ...this.heldKeys]);
+        this.justPressed = this.pendingPresses;
+        held.forEach(key => {
+            if (!this.keys.has(key)) {
+                this.justPressed.add(key);
+            }
+        });
+        
+        this.keys = held;
+        this.pendingPresses = new Set();
+        this.click = this.pendingClick;
+        this.pendingClick = null;
+    }
+    
+    // Hold a key until it is released
+    press(keyCode) {
+        this.heldKeys.add(keyCode);
+    }
+    
+    release(keyCode) {
+        this.heldKeys.delete(keyCode);
+    }
+    
+    // Press and release a key within the next tick
+    tap(keyCode) {
+        this.pendingPresses.add(keyCode);
+    }
+    
+    // Click a canvas position on the next tick
+    clickAt(x, y) {
+        this.pendingClick = { x, y };
+    }
+    
+    clearPresses() {
+        this.pendingPresses.clear();
+        this.justPressed.clear();
+        this.pendingClick = null;
+        this.click = null;
+    }
+    
+    isKeyPressed(keyCode) {
+        return this.keys.has(keyCode);
+    }
+    
+    isKeyJustPressed(keyCode) {
+        return this.justPressed.has(keyCode);
+    }
+    
+    isMouseClicked() {
+        return this.mouseClicked;
+    }
+    
+    getClick() {
+        return this.click;
+    }
+}
\ No newline at end of file
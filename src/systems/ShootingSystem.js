@@ -5,7 +5,8 @@ import { GAME_CONFIG, KEYS } from '../utils/GameConstants.js';
 export class ShootingSystem {
     constructor() {
         this.bullets = [];
-        this.lastShotTime = 0;
+        this.time = 0; // Simulation time in milliseconds, advanced with the bullets
+        this.lastShotTime = -Infinity;
         this.fireRate = 200; // Milliseconds between shots (5 shots per second)
         
         // Track recent shots for dynamic music system
@@ -25,7 +26,7 @@ export class ShootingSystem {
     }
     
     handleShooting(inputSystem, player, gameState) {
-        const currentTime = Date.now();
+        const currentTime = this.time;
         
         // Check if player wants to shoot and can shoot
         if (inputSystem.isKeyPressed(KEYS.SPACE) && 
@@ -52,13 +53,15 @@ export class ShootingSystem {
         this.bullets.push(bullet);
         
         // Track recent shot for dynamic music system
-        this.recentShots.push(Date.now());
+        this.recentShots.push(this.time);
         
         // Trigger muzzle flash effect
         player.triggerMuzzleFlash();
     }
     
     updateBullets(deltaTime, canvasHeight) {
+        this.time += deltaTime;
+        
         // Update recent shots tracking
         this.updateRecentShots();
         
@@ -73,9 +76,8 @@ export class ShootingSystem {
      * Update recent shots tracking for dynamic music system
      */
     updateRecentShots() {
-        const currentTime = Date.now();
         this.recentShots = this.recentShots.filter(shotTime => 
-            currentTime - shotTime <= this.recentShotWindow
+            this.time - shotTime <= this.recentShotWindow
         );
     }
     
@@ -1,5 +1,6 @@
 // SoundEffectManager - Specialized sound effect playback with advanced features
 // Handles concurrent limiting, priority system, and sound effect pooling
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class SoundEffectManager {
     constructor(audioSystem) {
@@ -14,6 +15,9 @@ export class SoundEffectManager {
         this.maxGlobalConcurrent = 8;
         this.defaultCooldown = 50; // ms between same sound plays
         
+        // Game event subscriptions
+        this.unsubscribers = [];
+        
         console.log('🔊 SoundEffectManager initialized');
     }
     
@@ -34,6 +38,28 @@ export class SoundEffectManager {
         console.log(`📝 Registered sound effect: ${soundId} (priority: ${config.priority || 1})`);
     }
     
+    /**
+     * Subscribe to game events and play the plain explosion sounds for hits
+     * (used when enhanced sound effects aren't available to play them)
+     */
+    setEventBus(events) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [
+            events.on(GAME_EVENTS.TARGET_DESTROYED, ({ kind, x, y }) => this.playExplosion(kind, x, y)),
+            events.on(GAME_EVENTS.TARGET_DAMAGED, ({ kind, x, y }) => this.playExplosion(kind, x, y))
+        ];
+    }
+    
+    /**
+     * Play the explosion sound for a hit target
+     */
+    playExplosion(kind, x, y) {
+        if (kind === 'rock') {
+            return this.playSoundPositioned('explosion_rock', x, y, { pitchVariation: 0.2 });
+        }
+        return this.playSoundPositioned('explosion_enemy', x, y, { pitchVariation: 0.15 });
+    }
+    
     /**
      * Play a sound effect with advanced options
      */
@@ -2,14 +2,17 @@
 import { EnemyShip } from '../entities/EnemyShip.js';
 import { Rock } from '../entities/Rock.js';
 import { GAME_CONFIG } from '../utils/GameConstants.js';
+import { Random, RANDOM_STREAMS } from '../core/Random.js';
+import { enemyArchetypes } from '../factories/EnemyArchetypes.js';
 
 export class SpawningSystem {
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, random = new Random()) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
+        this.random = random;
         
-        // Spawn timing
-        this.lastSpawnTime = 0;
+        // Spawn timing (game time, so seeded runs spawn identically)
+        this.lastSpawnTime = -Infinity;
         this.baseSpawnInterval = 2000; // 2 seconds between spawns initially
         this.currentSpawnInterval = this.baseSpawnInterval;
         
@@ -38,7 +41,7 @@ export class SpawningSystem {
     }
     
     update(deltaTime, gameState) {
-        const currentTime = Date.now();
+        const currentTime = gameState.timePlayed;
         
         // Update difficulty based on time played
         this.updateDifficulty(gameState.timePlayed);
@@ -82,7 +85,7 @@ export class SpawningSystem {
         const probabilities = this.getCurrentSpawnProbabilities();
         
         // Random choice: Alien or Rock with environment-modified probabilities
-        const spawnType = Math.random();
+        const spawnType = this.random.stream(RANDOM_STREAMS.SPAWNING).next();
         
         if (spawnType < probabilities.alien) {
             this.spawnAlien();
@@ -130,16 +133,17 @@ export class SpawningSystem {
     
     spawnAlien() {
         // Random X position across canvas width
-        const x = Math.random() * (this.canvasWidth - 25); // 25 is ship width
-        const y = -30; // Start above screen
+        const rng = this.random.stream(RANDOM_STREAMS.SPAWNING);
+        const x = rng.range(0, this.canvasWidth - enemyArchetypes.get('enemy').size.width);
         
         // Determine if this should be a spy alien using environment-modified ratio
         const modifiedSpyRatio = this.getModifiedSpyRatio();
-        const isSpy = Math.random() < modifiedSpyRatio;
+        const isSpy = rng.chance(modifiedSpyRatio);
         const type = isSpy ? 'spy' : 'enemy';
+        const y = -enemyArchetypes.get(type).size.height; // Start above screen
         
         // Create enemy ship
-        const enemy = new EnemyShip(x, y, type);
+        const enemy = new EnemyShip(x, y, type, this.random);
         
         // Adjust speed based on difficulty and environment
         const baseSpeed = 2 + (this.difficultyLevel - 1) * 0.3;
@@ -154,11 +158,11 @@ export class SpawningSystem {
     
     spawnRock() {
         // Random X position across canvas width
-        const x = Math.random() * (this.canvasWidth - 35); // 35 is max rock size
+        const x = this.random.stream(RANDOM_STREAMS.SPAWNING).range(0, this.canvasWidth - 35); // 35 is max rock size
         const y = -40; // Start above screen
         
         // Create rock
-        const rock = new Rock(x, y);
+        const rock = new Rock(x, y, this.random);
         
         // Adjust speed based on difficulty and environment (rocks get faster but stay slower than enemies)
         const baseSpeed = 1.5 + (this.difficultyLevel - 1) * 0.2;
@@ -241,7 +245,7 @@ export class SpawningSystem {
     clearAll() {
         this.enemies = [];
         this.rocks = [];
-        this.lastSpawnTime = 0;
+        this.lastSpawnTime = -Infinity;
         this.difficultyLevel = 1;
         this.currentSpawnInterval = this.baseSpawnInterval;
         this.spyAlienRatio = 0.3;
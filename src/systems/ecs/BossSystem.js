@@ -0,0 +1,136 @@
+// Boss System - Keeps boss hitboxes on their boss, switches phases at health thresholds and launches escort waves
+// Escorts are ordinary archetype ships (often disguised spies) created through the game manager; hostile escorts
+// from a shielding phase keep the boss from taking damage until they are shot down
+import { System } from '../../core/EntityComponentSystem.js';
+import { GAME_EVENTS } from '../../core/EventBus.js';
+import { Random, RANDOM_STREAMS } from '../../core/Random.js';
+import { Transform, Sprite, EnemyAI, EnemyWeapon, Health, Boss, BossPart, Enemy } from '../../components/CoreComponents.js';
+import { bosses } from '../../factories/Bosses.js';
+import { enemyArchetypes } from '../../factories/EnemyArchetypes.js';
+import { GAME_CONFIG } from '../../utils/GameConstants.js';
+
+export class BossSystem extends System {
+    constructor(spawnEscort, random = new Random(), registry = bosses) {
+        super();
+        this.requiredComponents = [Transform, Health, Boss, Enemy];
+        this.priority = 11; // After movement, so hitboxes are where the boss is when collisions run
+        this.spawnEscort = spawnEscort; // (x, y, archetypeId) => enemy entity
+        this.random = random;
+        this.registry = registry;
+        this.hostileTimeScale = 1; // Below 1 while a time-slow power-up runs (set by the game manager)
+    }
+    
+    update(deltaTime) {
+        for (const entity of this.entities) {
+            if (!entity.active) continue;
+            
+            const boss = entity.getComponent(Boss);
+            const definition = this.registry.get(boss.bossId);
+            
+            this.updatePhase(entity, boss, definition);
+            this.updateEscorts(entity, boss, definition.phases[boss.phase], deltaTime * this.hostileTimeScale);
+            this.placeParts(entity, boss);
+        }
+    }
+    
+    // Move to the lowest phase whose health threshold has been reached
+    updatePhase(entity, boss, definition) {
+        const health = entity.getComponent(Health);
+        const fraction = health.currentHealth / health.maxHealth;
+        
+        let phase = boss.phase;
+        while (phase + 1 < definition.phases.length && fraction <= definition.phases[phase + 1].health) {
+            phase++;
+        }
+        if (phase !== boss.phase) {
+            this.enterPhase(entity, boss, definition, phase);
+        }
+    }
+    
+    // New movement and gun; the boss can't be hurt while it changes over
+    enterPhase(entity, boss, definition, index) {
+        const phase = definition.phases[index];
+        boss.phase = index;
+        boss.escortTimer = phase.escorts ? phase.escorts.interval / 2 : 0;
+        
+        const ai = entity.getComponent(EnemyAI);
+        ai.movement = phase.movement;
+        ai.movementStep = 0;
+        ai.movementTime = 0;
+        ai.movementStarted = false;
+        
+        const weapon = entity.getComponent(EnemyWeapon);
+        const { pattern, interval, bulletSpeed, count, angle, damage } = phase.firing;
+        Object.assign(weapon, { pattern, interval, bulletSpeed, count, angle, damage, cooldown: interval });
+        
+        const health = entity.getComponent(Health);
+        health.invulnerable = true;
+        health.invulnerabilityTimer = GAME_CONFIG.BOSS_PHASE_TRANSITION_TIME;
+        
+        const { x, y } = this.getCenter(entity);
+        this.world.events.emit(GAME_EVENTS.BOSS_PHASE_CHANGED, { boss: entity, bossId: boss.bossId, phase: index, name: phase.name, x, y });
+    }
+    
+    // Forget escorts that are gone, launch the next wave when it is due and raise the shield while hostiles fly
+    updateEscorts(entity, boss, phase, deltaTime) {
+        boss.escorts = boss.escorts.filter(escort => escort.active);
+        
+        // A wave that comes due before the boss is on screen waits for it
+        const escorts = phase.escorts;
+        if (escorts) {
+            boss.escortTimer = Math.max(0, boss.escortTimer - deltaTime);
+            if (boss.escortTimer === 0 && entity.getComponent(Transform).y >= 0) {
+                boss.escortTimer = escorts.interval;
+                this.launchEscorts(entity, boss, escorts);
+            }
+        }
+        
+        boss.shielded = Boolean(escorts && escorts.shield) &&
+            boss.escorts.some(escort => escort.getComponent(EnemyAI).type === 'enemy');
+    }
+    
+    // One wave in a line under the boss, shuffled so the spies can't be told apart by where they start
+    launchEscorts(entity, boss, escorts) {
+        const room = escorts.max - boss.escorts.length;
+        if (room <= 0) return;
+        
+        const wave = this.random.stream(RANDOM_STREAMS.AI).shuffle(escorts.archetypes).slice(0, room);
+        const transform = entity.getComponent(Transform);
+        const sprite = entity.getComponent(Sprite);
+        const spacing = sprite.width / wave.length;
+        
+        wave.forEach((archetypeId, index) => {
+            const { size } = enemyArchetypes.get(archetypeId);
+            const x = transform.x + spacing * (index + 0.5) - size.width / 2;
+            boss.escorts.push(this.spawnEscort(x, transform.y + sprite.height, archetypeId));
+        });
+    }
+    
+    // Hitboxes follow the boss, including where it was last tick so swept shots line up
+    placeParts(entity, boss) {
+        const transform = entity.getComponent(Transform);
+        
+        boss.parts.forEach(part => {
+            const partTransform = part.getComponent(Transform);
+            const { offsetX, offsetY } = part.getComponent(BossPart);
+            partTransform.x = transform.x + offsetX;
+            partTransform.y = transform.y + offsetY;
+            partTransform.prevX = transform.prevX + offsetX;
+            partTransform.prevY = transform.prevY + offsetY;
+        });
+    }
+    
+    // A destroyed boss takes its hitboxes with it
+    onEntityRemoved(entity) {
+        entity.getComponent(Boss).parts.forEach(part => part.destroy());
+    }
+    
+    getCenter(entity) {
+        const transform = entity.getComponent(Transform);
+        const sprite = entity.getComponent(Sprite);
+        return {
+            x: transform.x + (sprite ? sprite.width / 2 : 0),
+            y: transform.y + (sprite ? sprite.height / 2 : 0)
+        };
+    }
+}
\ No newline at end of file
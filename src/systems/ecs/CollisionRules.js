@@ -0,0 +1,86 @@
+// Collision Rules - Response table for the ECS CollisionSystem, keyed by tag pairs
+// Handlers receive the colliding entities in the order their tags are listed, plus the system for shared helpers
+import { Player, Enemy, Bullet, EnemyBullet, Rock, PowerUp, EnemyAI, Projectile, Health, BossPart } from '../../components/CoreComponents.js';
+import { GAME_CONFIG } from '../../utils/GameConstants.js';
+
+export const COLLISION_RULES = [
+    {
+        // Shots destroy ships; the kill is credited to whoever fired
+        tags: [Bullet, Enemy],
+        onCollide(system, bullet, enemy) {
+            if (system.spendShot(bullet, enemy)) {
+                system.damageTarget(enemy, bullet);
+            }
+        }
+    },
+    {
+        // Bosses are hit through their hitboxes; a piercing shot hits the boss once, however many boxes it crosses
+        tags: [Bullet, BossPart],
+        onCollide(system, bullet, part) {
+            const { boss } = part.getComponent(BossPart);
+            if (boss && boss.active && system.spendShot(bullet, boss)) {
+                system.damageBoss(boss, part, bullet);
+            }
+        }
+    },
+    {
+        // Rocks can take several shots before breaking
+        tags: [Bullet, Rock],
+        onCollide(system, bullet, rock) {
+            if (system.spendShot(bullet, rock)) {
+                system.damageTarget(rock, bullet);
+            }
+        }
+    },
+    {
+        // Ramming a ship wrecks it but costs energy and hull, and earns nothing
+        tags: [Player, Enemy],
+        onCollide(system, player, enemy) {
+            const ai = enemy.getComponent(EnemyAI);
+            enemy.destroy();
+            system.hitPlayer(player, enemy, ai ? ai.collisionDamage : GAME_CONFIG.ENEMY_COLLISION_DAMAGE);
+            system.damagePlayer(player, enemy, GAME_CONFIG.ENEMY_RAM_HULL_DAMAGE);
+        }
+    },
+    {
+        // Flying into a boss costs energy and hull but doesn't hurt the boss; no more until the hull's grace period ends
+        tags: [Player, BossPart],
+        onCollide(system, player, part) {
+            const { boss } = part.getComponent(BossPart);
+            const health = player.getComponent(Health);
+            if (!boss || !boss.active || (health && health.invulnerable)) return;
+            
+            system.hitPlayer(player, part, boss.getComponent(EnemyAI).collisionDamage);
+            system.damagePlayer(player, part, GAME_CONFIG.BOSS_RAM_HULL_DAMAGE);
+        }
+    },
+    {
+        // Enemy fire dents the hull; shots that land during the invulnerability window are absorbed,
+        // and a spy's decoy shots (no damage) just fizzle
+        tags: [EnemyBullet, Player],
+        onCollide(system, bullet, player) {
+            bullet.destroy();
+            const { damage } = bullet.getComponent(Projectile);
+            if (damage > 0) {
+                system.damagePlayer(player, bullet, damage);
+            }
+        }
+    },
+    {
+        // Rocks shatter on the hull for heavy energy and hull damage
+        tags: [Player, Rock],
+        onCollide(system, player, rock) {
+            rock.destroy();
+            system.hitPlayer(player, rock, GAME_CONFIG.ROCK_COLLISION_DAMAGE);
+            system.damagePlayer(player, rock, GAME_CONFIG.ROCK_HULL_DAMAGE);
+        }
+    },
+    {
+        // Flying into a pickup collects it
+        tags: [Player, PowerUp],
+        onCollide(system, player, pickup) {
+            pickup.destroy();
+            system.collectPowerUp(player, pickup);
+        }
+    }
+];
\ No newline at end of file
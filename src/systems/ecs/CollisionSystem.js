@@ -1,101 +1,409 @@
-// Collision System - Handles collision detection and response
+// Collision System - Spatial hash broadphase, AABB narrow phase and rule-based collision response
 import { System } from '../../core/EntityComponentSystem.js';
-import { Transform, Collider, Health, Score, Energy } from '../../components/CoreComponents.js';
+import { GAME_EVENTS } from '../../core/EventBus.js';
+import { SpatialHash } from '../../core/SpatialHash.js';
+import { Transform, Sprite, Collider, Health, Score, Projectile, EnemyAI, PlayerController, Pickup, Boss, BossPart, Player, Rock, Bullet, EnemyBullet, PowerUp } from '../../components/CoreComponents.js';
+import { COLLISION_RULES } from './CollisionRules.js';
+import { GAME_CONFIG } from '../../utils/GameConstants.js';
 
 export class CollisionSystem extends System {
-    constructor() {
+    constructor(cellSize = GAME_CONFIG.COLLISION_CELL_SIZE, rules = COLLISION_RULES) {
         super();
         this.requiredComponents = [Transform, Collider];
         this.priority = 15; // After movement
         this.collisions = [];
+        
+        // Response rules: first tag -> second tag -> handler
+        this.rules = new Map();
+        this.ruleTags = new Set();
+        rules.forEach(rule => this.addRule(rule.tags[0], rule.tags[1], rule.onCollide));
+        
+        // Broadphase: colliders are bucketed into grid cells so only neighbours are tested
+        this.grid = new SpatialHash(cellSize);
+        this.broadphaseStats = {
+            colliders: 0,
+            cells: 0,
+            candidatePairs: 0,
+            hits: 0
+        };
     }
     
     update(deltaTime) {
         this.collisions.length = 0;
         
-        // Get all entities with colliders
-        const entities = Array.from(this.entities);
+        const entities = this.buildGrid();
+        const pairs = this.findCandidatePairs(entities);
         
-        // Check all pairs for collisions
-        for (let i = 0; i < entities.length; i++) {
-            for (let j = i + 1; j < entities.length; j++) {
-                const entityA = entities[i];
-                const entityB = entities[j];
-                
-                if (this.checkCollision(entityA, entityB)) {
-                    this.collisions.push({ entityA, entityB });
-                    this.handleCollision(entityA, entityB);
-                }
+        // Narrow phase over the pairs that share a cell and can interact
+        const hits = [];
+        for (const [entityA, entityB] of pairs) {
+            const time = this.getImpactTime(entityA, entityB);
+            if (time !== null) {
+                hits.push({ entityA, entityB, time });
             }
         }
+        
+        // Resolve in order of impact so a fast bullet hits the first thing in its path
+        hits.sort((a, b) => a.time - b.time);
+        
+        for (const { entityA, entityB } of hits) {
+            // Skip entities destroyed by an earlier hit this frame
+            if (!entityA.active || !entityB.active) continue;
+            
+            this.collisions.push({ entityA, entityB });
+            this.handleCollision(entityA, entityB);
+        }
+        
+        this.broadphaseStats.colliders = entities.length;
+        this.broadphaseStats.cells = this.grid.getCellCount();
+        this.broadphaseStats.candidatePairs = pairs.length;
+        this.broadphaseStats.hits = this.collisions.length;
     }
     
-    checkCollision(entityA, entityB) {
-        const transformA = entityA.getComponent(Transform);
+    // Bucket every active, enabled collider into the cells its bounds overlap
+    buildGrid() {
+        const entities = [];
+        this.grid.clear();
+        
+        for (const entity of this.entities) {
+            if (!entity.active || !entity.getComponent(Collider).enabled) continue;
+            
+            const bounds = this.getSweptBounds(entity);
+            this.grid.insert(entities.length, bounds.left, bounds.top, bounds.right, bounds.bottom);
+            entities.push(entity);
+        }
+        
+        return entities;
+    }
+    
+    // Unique pairs sharing at least one cell whose layers and masks allow a collision
+    findCandidatePairs(entities) {
+        const pairs = [];
+        const seen = new Set();
+        
+        this.grid.forEachCell(cell => {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const a = Math.min(cell[i], cell[j]);
+                    const b = Math.max(cell[i], cell[j]);
+                    const entityA = entities[a];
+                    const entityB = entities[b];
+                    
+                    if (!this.canCollide(entityA, entityB)) continue;
+                    
+                    // Large colliders span several cells; test each pair once
+                    const key = a * entities.length + b;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    
+                    pairs.push([entityA, entityB]);
+                }
+            }
+        });
+        
+        return pairs;
+    }
+    
+    canCollide(entityA, entityB) {
         const colliderA = entityA.getComponent(Collider);
-        const transformB = entityB.getComponent(Transform);
         const colliderB = entityB.getComponent(Collider);
         
-        // Check if collision layers match
-        if ((colliderA.collisionMask & colliderB.collisionLayer) === 0 &&
-            (colliderB.collisionMask & colliderA.collisionLayer) === 0) {
-            return false;
+        return (colliderA.collisionMask & colliderB.collisionLayer) !== 0 ||
+            (colliderB.collisionMask & colliderA.collisionLayer) !== 0;
+    }
+    
+    getBounds(entity) {
+        const transform = entity.getComponent(Transform);
+        const collider = entity.getComponent(Collider);
+        const left = transform.x + collider.offsetX;
+        const top = transform.y + collider.offsetY;
+        
+        return {
+            left,
+            top,
+            right: left + collider.width,
+            bottom: top + collider.height
+        };
+    }
+    
+    // Continuous colliders cover the whole path they moved along this frame
+    getSweptBounds(entity) {
+        const bounds = this.getBounds(entity);
+        if (!entity.getComponent(Collider).continuous) return bounds;
+        
+        const move = this.getDisplacement(entity);
+        return {
+            left: Math.min(bounds.left, bounds.left - move.x),
+            top: Math.min(bounds.top, bounds.top - move.y),
+            right: Math.max(bounds.right, bounds.right - move.x),
+            bottom: Math.max(bounds.bottom, bounds.bottom - move.y)
+        };
+    }
+    
+    // Movement this frame (MovementSystem records the previous position)
+    getDisplacement(entity) {
+        const transform = entity.getComponent(Transform);
+        return {
+            x: transform.x - transform.prevX,
+            y: transform.y - transform.prevY
+        };
+    }
+    
+    // AABB narrow phase (layers are already filtered by the broadphase)
+    checkCollision(entityA, entityB) {
+        return this.getImpactTime(entityA, entityB) !== null;
+    }
+    
+    // Fraction of the frame at which the pair first touches (1 for a plain overlap), or null if it doesn't
+    getImpactTime(entityA, entityB) {
+        const a = this.getBounds(entityA);
+        const b = this.getBounds(entityB);
+        
+        if (entityA.getComponent(Collider).continuous || entityB.getComponent(Collider).continuous) {
+            return this.sweep(a, b, this.getDisplacement(entityA), this.getDisplacement(entityB));
         }
         
-        // AABB collision detection
-        const aLeft = transformA.x + colliderA.offsetX;
-        const aRight = aLeft + colliderA.width;
-        const aTop = transformA.y + colliderA.offsetY;
-        const aBottom = aTop + colliderA.height;
+        return !(a.right < b.left || a.left > b.right || a.bottom < b.top || a.top > b.bottom) ? 1 : null;
+    }
+    
+    // Swept AABB: cast A's corner along its motion relative to B against B grown by A's size
+    sweep(a, b, moveA, moveB) {
+        const dx = moveA.x - moveB.x;
+        const dy = moveA.y - moveB.y;
+        const startX = a.left - dx;
+        const startY = a.top - dy;
+        
+        const target = {
+            left: b.left - (a.right - a.left),
+            top: b.top - (a.bottom - a.top),
+            right: b.right,
+            bottom: b.bottom
+        };
+        
+        let entry = 0;
+        let exit = 1;
+        const axes = [
+            { start: startX, delta: dx, min: target.left, max: target.right },
+            { start: startY, delta: dy, min: target.top, max: target.bottom }
+        ];
         
-        const bLeft = transformB.x + colliderB.offsetX;
-        const bRight = bLeft + colliderB.width;
-        const bTop = transformB.y + colliderB.offsetY;
-        const bBottom = bTop + colliderB.height;
+        for (const { start, delta, min, max } of axes) {
+            if (delta === 0) {
+                // Not moving on this axis: must already be within the slab
+                if (start < min || start > max) return null;
+            } else {
+                let near = (min - start) / delta;
+                let far = (max - start) / delta;
+                if (near > far) {
+                    [near, far] = [far, near];
+                }
+                entry = Math.max(entry, near);
+                exit = Math.min(exit, far);
+                if (entry > exit) return null;
+            }
+        }
+        
+        return entry;
+    }
+    
+    // Register the response for a pair of tag components; the handler gets (system, a, b) in tag order
+    addRule(tagA, tagB, onCollide) {
+        if (!this.rules.has(tagA)) {
+            this.rules.set(tagA, new Map());
+        }
+        this.rules.get(tagA).set(tagB, onCollide);
+        this.ruleTags.add(tagA);
+        this.ruleTags.add(tagB);
+    }
+    
+    // Find the rule for a pair, with the entities ordered to match its tags
+    findRule(entityA, entityB) {
+        const tagsA = this.getTags(entityA);
+        const tagsB = this.getTags(entityB);
         
-        return !(aRight < bLeft || aLeft > bRight || aBottom < bTop || aTop > bBottom);
+        for (const tagA of tagsA) {
+            for (const tagB of tagsB) {
+                const forward = this.rules.get(tagA);
+                if (forward && forward.has(tagB)) {
+                    return { onCollide: forward.get(tagB), first: entityA, second: entityB };
+                }
+                
+                const reverse = this.rules.get(tagB);
+                if (reverse && reverse.has(tagA)) {
+                    return { onCollide: reverse.get(tagA), first: entityB, second: entityA };
+                }
+            }
+        }
+        return null;
+    }
+    
+    getTags(entity) {
+        return Array.from(this.ruleTags).filter(tag => entity.hasComponent(tag));
     }
     
     handleCollision(entityA, entityB) {
-        const healthA = entityA.getComponent(Health);
-        const healthB = entityB.getComponent(Health);
-        const scoreA = entityA.getComponent(Score);
-        const scoreB = entityB.getComponent(Score);
-        const energyA = entityA.getComponent(Energy);
-        const energyB = entityB.getComponent(Energy);
+        if (this.world) {
+            this.world.events.emit(GAME_EVENTS.COLLISION, { entityA, entityB });
+        }
         
-        // Handle damage
-        if (healthA && healthB) {
-            healthA.takeDamage(1);
-            healthB.takeDamage(1);
+        // Pairs without a rule (e.g. enemy vs rock) pass through each other
+        const rule = this.findRule(entityA, entityB);
+        if (rule) {
+            rule.onCollide(this, rule.first, rule.second);
         }
+    }
+    
+    // Apply a hit from source; scoring and energy react to the events instead of being applied here
+    damageTarget(target, source) {
+        const health = target.getComponent(Health);
+        const projectile = source.getComponent(Projectile);
+        const credit = this.getCredit(source);
         
-        // Handle scoring
-        if (scoreA && healthB && healthB.isDead()) {
-            // Entity A gets points for destroying entity B
-            scoreA.value += scoreB ? scoreB.value : 10;
+        if (health) {
+            health.takeDamage(projectile ? projectile.damage : 1);
         }
-        if (scoreB && healthA && healthA.isDead()) {
-            // Entity B gets points for destroying entity A
-            scoreB.value += scoreA ? scoreA.value : 10;
+        
+        if (!health || health.isDead()) {
+            this.emit(GAME_EVENTS.TARGET_DESTROYED, this.describeDestruction(target, credit));
+            target.destroy();
+        } else {
+            const { x, y } = this.getCenter(target);
+            this.emit(GAME_EVENTS.TARGET_DAMAGED, { target, by: credit, kind: this.getKind(target), x, y });
+        }
+    }
+    
+    // Hits reach a boss through one of its hitboxes: weak points take more, armour less, and nothing gets through
+    // its shield or its phase-change invulnerability. Kills and hits are reported for the boss itself
+    damageBoss(boss, part, source) {
+        const health = boss.getComponent(Health);
+        const projectile = source.getComponent(Projectile);
+        const { damageMultiplier, hitbox } = part.getComponent(BossPart);
+        const credit = this.getCredit(source);
+        
+        if (!boss.getComponent(Boss).shielded) {
+            health.takeDamage((projectile ? projectile.damage : 1) * damageMultiplier);
         }
         
-        // Handle energy transfer
-        if (energyA && scoreB && healthB && healthB.isDead()) {
-            // Restore energy when destroying enemies
-            energyA.restore(scoreB.value);
+        if (health.isDead()) {
+            this.emit(GAME_EVENTS.TARGET_DESTROYED, this.describeDestruction(boss, credit));
+            boss.destroy();
+        } else {
+            const { x, y } = this.getCenter(part);
+            this.emit(GAME_EVENTS.TARGET_DAMAGED, { target: boss, by: credit, kind: 'boss', hitbox, x, y });
         }
+    }
+    
+    // A shot stops at its target, unless it is piercing: then it carries on, hitting each target once.
+    // Returns false when the target was already hit
+    spendShot(shot, target) {
+        const projectile = shot.getComponent(Projectile);
+        if (!projectile || !projectile.piercing) {
+            shot.destroy();
+            return true;
+        }
+        
+        if (projectile.hits.includes(target.id)) return false;
+        projectile.hits.push(target.id);
+        return true;
+    }
+    
+    // Report energy damage to the player (applied by the game manager); shield bubbles absorb it
+    hitPlayer(player, source, damage) {
+        if (this.isShielded(player)) return;
+        
+        const { x, y } = this.getCenter(source);
+        this.emit(GAME_EVENTS.PLAYER_HIT, { player, source, kind: this.getKind(source), damage, x, y });
+    }
+    
+    // Apply hull damage to the player (ignored while invulnerable or shielded)
+    damagePlayer(player, source, damage) {
+        const health = player.getComponent(Health);
+        if (!health || this.isShielded(player) || !health.takeDamage(damage)) return;
+        
+        const { x, y } = this.getCenter(source);
+        this.emit(GAME_EVENTS.PLAYER_DAMAGED, { player, source, kind: this.getKind(source), damage, health: health.currentHealth, x, y });
+    }
+    
+    // Start the pickup's power-up on the player
+    collectPowerUp(player, pickup) {
+        const controller = player.getComponent(PlayerController);
+        const { powerUp } = pickup.getComponent(Pickup);
+        if (!controller || !powerUp) return;
+        
+        controller.applyPowerUp(powerUp);
         
-        // Destroy dead entities
-        if (healthA && healthA.isDead()) {
-            entityA.destroy();
+        const { x, y } = this.getCenter(pickup);
+        this.emit(GAME_EVENTS.POWER_UP_COLLECTED, { player, powerUp, x, y });
+    }
+    
+    isShielded(player) {
+        const controller = player.getComponent(PlayerController);
+        return controller ? controller.hasEffect('shield') : false;
+    }
+    
+    // Bullets credit the player who fired them
+    getCredit(entity) {
+        const projectile = entity.getComponent(Projectile);
+        return projectile && projectile.owner ? projectile.owner : entity;
+    }
+    
+    emit(type, payload) {
+        if (this.world) {
+            this.world.events.emit(type, payload);
         }
-        if (healthB && healthB.isDead()) {
-            entityB.destroy();
+    }
+    
+    describeDestruction(target, by) {
+        const score = target.getComponent(Score);
+        const { x, y } = this.getCenter(target);
+        
+        return {
+            target,
+            by,
+            kind: this.getKind(target),
+            points: score ? score.value : 10,
+            x,
+            y
+        };
+    }
+    
+    getCenter(entity) {
+        // A boss body has no collider of its own (its hitboxes do), so it is centred on its sprite
+        if (!entity.hasComponent(Collider)) {
+            const transform = entity.getComponent(Transform);
+            const sprite = entity.getComponent(Sprite);
+            return {
+                x: transform.x + (sprite ? sprite.width / 2 : 0),
+                y: transform.y + (sprite ? sprite.height / 2 : 0)
+            };
         }
+        
+        const bounds = this.getBounds(entity);
+        return {
+            x: (bounds.left + bounds.right) / 2,
+            y: (bounds.top + bounds.bottom) / 2
+        };
+    }
+    
+    getKind(entity) {
+        if (entity.hasComponent(Boss) || entity.hasComponent(BossPart)) return 'boss';
+        
+        const ai = entity.getComponent(EnemyAI);
+        if (ai) return ai.type;
+        if (entity.hasComponent(Player)) return 'player';
+        if (entity.hasComponent(Rock)) return 'rock';
+        if (entity.hasComponent(Bullet)) return 'bullet';
+        if (entity.hasComponent(EnemyBullet)) return 'enemyBullet';
+        if (entity.hasComponent(PowerUp)) return 'powerUp';
+        return 'unknown';
     }
     
     getCollisions() {
         return this.collisions;
     }
+    
+    // Broadphase statistics from the last update
+    getBroadphaseStats() {
+        return { ...this.broadphaseStats };
+    }
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 // Enemy AI System - Handles enemy movement and behavior
 import { System } from '../../core/EntityComponentSystem.js';
-import { Transform, Velocity, EnemyAI, Enemy } from '../../components/CoreComponents.js';
+import { Transform, Velocity, Sprite, EnemyAI, Enemy, Player } from '../../components/CoreComponents.js';
+import { updateMovement, isOffScreen } from '../MovementPatterns.js';
 
 export class EnemyAISystem extends System {
     constructor(canvasWidth, canvasHeight) {
@@ -9,49 +10,64 @@ export class EnemyAISystem extends System {
         this.priority = 8; // Before movement system
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
+        this.hostileTimeScale = 1; // Below 1 while a time-slow power-up runs (set by the game manager)
     }
     
     update(deltaTime) {
+        // Patterns run on the enemies' own (possibly slowed) clock
+        const context = {
+            deltaTime: deltaTime * this.hostileTimeScale,
+            canvasWidth: this.canvasWidth,
+            canvasHeight: this.canvasHeight,
+            target: this.getPlayerCenter()
+        };
+        
         for (const entity of this.entities) {
             const transform = entity.getComponent(Transform);
             const velocity = entity.getComponent(Velocity);
             const ai = entity.getComponent(EnemyAI);
+            const body = this.getBody(entity, transform);
             
-            // Move downward
-            velocity.y = ai.speed;
-            
-            // Update zig-zag movement
-            this.updateZigzagMovement(transform, velocity, ai, deltaTime);
+            // Fly the current step of the ship's movement sequence
+            const next = updateMovement(ai, body, context);
+            velocity.x = next.x;
+            velocity.y = next.y;
             
             // Update visual effects
-            ai.pulseTimer += deltaTime * 0.005;
+            ai.pulseTimer += context.deltaTime * 0.005;
             
-            // Mark for removal if off-screen
-            if (transform.y > this.canvasHeight + 50) {
+            // Mark for removal once it has left the screen
+            if (isOffScreen(body, velocity, this.canvasWidth, this.canvasHeight)) {
                 entity.destroy();
             }
         }
     }
     
-    updateZigzagMovement(transform, velocity, ai, deltaTime) {
-        // Update zig-zag timer
-        ai.zigzagTimer += deltaTime * ai.zigzagFrequency;
-        
-        // Calculate zig-zag offset using sine wave
-        const zigzagOffset = Math.sin(ai.zigzagTimer) * ai.zigzagAmplitude;
-        
-        // Apply zig-zag movement
-        const targetX = ai.centerX + zigzagOffset;
+    // The ship's box for the movement patterns (its sprite size)
+    getBody(entity, transform) {
+        const sprite = entity.getComponent(Sprite);
+        return {
+            x: transform.x,
+            y: transform.y,
+            width: sprite ? sprite.width : 0,
+            height: sprite ? sprite.height : 0
+        };
+    }
+    
+    // What homing and aimed dives steer at
+    getPlayerCenter() {
+        if (!this.world) return null;
         
-        // Keep within canvas bounds
-        if (targetX < 0) {
-            ai.centerX = ai.zigzagAmplitude;
-        } else if (targetX + 25 > this.canvasWidth) { // Assuming enemy width of 25
-            ai.centerX = this.canvasWidth - 25 - ai.zigzagAmplitude;
+        for (const entity of this.world.query(Player).entities) {
+            if (!entity.active) continue;
+            
+            const transform = entity.getComponent(Transform);
+            const sprite = entity.getComponent(Sprite);
+            return {
+                x: transform.x + (sprite ? sprite.width / 2 : 0),
+                y: transform.y + (sprite ? sprite.height / 2 : 0)
+            };
         }
-        
-        // Set horizontal velocity for smooth movement
-        const newTargetX = ai.centerX + Math.sin(ai.zigzagTimer) * ai.zigzagAmplitude;
-        velocity.x = (newTargetX - transform.x) * 0.1; // Smooth interpolation
+        return null;
     }
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Enemy Weapon System - Fires enemy guns (straight down, aimed at the player, spread volleys or rings)
+// Fire rate rises with the difficulty level; the shots themselves are moved by the ProjectileSystem
+import { System } from '../../core/EntityComponentSystem.js';
+import { Transform, Sprite, EnemyWeapon, Enemy, Player } from '../../components/CoreComponents.js';
+import { GAME_CONFIG } from '../../utils/GameConstants.js';
+
+export class EnemyWeaponSystem extends System {
+    constructor(canvasWidth, canvasHeight, fire) {
+        super();
+        this.requiredComponents = [Transform, EnemyWeapon, Enemy];
+        this.priority = 9; // After enemy AI has moved the ships
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.fire = fire; // (x, y, direction, speed, damage) => bullet entity
+        this.difficultyLevel = 1;
+        this.hostileTimeScale = 1; // Below 1 while a time-slow power-up runs (set by the game manager)
+    }
+    
+    setDifficulty(level) {
+        this.difficultyLevel = level;
+    }
+    
+    // Multiplier on every archetype's fire rate for the current difficulty
+    getFireRate() {
+        return Math.min(GAME_CONFIG.ENEMY_FIRE_RATE_MAX, 1 + (this.difficultyLevel - 1) * GAME_CONFIG.ENEMY_FIRE_RATE_SCALING);
+    }
+    
+    update(deltaTime) {
+        const target = this.getPlayerCenter();
+        const fireRate = this.getFireRate();
+        
+        for (const entity of this.entities) {
+            const transform = entity.getComponent(Transform);
+            const weapon = entity.getComponent(EnemyWeapon);
+            const sprite = entity.getComponent(Sprite);
+            const width = sprite ? sprite.width : 0;
+            const height = sprite ? sprite.height : 0;
+            
+            // Ships only shoot while on screen
+            if (transform.y < 0 || transform.y > this.canvasHeight) continue;
+            
+            weapon.cooldown -= deltaTime * this.hostileTimeScale;
+            if (weapon.cooldown > 0) continue;
+            weapon.cooldown = Math.max(0, weapon.cooldown) + weapon.interval / fireRate;
+            
+            // Shots leave from the bottom centre of the hull
+            const muzzle = { x: transform.x + width / 2, y: transform.y + height };
+            this.getDirections(weapon, muzzle, target).forEach(direction => {
+                this.fire(muzzle.x, muzzle.y, direction, weapon.bulletSpeed, weapon.damage);
+            });
+        }
+    }
+    
+    // Unit direction of each shot in a volley
+    getDirections(weapon, muzzle, target) {
+        switch (weapon.pattern) {
+            case 'aimed': {
+                if (!target) return [{ x: 0, y: 1 }];
+                
+                const dx = target.x - muzzle.x;
+                const dy = target.y - muzzle.y;
+                const length = Math.sqrt(dx * dx + dy * dy) || 1;
+                return [{ x: dx / length, y: dy / length }];
+            }
+            case 'spread': {
+                // Fan of `count` shots across `angle` degrees, centred on straight down
+                const directions = [];
+                for (let i = 0; i < weapon.count; i++) {
+                    const offset = weapon.count > 1 ? (i / (weapon.count - 1) - 0.5) * weapon.angle : 0;
+                    const radians = Math.PI / 2 + offset * Math.PI / 180;
+                    directions.push({ x: Math.cos(radians), y: Math.sin(radians) });
+                }
+                return directions;
+            }
+            case 'ring': {
+                // `count` shots evenly spaced all the way round, starting straight down
+                const directions = [];
+                for (let i = 0; i < weapon.count; i++) {
+                    const radians = Math.PI / 2 + i / weapon.count * Math.PI * 2;
+                    directions.push({ x: Math.cos(radians), y: Math.sin(radians) });
+                }
+                return directions;
+            }
+            default:
+                return [{ x: 0, y: 1 }];
+        }
+    }
+    
+    // What aimed shots are fired at
+    getPlayerCenter() {
+        if (!this.world) return null;
+        
+        for (const entity of this.world.query(Player).entities) {
+            if (!entity.active) continue;
+            
+            const transform = entity.getComponent(Transform);
+            const sprite = entity.getComponent(Sprite);
+            return {
+                x: transform.x + (sprite ? sprite.width / 2 : 0),
+                y: transform.y + (sprite ? sprite.height / 2 : 0)
+            };
+        }
+        return null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Health System - Counts down invulnerability windows after hits
+import { System } from '../../core/EntityComponentSystem.js';
+import { Health } from '../../components/CoreComponents.js';
+
+export class HealthSystem extends System {
+    constructor() {
+        super();
+        this.requiredComponents = [Health];
+        this.priority = 13; // After movement, before collisions land new hits
+    }
+    
+    update(deltaTime) {
+        for (const entity of this.entities) {
+            entity.getComponent(Health).update(deltaTime);
+        }
+    }
+}
\ No newline at end of file
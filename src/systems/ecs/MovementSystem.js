@@ -1,16 +1,18 @@
 // Movement System - Handles entity movement and physics
 import { System } from '../../core/EntityComponentSystem.js';
-import { Transform, Velocity, Acceleration, RigidBody } from '../../components/CoreComponents.js';
+import { Transform, Velocity, Acceleration, RigidBody, Enemy, EnemyBullet, Rock } from '../../components/CoreComponents.js';
 
 export class MovementSystem extends System {
     constructor() {
         super();
         this.requiredComponents = [Transform, Velocity];
         this.priority = 10; // High priority for movement
+        this.hostileTimeScale = 1; // Enemies, their shots and rocks move slower while a time-slow power-up runs
     }
     
     update(deltaTime) {
         const deltaSeconds = deltaTime / 1000;
+        const frames = deltaSeconds * 60; // Friction is tuned per frame at the 60 FPS baseline
         
         for (const entity of this.entities) {
             const transform = entity.getComponent(Transform);
@@ -25,8 +27,9 @@ export class MovementSystem extends System {
             // Apply acceleration if present
             if (acceleration) {
                 // Apply friction/deceleration
-                velocity.x *= acceleration.deceleration;
-                velocity.y *= acceleration.deceleration;
+                const deceleration = Math.pow(acceleration.deceleration, frames);
+                velocity.x *= deceleration;
+                velocity.y *= deceleration;
             }
             
             // Apply forces from rigid body
@@ -38,8 +41,9 @@ export class MovementSystem extends System {
                 rigidBody.clearForces();
                 
                 // Apply friction
-                velocity.x *= rigidBody.friction;
-                velocity.y *= rigidBody.friction;
+                const friction = Math.pow(rigidBody.friction, frames);
+                velocity.x *= friction;
+                velocity.y *= friction;
             }
             
             // Limit velocity to max speed
@@ -50,8 +54,13 @@ export class MovementSystem extends System {
             }
             
             // Apply movement
-            transform.x += velocity.x * deltaSeconds * 60; // 60 FPS baseline
-            transform.y += velocity.y * deltaSeconds * 60;
+            const timeScale = this.isHostile(entity) ? this.hostileTimeScale : 1;
+            transform.x += velocity.x * deltaSeconds * 60 * timeScale; // 60 FPS baseline
+            transform.y += velocity.y * deltaSeconds * 60 * timeScale;
         }
     }
+    
+    isHostile(entity) {
+        return entity.hasComponent(Enemy) || entity.hasComponent(EnemyBullet) || entity.hasComponent(Rock);
+    }
 }
\ No newline at end of file
@@ -1,6 +1,6 @@
 // Player Input System - Handles player input and movement
 import { System } from '../../core/EntityComponentSystem.js';
-import { Transform, Velocity, Acceleration, PlayerController, Player } from '../../components/CoreComponents.js';
+import { Transform, Velocity, Acceleration, PlayerController, Lives, Player } from '../../components/CoreComponents.js';
 import { KEYS } from '../../utils/GameConstants.js';
 
 export class PlayerInputSystem extends System {
@@ -12,11 +12,20 @@ export class PlayerInputSystem extends System {
     }
     
     update(deltaTime) {
+        const frames = (deltaTime / 1000) * 60; // Tuning below is per frame at the 60 FPS baseline
+        
         for (const entity of this.entities) {
             const transform = entity.getComponent(Transform);
             const velocity = entity.getComponent(Velocity);
             const acceleration = entity.getComponent(Acceleration);
             const controller = entity.getComponent(PlayerController);
+            const lives = entity.getComponent(Lives);
+            
+            // No control while waiting to respawn
+            if (lives && lives.isRespawning()) {
+                controller.thrusterIntensity = 0;
+                continue;
+            }
             
             // Get input direction
             const inputVector = this.getInputVector();
@@ -30,15 +39,15 @@ export class PlayerInputSystem extends System {
                 
                 // Apply acceleration
                 if (acceleration) {
-                    velocity.x += normalizedX * acceleration.rate;
-                    velocity.y += normalizedY * acceleration.rate;
+                    velocity.x += normalizedX * acceleration.rate * frames;
+                    velocity.y += normalizedY * acceleration.rate * frames;
                 }
                 
                 // Update thruster intensity for visual effects
-                controller.thrusterIntensity = Math.min(1.0, controller.thrusterIntensity + 0.1);
+                controller.thrusterIntensity = Math.min(1.0, controller.thrusterIntensity + 0.1 * frames);
             } else {
                 // Reduce thruster intensity when no input
-                controller.thrusterIntensity = Math.max(0, controller.thrusterIntensity - 0.05);
+                controller.thrusterIntensity = Math.max(0, controller.thrusterIntensity - 0.05 * frames);
             }
             
             // Update muzzle flash
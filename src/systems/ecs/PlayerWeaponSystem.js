@@ -0,0 +1,126 @@
+// Player Weapon System - Fires the player's selected weapon and handles switching, cooldown, heat and charge
+// Number keys pick a weapon by its slot; shots are created through the game manager and moved by the ProjectileSystem
+import { System } from '../../core/EntityComponentSystem.js';
+import { GAME_EVENTS } from '../../core/EventBus.js';
+import { Transform, Sprite, Weapon, Energy, Lives, PlayerController, Player } from '../../components/CoreComponents.js';
+import { weapons, WEAPON_SLOT_KEYS } from '../../factories/Weapons.js';
+import { KEYS } from '../../utils/GameConstants.js';
+
+export class PlayerWeaponSystem extends System {
+    constructor(inputSystem, fire, registry = weapons) {
+        super();
+        this.requiredComponents = [Transform, Weapon, Energy, Player];
+        this.priority = 7; // After player input and the scanner, before anything moves
+        this.inputSystem = inputSystem;
+        this.fire = fire; // (x, y, direction, owner, shot) => bullet entity
+        this.registry = registry;
+    }
+    
+    update(deltaTime) {
+        const triggerHeld = this.inputSystem.isKeyPressed(KEYS.SPACE);
+        const selected = this.getSelectedWeapon();
+        
+        for (const entity of this.entities) {
+            const weapon = entity.getComponent(Weapon);
+            
+            weapon.cooldown = Math.max(0, weapon.cooldown - deltaTime);
+            weapon.cool(deltaTime);
+            
+            // No gun while waiting to respawn
+            const lives = entity.getComponent(Lives);
+            if (lives && lives.isRespawning()) {
+                weapon.charge = 0;
+                continue;
+            }
+            
+            if (selected && weapon.select(selected.id)) {
+                this.world.events.emit(GAME_EVENTS.WEAPON_SWITCHED, { player: entity, weapon: selected.id });
+            }
+            
+            const definition = this.registry.get(weapon.weaponId);
+            if (definition.fire === 'charge') {
+                this.updateCharge(entity, weapon, definition, triggerHeld, deltaTime);
+            } else if (triggerHeld) {
+                this.tryFire(entity, weapon, definition, 1);
+            }
+        }
+    }
+    
+    // Weapon on the number key pressed this tick, if any
+    getSelectedWeapon() {
+        const slot = WEAPON_SLOT_KEYS.findIndex(key => this.inputSystem.isKeyJustPressed(key));
+        return slot >= 0 ? this.registry.getSlot(slot) : null;
+    }
+    
+    // Holding the trigger builds charge while the gun is ready; letting go fires if it reached minCharge
+    updateCharge(entity, weapon, definition, triggerHeld, deltaTime) {
+        if (triggerHeld) {
+            if (weapon.cooldown <= 0 && !weapon.overheated) {
+                weapon.charge = Math.min(1, weapon.charge + deltaTime / definition.chargeTime);
+            }
+            return;
+        }
+        
+        if (weapon.charge > 0) {
+            if (weapon.charge >= definition.minCharge) {
+                this.tryFire(entity, weapon, definition, weapon.charge);
+            }
+            weapon.charge = 0;
+        }
+    }
+    
+    // Fire one volley at the given charge (1 for non-charge weapons); blocked shots wait out a cooldown before retrying
+    tryFire(entity, weapon, definition, charge) {
+        if (weapon.cooldown > 0) return false;
+        
+        const controller = entity.getComponent(PlayerController);
+        const fireRate = controller ? controller.getEffectValue('rapidFire', 'fireRateMultiplier', 1) : 1;
+        weapon.cooldown = definition.cooldown / fireRate;
+        
+        if (weapon.overheated) {
+            this.world.events.emit(GAME_EVENTS.SHOT_BLOCKED, { player: entity, reason: 'overheat' });
+            return false;
+        }
+        if (!entity.getComponent(Energy).consume(definition.energyCost * charge)) {
+            this.world.events.emit(GAME_EVENTS.SHOT_BLOCKED, { player: entity, reason: 'energy' });
+            return false;
+        }
+        
+        // Shots leave from the nose; charged shots hit harder
+        const transform = entity.getComponent(Transform);
+        const sprite = entity.getComponent(Sprite);
+        const x = transform.x + (sprite ? sprite.width / 2 : 0);
+        const shot = { ...definition.projectile, damage: Math.max(1, Math.round(definition.projectile.damage * charge)) };
+        const y = transform.y + 12 - shot.height;
+        
+        const spread = controller ? controller.getEffect('spreadShot') : null;
+        this.getDirections(definition, spread).forEach(direction => {
+            this.fire(x - shot.width / 2, y, direction, entity, shot);
+        });
+        
+        if (controller) {
+            controller.showMuzzleFlash = true;
+            controller.muzzleFlashTime = 100;
+        }
+        this.world.events.emit(GAME_EVENTS.SHOT_FIRED, { player: entity, weapon: definition.id, sound: definition.sound, charge, x, y: transform.y });
+        
+        if (weapon.addHeat(definition.heat * charge)) {
+            this.world.events.emit(GAME_EVENTS.WEAPON_OVERHEATED, { player: entity, weapon: definition.id });
+        }
+        return true;
+    }
+    
+    // Fan of `count` shots over `angle` degrees centred on straight up; a spread shot power-up widens it
+    getDirections(definition, spread) {
+        const count = spread ? Math.max(definition.count, spread.count) : definition.count;
+        const angle = spread ? Math.max(definition.angle, spread.angle) : definition.angle;
+        
+        const directions = [];
+        for (let i = 0; i < count; i++) {
+            const offset = count > 1 ? (i / (count - 1) - 0.5) * angle : 0;
+            const radians = -Math.PI / 2 + offset * Math.PI / 180;
+            directions.push({ x: Math.cos(radians), y: Math.sin(radians) });
+        }
+        return directions;
+    }
+}
\ No newline at end of file
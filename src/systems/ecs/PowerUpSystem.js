@@ -0,0 +1,36 @@
+// Power-up System - Runs the player's timed power-up effects and expires uncollected pickups
+import { System } from '../../core/EntityComponentSystem.js';
+import { GAME_EVENTS } from '../../core/EventBus.js';
+import { PlayerController, Energy, Pickup, Lifetime } from '../../components/CoreComponents.js';
+
+export class PowerUpSystem extends System {
+    constructor() {
+        super();
+        this.requiredComponents = [PlayerController];
+        this.priority = 4; // First, so every system sees the same effects this tick
+    }
+    
+    update(deltaTime) {
+        for (const entity of this.entities) {
+            const controller = entity.getComponent(PlayerController);
+            
+            // Energy cells top the tank up gradually over their duration
+            const energyCell = controller.getEffect('energy');
+            const energy = entity.getComponent(Energy);
+            if (energyCell && energy) {
+                energy.restore(energyCell.amount * Math.min(deltaTime, energyCell.remaining) / energyCell.duration);
+            }
+            
+            controller.updateEffects(deltaTime).forEach(powerUp => {
+                this.world.events.emit(GAME_EVENTS.POWER_UP_EXPIRED, { player: entity, powerUp });
+            });
+        }
+        
+        // Pickups nobody collects disappear after a while
+        this.world.query(Pickup, Lifetime).forEach((pickup, data, lifetime) => {
+            if (lifetime.update(deltaTime) && lifetime.destroyOnExpire) {
+                pickup.destroy();
+            }
+        });
+    }
+}
\ No newline at end of file
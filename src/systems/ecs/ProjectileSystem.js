@@ -1,11 +1,12 @@
-// Projectile System - Handles bullet movement and lifecycle
+// Projectile System - Handles bullet movement and lifecycle (player and enemy shots)
 import { System } from '../../core/EntityComponentSystem.js';
-import { Transform, Velocity, Projectile, Bullet } from '../../components/CoreComponents.js';
+import { Transform, Velocity, Sprite, Projectile, Revealed, Enemy } from '../../components/CoreComponents.js';
+import { turnTowards } from '../MovementPatterns.js';
 
 export class ProjectileSystem extends System {
     constructor(canvasWidth, canvasHeight) {
         super();
-        this.requiredComponents = [Transform, Velocity, Projectile, Bullet];
+        this.requiredComponents = [Transform, Velocity, Projectile];
         this.priority = 9; // Before movement system
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
@@ -17,6 +18,11 @@ export class ProjectileSystem extends System {
             const velocity = entity.getComponent(Velocity);
             const projectile = entity.getComponent(Projectile);
             
+            // Homing shots turn towards the nearest enemy
+            if (projectile.homing > 0) {
+                this.steer(entity, projectile, deltaTime);
+            }
+            
             // Set velocity based on projectile direction and speed
             velocity.x = projectile.direction.x * projectile.speed;
             velocity.y = projectile.direction.y * projectile.speed;
@@ -30,4 +36,40 @@ export class ProjectileSystem extends System {
             }
         }
     }
+    
+    // Turn at most `homing` degrees per second towards the closest ship not identified as a spy
+    steer(entity, projectile, deltaTime) {
+        const from = this.getCenter(entity);
+        let target = null;
+        let closest = Infinity;
+        
+        for (const enemy of this.world.query(Enemy).entities) {
+            if (!enemy.active) continue;
+            
+            const revealed = enemy.getComponent(Revealed);
+            if (revealed && revealed.isRevealed() && revealed.signature === 'spy') continue;
+            
+            const center = this.getCenter(enemy);
+            const distance = (center.x - from.x) ** 2 + (center.y - from.y) ** 2;
+            if (distance < closest) {
+                closest = distance;
+                target = center;
+            }
+        }
+        if (!target) return;
+        
+        const heading = Math.atan2(projectile.direction.y, projectile.direction.x);
+        const desired = Math.atan2(target.y - from.y, target.x - from.x);
+        const turned = turnTowards(heading, desired, projectile.homing * Math.PI / 180 * deltaTime / 1000);
+        projectile.direction = { x: Math.cos(turned), y: Math.sin(turned) };
+    }
+    
+    getCenter(entity) {
+        const transform = entity.getComponent(Transform);
+        const sprite = entity.getComponent(Sprite);
+        return {
+            x: transform.x + (sprite ? sprite.width / 2 : 0),
+            y: transform.y + (sprite ? sprite.height / 2 : 0)
+        };
+    }
 }
\ No newline at end of file
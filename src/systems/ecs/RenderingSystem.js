@@ -1,6 +1,10 @@
 // ECS Rendering System - Handles entity rendering
 import { System } from '../../core/EntityComponentSystem.js';
-import { Transform, Sprite, PlayerController, EnemyAI, Player, Enemy, Bullet } from '../../components/CoreComponents.js';
+import { Transform, Sprite, PlayerController, Weapon, EnemyAI, Scanner, Revealed, Health, Pickup, Lifetime, Boss, Player, Enemy, Bullet, EnemyBullet, PowerUp } from '../../components/CoreComponents.js';
+import { GAME_CONFIG } from '../../utils/GameConstants.js';
+import { enemyArchetypes } from '../../factories/EnemyArchetypes.js';
+import { weapons } from '../../factories/Weapons.js';
+import { bosses } from '../../factories/Bosses.js';
 
 export class ECSRenderingSystem extends System {
     constructor(ctx) {
@@ -8,9 +12,14 @@ export class ECSRenderingSystem extends System {
         this.requiredComponents = [Transform, Sprite];
         this.priority = 100; // Lowest priority, render last
         this.ctx = ctx;
+        this.scannerActive = false;
     }
     
-    update(deltaTime) {
+    // Drawing happens in render(), once per displayed frame rather than once per simulation step
+    render(alpha = 1) {
+        // Enemies are outlined by type while any scanner is running
+        this.scannerActive = this.isScannerActive();
+        
         // Sort entities by render order (y-position for depth)
         const sortedEntities = Array.from(this.entities).sort((a, b) => {
             const transformA = a.getComponent(Transform);
@@ -20,15 +29,23 @@ export class ECSRenderingSystem extends System {
         
         // Render all entities
         for (const entity of sortedEntities) {
-            this.renderEntity(entity);
+            this.renderEntity(entity, alpha);
         }
     }
     
-    renderEntity(entity) {
+    // Blend between the previous and current simulation positions
+    getInterpolatedPosition(transform, alpha) {
+        return {
+            x: transform.prevX + (transform.x - transform.prevX) * alpha,
+            y: transform.prevY + (transform.y - transform.prevY) * alpha
+        };
+    }
+    
+    renderEntity(entity, alpha = 1) {
         const transform = entity.getComponent(Transform);
         const sprite = entity.getComponent(Sprite);
         
-        if (!sprite.visible) return;
+        if (!entity.active || !sprite.visible) return;
         
         // Check if context methods exist (for testing compatibility)
         if (!this.ctx.save || !this.ctx.restore) {
@@ -40,7 +57,8 @@ export class ECSRenderingSystem extends System {
         
         // Apply transform
         if (this.ctx.translate) {
-            this.ctx.translate(transform.x + sprite.width / 2, transform.y + sprite.height / 2);
+            const position = this.getInterpolatedPosition(transform, alpha);
+            this.ctx.translate(position.x + sprite.width / 2, position.y + sprite.height / 2);
             this.ctx.rotate(transform.rotation);
             this.ctx.translate(-sprite.width / 2, -sprite.height / 2);
         }
@@ -48,10 +66,16 @@ export class ECSRenderingSystem extends System {
         // Render based on entity type
         if (entity.hasComponent(Player)) {
             this.renderPlayer(entity, sprite);
+        } else if (entity.hasComponent(Boss)) {
+            this.renderBoss(entity, sprite);
         } else if (entity.hasComponent(Enemy)) {
             this.renderEnemy(entity, sprite);
         } else if (entity.hasComponent(Bullet)) {
             this.renderBullet(entity, sprite);
+        } else if (entity.hasComponent(EnemyBullet)) {
+            this.renderEnemyBullet(sprite);
+        } else if (entity.hasComponent(PowerUp)) {
+            this.renderPowerUp(entity, sprite);
         } else {
             // Default rendering
             if (this.ctx.fillRect) {
@@ -65,9 +89,21 @@ export class ECSRenderingSystem extends System {
     
     renderPlayer(entity, sprite) {
         const controller = entity.getComponent(PlayerController);
+        const scanner = entity.getComponent(Scanner);
+        const health = entity.getComponent(Health);
         const centerX = sprite.width / 2;
         const centerY = sprite.height / 2;
         
+        // Blink while the hull is invulnerable after a hit
+        if (health && health.invulnerable && Math.floor(health.invulnerabilityTimer / 100) % 2 === 1) {
+            this.ctx.globalAlpha = 0.3;
+        }
+        
+        // Draw scanner cone ahead of the nose
+        if (scanner && scanner.isActive) {
+            this.renderScannerCone(scanner, centerX);
+        }
+        
         // Main ship colors
         this.ctx.fillStyle = '#00cc00';
         this.ctx.strokeStyle = '#ffffff';
@@ -120,6 +156,25 @@ export class ECSRenderingSystem extends System {
             this.ctx.fillRect(centerX + 5, sprite.height - 2, 3, thrusterLength);
         }
         
+        // Shield bubble power-up, flickering in its last second and a half
+        const shield = controller ? controller.getEffect('shield') : null;
+        if (shield && (shield.remaining > 1500 || Math.floor(shield.remaining / 100) % 2 === 0)) {
+            this.renderShield(shield, centerX, centerY, Math.max(sprite.width, sprite.height) * 0.75);
+        }
+        
+        // A charging gun gathers a glow at the nose in its shot colour
+        const weapon = entity.getComponent(Weapon);
+        if (weapon && weapon.charge > 0) {
+            const color = weapons.get(weapon.weaponId).projectile.color;
+            this.ctx.fillStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 6 + weapon.charge * 12;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, -3, 2 + weapon.charge * 7, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.shadowBlur = 0;
+        }
+        
         // Draw muzzle flash when shooting
         if (controller && controller.showMuzzleFlash) {
             this.ctx.fillStyle = '#ffff00';
@@ -134,63 +189,78 @@ export class ECSRenderingSystem extends System {
         }
     }
     
+    renderShield(shield, centerX, centerY, radius) {
+        this.ctx.save();
+        this.ctx.strokeStyle = shield.color;
+        this.ctx.fillStyle = 'rgba(68, 204, 255, 0.12)';
+        this.ctx.lineWidth = 2;
+        this.ctx.shadowColor = shield.color;
+        this.ctx.shadowBlur = 12;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    renderScannerCone(scanner, noseX) {
+        const reach = scanner.range + scanner.falloff;
+        const startAngle = -Math.PI / 2 - scanner.coneAngle;
+        const endAngle = -Math.PI / 2 + scanner.coneAngle;
+        
+        this.ctx.save();
+        
+        // Faint outer band where the lock rate falls off
+        this.ctx.fillStyle = 'rgba(255, 0, 0, 0.04)';
+        this.ctx.beginPath();
+        this.ctx.moveTo(noseX, 0);
+        this.ctx.arc(noseX, 0, reach, startAngle, endAngle);
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        // Full-rate range
+        this.ctx.fillStyle = 'rgba(255, 0, 0, 0.08)';
+        this.ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(noseX, 0);
+        this.ctx.arc(noseX, 0, scanner.range, startAngle, endAngle);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        this.ctx.restore();
+    }
+    
     renderEnemy(entity, sprite) {
         const ai = entity.getComponent(EnemyAI);
+        const revealed = entity.getComponent(Revealed);
         const centerX = sprite.width / 2;
         const centerY = sprite.height / 2;
         
-        if (ai && ai.type === 'enemy') {
-            // Enhanced enemy ship design - angular red ship
-            this.ctx.fillStyle = '#cc0000';
-            this.ctx.strokeStyle = '#ff3333';
-            this.ctx.lineWidth = 2;
-            
-            // Main angular body
-            this.ctx.beginPath();
-            this.ctx.moveTo(centerX, 0); // Top point
-            this.ctx.lineTo(sprite.width - 2, 8); // Top right wing
-            this.ctx.lineTo(sprite.width, centerY + 5); // Right side
-            this.ctx.lineTo(sprite.width - 5, sprite.height); // Bottom right
-            this.ctx.lineTo(5, sprite.height); // Bottom left
-            this.ctx.lineTo(0, centerY + 5); // Left side
-            this.ctx.lineTo(2, 8); // Top left wing
-            this.ctx.closePath();
-            this.ctx.fill();
-            this.ctx.stroke();
-            
-            // Blue energy core
-            this.ctx.fillStyle = '#0066ff';
-            this.ctx.shadowColor = '#0066ff';
-            this.ctx.shadowBlur = 8;
-            this.ctx.beginPath();
-            this.ctx.ellipse(centerX, centerY, 4, 6, 0, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.shadowBlur = 0;
-        } else if (ai && ai.type === 'spy') {
-            // Spy alien - yellow variant
-            this.ctx.fillStyle = '#cccc00';
-            this.ctx.strokeStyle = '#ffff66';
+        // In covert mode both types share one disguise until fully scanned
+        const disguised = GAME_CONFIG.COVERT_SPIES && revealed && !revealed.isRevealed();
+        const style = this.getEnemyStyle(ai, disguised);
+        
+        if (style) {
+            this.ctx.fillStyle = style.body;
+            this.ctx.strokeStyle = style.outline;
             this.ctx.lineWidth = 2;
             
-            // Similar design but yellow
+            // Hull outline for the archetype's shape
             this.ctx.beginPath();
-            this.ctx.moveTo(centerX, 0);
-            this.ctx.lineTo(sprite.width - 2, 8);
-            this.ctx.lineTo(sprite.width, centerY + 5);
-            this.ctx.lineTo(sprite.width - 5, sprite.height);
-            this.ctx.lineTo(5, sprite.height);
-            this.ctx.lineTo(0, centerY + 5);
-            this.ctx.lineTo(2, 8);
+            this.traceEnemyHull(style.shape, sprite, centerX, centerY);
             this.ctx.closePath();
             this.ctx.fill();
             this.ctx.stroke();
             
-            // Green energy core
-            this.ctx.fillStyle = '#00ff00';
-            this.ctx.shadowColor = '#00ff00';
-            this.ctx.shadowBlur = 6;
+            // Energy core
+            const [coreWidth, coreHeight] = style.coreSize;
+            this.ctx.fillStyle = style.core;
+            this.ctx.shadowColor = style.core;
+            this.ctx.shadowBlur = disguised ? 6 : 8;
             this.ctx.beginPath();
-            this.ctx.ellipse(centerX, centerY, 3, 5, 0, 0, Math.PI * 2);
+            this.ctx.ellipse(centerX, centerY, coreWidth, coreHeight, 0, 0, Math.PI * 2);
             this.ctx.fill();
             this.ctx.shadowBlur = 0;
         }
@@ -201,14 +271,160 @@ export class ECSRenderingSystem extends System {
             this.ctx.fillStyle = `rgba(255, 255, 255, ${pulseAlpha})`;
             this.ctx.fillRect(centerX - 1, 3, 2, 4);
         }
+        
+        // An unfinished lock shows only a neutral bar; identified ships are outlined by type
+        if (ai && revealed && !revealed.isRevealed()) {
+            if (revealed.progress > 0) {
+                this.renderLockProgress(sprite.width, revealed.progress);
+            }
+        } else if (ai && (revealed || this.scannerActive)) {
+            // Decoys show the signature they really carry, not the ship they look like
+            const outlineColor = this.getScannerOutlineColor(revealed ? revealed.signature : ai.type);
+            if (outlineColor) {
+                this.ctx.strokeStyle = outlineColor;
+                this.ctx.lineWidth = 3;
+                this.ctx.strokeRect(-3, -3, sprite.width + 6, sprite.height + 6);
+            }
+        }
+    }
+    
+    // Lock bar above a ship the scanner is still working on
+    renderLockProgress(width, progress) {
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(0, -8, width, 3);
+        this.ctx.fillStyle = GAME_CONFIG.COLORS.SCANNER_LOCK;
+        this.ctx.fillRect(0, -8, width * progress, 3);
+    }
+    
+    // Broad hull in the boss's colours with its hitboxes marked: glowing weak points and plated armour.
+    // A bubble shows while escorts shield it, and it flickers while it can't be hurt
+    renderBoss(entity, sprite) {
+        const boss = entity.getComponent(Boss);
+        const health = entity.getComponent(Health);
+        const ai = entity.getComponent(EnemyAI);
+        const { render, hitboxes } = bosses.get(boss.bossId);
+        const { width, height } = sprite;
+        const pulse = ai ? 0.5 + 0.5 * Math.sin(ai.pulseTimer) : 0.5;
+        
+        if (health && health.invulnerable && Math.floor(health.invulnerabilityTimer / 100) % 2 === 1) {
+            this.ctx.globalAlpha = 0.5;
+        }
+        
+        this.ctx.fillStyle = render.body;
+        this.ctx.strokeStyle = render.outline;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(width * 0.2, 0);
+        this.ctx.lineTo(width * 0.8, 0);
+        this.ctx.lineTo(width, height * 0.35);
+        this.ctx.lineTo(width * 0.85, height);
+        this.ctx.lineTo(width * 0.15, height);
+        this.ctx.lineTo(0, height * 0.35);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        hitboxes.forEach(hitbox => {
+            if (hitbox.damageMultiplier > 1) {
+                this.ctx.fillStyle = render.core;
+                this.ctx.shadowColor = render.core;
+                this.ctx.shadowBlur = 8 + 8 * pulse;
+                this.ctx.beginPath();
+                this.ctx.ellipse(hitbox.x + hitbox.width / 2, hitbox.y + hitbox.height / 2, hitbox.width / 2, hitbox.height / 2, 0, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.shadowBlur = 0;
+            } else if (hitbox.damageMultiplier < 1) {
+                this.ctx.strokeStyle = render.outline;
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(hitbox.x + 3, hitbox.y + 3, hitbox.width - 6, hitbox.height - 6);
+            }
+        });
+        
+        if (boss.shielded) {
+            this.ctx.fillStyle = 'rgba(120, 200, 255, 0.12)';
+            this.ctx.strokeStyle = `rgba(120, 200, 255, ${0.5 + 0.3 * pulse})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.ellipse(width / 2, height / 2, width / 2 + 12, height / 2 + 12, 0, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+    }
+    
+    // Render style from the enemy's archetype; disguised ships keep the hull shape but lose its colours
+    getEnemyStyle(ai, disguised) {
+        if (!ai) return null;
+        
+        const { render } = enemyArchetypes.get(ai.archetype || ai.type);
+        if (!disguised) return render;
+        
+        return { ...render, body: GAME_CONFIG.COLORS.UNIDENTIFIED, outline: '#aaaacc', core: '#aa88ff', coreSize: [4, 6] };
+    }
+    
+    traceEnemyHull(shape, sprite, centerX, centerY) {
+        const { width, height } = sprite;
+        
+        switch (shape) {
+            case 'dart':
+                // Narrow arrowhead with swept-back wing tips
+                this.ctx.moveTo(centerX, height); // Nose, pointing down at the player
+                this.ctx.lineTo(width, 4); // Right wing tip
+                this.ctx.lineTo(centerX + 3, 10); // Right notch
+                this.ctx.lineTo(centerX, 0); // Tail
+                this.ctx.lineTo(centerX - 3, 10); // Left notch
+                this.ctx.lineTo(0, 4); // Left wing tip
+                break;
+            case 'heavy':
+                // Broad armoured hull with engine pods on both sides
+                this.ctx.moveTo(8, 0);
+                this.ctx.lineTo(width - 8, 0);
+                this.ctx.lineTo(width, 8); // Right pod
+                this.ctx.lineTo(width, centerY + 6);
+                this.ctx.lineTo(width - 10, height);
+                this.ctx.lineTo(10, height);
+                this.ctx.lineTo(0, centerY + 6); // Left pod
+                this.ctx.lineTo(0, 8);
+                break;
+            default:
+                // Angular fighter
+                this.ctx.moveTo(centerX, 0); // Top point
+                this.ctx.lineTo(width - 2, 8); // Top right wing
+                this.ctx.lineTo(width, centerY + 5); // Right side
+                this.ctx.lineTo(width - 5, height); // Bottom right
+                this.ctx.lineTo(5, height); // Bottom left
+                this.ctx.lineTo(0, centerY + 5); // Left side
+                this.ctx.lineTo(2, 8); // Top left wing
+        }
+    }
+    
+    getScannerOutlineColor(type) {
+        switch (type) {
+            case 'enemy':
+                return GAME_CONFIG.COLORS.SCANNER_ENEMY;
+            case 'spy':
+                return GAME_CONFIG.COLORS.SCANNER_SPY;
+            default:
+                return null;
+        }
+    }
+    
+    isScannerActive() {
+        if (!this.world) return false;
+        
+        for (const entity of this.world.query(Scanner).entities) {
+            if (entity.active && entity.getComponent(Scanner).isActive) {
+                return true;
+            }
+        }
+        return false;
     }
     
     renderBullet(entity, sprite) {
-        // Draw bullet trail effect
+        // Draw bullet trail effect in the weapon's colour
         const gradient = this.ctx.createLinearGradient(0, 0, 0, sprite.height);
         gradient.addColorStop(0, '#ffffff');
-        gradient.addColorStop(0.5, '#ffff00');
-        gradient.addColorStop(1, 'rgba(255, 255, 0, 0.3)');
+        gradient.addColorStop(0.5, sprite.color);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
         
         // Draw bullet body with gradient
         this.ctx.fillStyle = gradient;
@@ -219,10 +435,58 @@ export class ECSRenderingSystem extends System {
         this.ctx.fillRect(1, 1, sprite.width - 2, sprite.height - 2);
         
         // Add glow effect
-        this.ctx.shadowColor = '#ffff00';
+        this.ctx.shadowColor = sprite.color;
         this.ctx.shadowBlur = 6;
-        this.ctx.fillStyle = '#ffff00';
+        this.ctx.fillStyle = sprite.color;
         this.ctx.fillRect(1, 2, sprite.width - 2, 2);
         this.ctx.shadowBlur = 0;
     }
+    
+    renderEnemyBullet(sprite) {
+        const centerX = sprite.width / 2;
+        const centerY = sprite.height / 2;
+        
+        // Glowing red bolt with a hot core
+        this.ctx.fillStyle = GAME_CONFIG.COLORS.ENEMY_BULLET;
+        this.ctx.shadowColor = GAME_CONFIG.COLORS.ENEMY_BULLET;
+        this.ctx.shadowBlur = 8;
+        this.ctx.beginPath();
+        this.ctx.ellipse(centerX, centerY, centerX, centerY, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.shadowBlur = 0;
+        
+        this.ctx.fillStyle = '#ffddcc';
+        this.ctx.beginPath();
+        this.ctx.ellipse(centerX, centerY, centerX / 2, centerY / 2, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+    
+    // Glowing capsule in the power-up's colour with its symbol; blinks for the last two seconds before it expires
+    renderPowerUp(entity, sprite) {
+        const { powerUp } = entity.getComponent(Pickup);
+        const lifetime = entity.getComponent(Lifetime);
+        const centerX = sprite.width / 2;
+        const centerY = sprite.height / 2;
+        
+        if (lifetime && lifetime.duration - lifetime.elapsed < 2000 && Math.floor(lifetime.elapsed / 150) % 2 === 1) {
+            this.ctx.globalAlpha = 0.4;
+        }
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.strokeStyle = powerUp.color;
+        this.ctx.lineWidth = 2;
+        this.ctx.shadowColor = powerUp.color;
+        this.ctx.shadowBlur = 10;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, centerX, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+        
+        this.ctx.fillStyle = powerUp.color;
+        this.ctx.font = 'bold 12px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(powerUp.symbol, centerX, centerY + 1);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Respawn System - Takes a life when the player's hull is destroyed and brings the next ship in
+import { System } from '../../core/EntityComponentSystem.js';
+import { GAME_EVENTS } from '../../core/EventBus.js';
+import { Transform, Velocity, Sprite, Collider, Health, Lives, PlayerController, Weapon, Player, EnemyBullet } from '../../components/CoreComponents.js';
+import { GAME_CONFIG } from '../../utils/GameConstants.js';
+
+export class RespawnSystem extends System {
+    constructor() {
+        super();
+        this.requiredComponents = [Transform, Health, Lives, Player];
+        this.priority = 16; // After collisions, so a lost life is counted in the tick it happens
+    }
+    
+    update(deltaTime) {
+        for (const entity of this.entities) {
+            const health = entity.getComponent(Health);
+            const lives = entity.getComponent(Lives);
+            
+            if (lives.isRespawning()) {
+                lives.respawnTimer = Math.max(0, lives.respawnTimer - deltaTime);
+                if (!lives.isRespawning()) {
+                    this.respawn(entity, lives, health);
+                }
+            } else if (health.isDead() && lives.remaining > 0) {
+                this.loseLife(entity, lives);
+            }
+        }
+    }
+    
+    // The ship is wrecked along with its power-ups and any charge or heat in its gun: hide it and clear the enemy fire; the next one follows after a delay if any are left
+    loseLife(entity, lives) {
+        const transform = entity.getComponent(Transform);
+        const sprite = entity.getComponent(Sprite);
+        const x = transform.x + (sprite ? sprite.width / 2 : 0);
+        const y = transform.y + (sprite ? sprite.height / 2 : 0);
+        
+        lives.remaining--;
+        this.setInPlay(entity, false);
+        
+        const controller = entity.getComponent(PlayerController);
+        if (controller) {
+            controller.clearEffects();
+        }
+        const weapon = entity.getComponent(Weapon);
+        if (weapon) {
+            weapon.charge = 0;
+            weapon.heat = 0;
+            weapon.overheated = false;
+        }
+        
+        for (const bullet of this.world.query(EnemyBullet).entities) {
+            bullet.destroy();
+        }
+        
+        if (lives.remaining > 0) {
+            lives.respawnTimer = GAME_CONFIG.PLAYER_RESPAWN_DELAY;
+        }
+        
+        this.world.events.emit(GAME_EVENTS.PLAYER_LIFE_LOST, { player: entity, lives: lives.remaining, x, y });
+    }
+    
+    // Back at the spawn point with a full hull, blinking through the respawn grace period
+    respawn(entity, lives, health) {
+        const transform = entity.getComponent(Transform);
+        transform.x = transform.prevX = lives.spawnX;
+        transform.y = transform.prevY = lives.spawnY;
+        
+        health.currentHealth = health.maxHealth;
+        health.invulnerable = true;
+        health.invulnerabilityTimer = GAME_CONFIG.PLAYER_RESPAWN_INVULNERABILITY;
+        
+        this.setInPlay(entity, true);
+        this.world.events.emit(GAME_EVENTS.PLAYER_RESPAWNED, { player: entity, lives: lives.remaining });
+    }
+    
+    // A ship out of play is hidden, stopped and can't be hit
+    setInPlay(entity, inPlay) {
+        const velocity = entity.getComponent(Velocity);
+        const sprite = entity.getComponent(Sprite);
+        const collider = entity.getComponent(Collider);
+        
+        if (velocity) {
+            velocity.x = 0;
+            velocity.y = 0;
+        }
+        if (sprite) {
+            sprite.visible = inPlay;
+        }
+        if (collider) {
+            collider.enabled = inPlay;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+// Scanner System - Toggles the player's scanner, drains energy and locks onto disguised ships in its cone
+import { System } from '../../core/EntityComponentSystem.js';
+import { GAME_EVENTS } from '../../core/EventBus.js';
+import { Transform, Sprite, Scanner, Energy, Lives, PlayerController, Revealed } from '../../components/CoreComponents.js';
+import { KEYS } from '../../utils/GameConstants.js';
+
+export class ScannerSystem extends System {
+    constructor(inputSystem) {
+        super();
+        this.requiredComponents = [Transform, Scanner, Energy];
+        this.priority = 6; // After player input, before AI and movement
+        this.inputSystem = inputSystem;
+    }
+    
+    update(deltaTime) {
+        const togglePressed = this.inputSystem.isKeyJustPressed(KEYS.SCANNER);
+        
+        for (const entity of this.entities) {
+            const scanner = entity.getComponent(Scanner);
+            const energy = entity.getComponent(Energy);
+            
+            scanner.cooldownTimer = Math.max(0, scanner.cooldownTimer - deltaTime);
+            
+            // A ship waiting to respawn can't scan
+            const lives = entity.getComponent(Lives);
+            if (lives && lives.isRespawning()) {
+                if (scanner.isActive) {
+                    this.deactivate(scanner);
+                }
+                continue;
+            }
+            
+            // Handle scanner toggle input
+            if (togglePressed && scanner.cooldownTimer <= 0) {
+                if (scanner.isActive) {
+                    this.deactivate(scanner);
+                } else if (!energy.isEmpty()) {
+                    this.activate(scanner);
+                }
+                scanner.cooldownTimer = scanner.toggleCooldown;
+            }
+            
+            // Drain energy (more for every ship in the cone, scaled by an overcharge); shut off once energy can't sustain it
+            if (scanner.isActive) {
+                const drainMultiplier = this.getOvercharge(entity, 'drainMultiplier');
+                const drainRate = (scanner.drainRate + scanner.drainPerTarget * scanner.targetCount) * drainMultiplier;
+                if (!energy.consume((drainRate * deltaTime) / 1000)) {
+                    this.deactivate(scanner);
+                }
+            }
+        }
+        
+        this.updateLocks(deltaTime);
+    }
+    
+    updateLocks(deltaTime) {
+        if (!this.world) return;
+        
+        const scanners = [];
+        for (const entity of this.entities) {
+            const scanner = entity.getComponent(Scanner);
+            scanner.targetCount = 0;
+            scanner.lockProgress = 0;
+            
+            if (entity.active && scanner.isActive) {
+                scanners.push({
+                    scanner,
+                    origin: this.getNose(entity, entity.getComponent(Transform)),
+                    boost: this.getOvercharge(entity, 'lockRateMultiplier')
+                });
+            }
+        }
+        
+        this.world.query(Revealed, Transform).forEach((target, revealed, transform) => {
+            if (!target.active) return;
+            
+            const targetCenter = this.getCenter(target, transform);
+            const lockingScanners = [];
+            let lockRate = 0;
+            
+            // The fastest lock among the scanners covering this ship wins
+            for (const entry of scanners) {
+                const rate = this.getLockRate(entry.scanner, entry.origin, targetCenter) * entry.boost;
+                if (rate > 0) {
+                    entry.scanner.targetCount++;
+                    lockingScanners.push(entry.scanner);
+                    lockRate = Math.max(lockRate, rate);
+                }
+            }
+            
+            revealed.update(lockRate, deltaTime);
+            
+            // Scanners report their most advanced unfinished lock
+            if (!revealed.isRevealed()) {
+                lockingScanners.forEach(scanner => {
+                    scanner.lockProgress = Math.max(scanner.lockProgress, revealed.progress);
+                });
+            }
+        });
+    }
+    
+    // Lock progress per second for a target, or 0 when it is outside the cone
+    getLockRate(scanner, origin, target) {
+        const dx = target.x - origin.x;
+        const dy = target.y - origin.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > scanner.range + scanner.falloff) return 0;
+        
+        // The cone points straight up the screen, out of the ship's nose
+        const angle = Math.abs(Math.atan2(dx, -dy));
+        if (angle > scanner.coneAngle) return 0;
+        
+        // Full rate within range, fading linearly to zero across the falloff band
+        let distanceFactor = 1;
+        if (distance > scanner.range) {
+            distanceFactor = scanner.falloff > 0 ? 1 - (distance - scanner.range) / scanner.falloff : 0;
+        }
+        
+        return scanner.lockRate * scanner.getStrength() * distanceFactor;
+    }
+    
+    // Multiplier from a running scanner overcharge power-up (1 without one)
+    getOvercharge(entity, parameter) {
+        const controller = entity.getComponent(PlayerController);
+        return controller ? controller.getEffectValue('scannerOvercharge', parameter, 1) : 1;
+    }
+    
+    getCenter(entity, transform) {
+        const sprite = entity.getComponent(Sprite);
+        return {
+            x: transform.x + (sprite ? sprite.width / 2 : 0),
+            y: transform.y + (sprite ? sprite.height / 2 : 0)
+        };
+    }
+    
+    getNose(entity, transform) {
+        const sprite = entity.getComponent(Sprite);
+        return {
+            x: transform.x + (sprite ? sprite.width / 2 : 0),
+            y: transform.y
+        };
+    }
+    
+    activate(scanner) {
+        scanner.isActive = true;
+        this.emit(GAME_EVENTS.SCAN_STARTED);
+    }
+    
+    deactivate(scanner) {
+        if (!scanner.isActive) return;
+        
+        scanner.isActive = false;
+        this.emit(GAME_EVENTS.SCAN_STOPPED);
+    }
+    
+    emit(type) {
+        if (this.world) {
+            this.world.events.emit(type);
+        }
+    }
+    
+    // Check if any scanner is currently active
+    isScanning() {
+        for (const entity of this.entities) {
+            if (entity.active && entity.getComponent(Scanner).isActive) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Get scanner status for UI
+    getStatus() {
+        return this.isScanning() ? 'ACTIVE' : 'READY';
+    }
+}
\ No newline at end of file
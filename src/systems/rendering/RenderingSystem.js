@@ -185,6 +185,17 @@ export class RenderingSystem {
         }, 500);
     }
     
+    /**
+     * Render scanner cone ahead of the player
+     */
+    renderScannerCone(scannerSystem, player) {
+        if (!player) return;
+        
+        this.addToQueue(this.layers.ENTITIES, (ctx) => {
+            scannerSystem.renderCone(ctx, player);
+        }, 50);
+    }
+    
     /**
      * Render enemies and rocks
      */
@@ -0,0 +1,176 @@
+// EntityInspectorPanel - Overlay for the entity inspector
+// Draws collider boxes by collision layer, velocity vectors and the selected entity's components
+
+export class EntityInspectorPanel {
+    constructor(canvas) {
+        this.canvas = canvas;
+        
+        // Panel styling (matches the stats panel)
+        this.style = {
+            width: 260,
+            x: 10,
+            y: 60,
+            padding: 10,
+            lineHeight: 12,
+            maxRows: 22, // Keeps clear of the time travel panel below
+            backgroundColor: 'rgba(0, 0, 0, 0.9)',
+            borderColor: '#00ccff',
+            textColor: '#ffffff',
+            accentColor: '#00ff88',
+            warningColor: '#ffaa00',
+            mutedColor: '#888888',
+            vectorColor: '#00ccff',
+            selectedColor: '#ffffff'
+        };
+        
+        // Font settings
+        this.fonts = {
+            main: 'bold 12px Orbitron, monospace',
+            small: '10px Orbitron, monospace',
+            tiny: '9px Orbitron, monospace'
+        };
+    }
+    
+    /**
+     * Render the overlay for the inspector status (see EntityInspector.getStatus)
+     */
+    render(ctx, status) {
+        if (!status.enabled) return;
+        
+        ctx.save();
+        
+        this.drawColliders(ctx, status.colliders);
+        this.drawVectors(ctx, status.vectors);
+        this.drawPanel(ctx, status);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Collider boxes in their layer colour; the selected entity gets a thick white outline
+     */
+    drawColliders(ctx, colliders) {
+        colliders.forEach(box => {
+            ctx.strokeStyle = box.selected ? this.style.selectedColor : box.color;
+            ctx.lineWidth = box.selected ? 3 : 1;
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+        });
+    }
+    
+    /**
+     * Velocity vectors from each entity's centre, with a small arrow head
+     */
+    drawVectors(ctx, vectors) {
+        ctx.strokeStyle = this.style.vectorColor;
+        ctx.fillStyle = this.style.vectorColor;
+        ctx.lineWidth = 1;
+        
+        vectors.forEach(vector => {
+            ctx.beginPath();
+            ctx.moveTo(vector.x, vector.y);
+            ctx.lineTo(vector.toX, vector.toY);
+            ctx.stroke();
+            
+            const angle = Math.atan2(vector.toY - vector.y, vector.toX - vector.x);
+            ctx.beginPath();
+            ctx.moveTo(vector.toX, vector.toY);
+            ctx.lineTo(vector.toX - 5 * Math.cos(angle - 0.5), vector.toY - 5 * Math.sin(angle - 0.5));
+            ctx.lineTo(vector.toX - 5 * Math.cos(angle + 0.5), vector.toY - 5 * Math.sin(angle + 0.5));
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+    
+    /**
+     * Header, key hints and the component rows that fit
+     */
+    drawPanel(ctx, status) {
+        const { x, y, width, padding, lineHeight } = this.style;
+        const rows = this.getVisibleRows(status.selected);
+        const height = padding * 2 + lineHeight * (3 + rows.length);
+        
+        ctx.fillStyle = this.style.backgroundColor;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.style.borderColor;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+        
+        let currentY = y + padding + lineHeight - 2;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.style.accentColor;
+        ctx.font = this.fonts.main;
+        ctx.fillText(`🔍 INSPECTOR${status.paused ? ' - PAUSED' : ''}`, x + padding, currentY);
+        currentY += lineHeight;
+        
+        ctx.fillStyle = this.style.mutedColor;
+        ctx.font = this.fonts.tiny;
+        ctx.fillText('Click select   [ ] field   - = edit (Shift 10x)', x + padding, currentY);
+        currentY += lineHeight;
+        ctx.fillText(status.paused ? 'N step one tick   P resume' : 'P pause to step', x + padding, currentY);
+        currentY += lineHeight;
+        
+        rows.forEach(row => {
+            this.drawRow(ctx, row, x + padding, currentY);
+            currentY += lineHeight;
+        });
+    }
+    
+    /**
+     * One row of the component list
+     */
+    drawRow(ctx, row, x, y) {
+        const valueX = x + this.style.width - this.style.padding * 2;
+        
+        if (row.kind === 'text') {
+            ctx.fillStyle = this.style.mutedColor;
+            ctx.font = this.fonts.tiny;
+            ctx.textAlign = 'left';
+            ctx.fillText(row.text, x, y);
+            return;
+        }
+        
+        if (row.kind === 'component') {
+            ctx.fillStyle = this.style.accentColor;
+            ctx.font = this.fonts.small;
+            ctx.textAlign = 'left';
+            ctx.fillText(row.text, x, y);
+            return;
+        }
+        
+        const { field } = row;
+        ctx.fillStyle = field.active ? this.style.warningColor : field.editable ? this.style.textColor : this.style.mutedColor;
+        ctx.font = this.fonts.tiny;
+        ctx.textAlign = 'left';
+        ctx.fillText(`${field.active ? '▶ ' : '  '}${field.name}`, x, y);
+        ctx.textAlign = 'right';
+        ctx.fillText(field.value, valueX, y);
+    }
+    
+    /**
+     * Flatten the selection into rows and keep a window of them around the field being edited
+     */
+    getVisibleRows(selected) {
+        if (!selected) return [{ kind: 'text', text: 'Click an entity to inspect it' }];
+        
+        const rows = [{ kind: 'component', text: selected.label }];
+        selected.components.forEach(component => {
+            rows.push({ kind: 'component', text: `  ${component.type}` });
+            component.fields.forEach(field => rows.push({ kind: 'field', field }));
+        });
+        
+        const { maxRows } = this.style;
+        if (rows.length <= maxRows) return rows;
+        
+        // Leave room for the "more" markers at either end
+        const size = maxRows - 2;
+        const active = Math.max(0, rows.findIndex(row => row.kind === 'field' && row.field.active));
+        const start = Math.max(0, Math.min(rows.length - size, active - Math.floor(size / 2)));
+        const end = start + size;
+        
+        return [
+            { kind: 'text', text: start > 0 ? `▲ ${start} more` : '' },
+            ...rows.slice(start, end),
+            { kind: 'text', text: end < rows.length ? `▼ ${rows.length - end} more` : '' }
+        ];
+    }
+}
\ No newline at end of file
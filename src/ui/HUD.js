@@ -1,17 +1,51 @@
 // HUD - Heads-Up Display management
-// Handles the top HUD elements (score, energy, scanner status)
+// Handles the top HUD elements (score, energy, hull, lives, weapon, scanner status), the active power-ups and the boss health bar
+import { GAME_EVENTS } from '../core/EventBus.js';
 
 export class HUD {
     constructor() {
         this.elements = {
             score: document.getElementById('score'),
             energyFill: document.getElementById('energy-fill'),
+            hullContainer: document.getElementById('hull-container'),
+            hullStatus: document.getElementById('hull-status'),
+            livesContainer: document.getElementById('lives-container'),
+            livesStatus: document.getElementById('lives-status'),
+            weaponStatus: document.getElementById('weapon-status'),
+            weaponHeatFill: document.getElementById('weapon-heat-fill'),
             scannerStatus: document.getElementById('scanner-status'),
+            powerUps: document.getElementById('powerups-container'),
+            bossContainer: document.getElementById('boss-container'),
+            bossName: document.getElementById('boss-name'),
+            bossPhase: document.getElementById('boss-phase'),
+            bossFill: document.getElementById('boss-bar-fill'),
+            bossTicks: document.getElementById('boss-ticks'),
             audioButton: document.getElementById('audioSettingsButton')
         };
         
         // Verify all elements exist
         this.validateElements();
+        
+        // One countdown chip per active power-up effect
+        this.powerUpChips = new Map();
+        
+        // Phase thresholds the boss bar's ticks were drawn for
+        this.bossThresholds = null;
+        
+        // Game event subscriptions
+        this.unsubscribers = [];
+    }
+    
+    /**
+     * Refresh score and scanner displays as game events arrive
+     */
+    setEventBus(events) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [
+            events.on(GAME_EVENTS.SCORE_CHANGED, ({ score }) => this.updateScore(score)),
+            events.on(GAME_EVENTS.SCAN_STARTED, () => this.updateScanner('ACTIVE', true)),
+            events.on(GAME_EVENTS.SCAN_STOPPED, () => this.updateScanner('READY', false))
+        ];
     }
     
     /**
@@ -64,29 +98,172 @@ export class HUD {
     }
     
     /**
-     * Update scanner status
+     * Update the hull pips; flashes while the ship is invulnerable after a hit.
+     * Hidden when there is no hull to show (the original game mode)
+     */
+    updateHull(current, max, invulnerable = false) {
+        if (!this.elements.hullStatus) return;
+        
+        if (this.elements.hullContainer) {
+            this.elements.hullContainer.style.display = max > 0 ? 'flex' : 'none';
+        }
+        if (!max) return;
+        
+        const remaining = Math.max(0, Math.min(max, current));
+        this.elements.hullStatus.textContent = '■'.repeat(remaining) + '□'.repeat(max - remaining);
+        this.elements.hullStatus.className = invulnerable ? 'hull-value damaged' : 'hull-value';
+    }
+    
+    /**
+     * Update the lives counter; flashes while the next ship is on its way.
+     * Hidden when there are no lives to show (the original game mode)
+     */
+    updateLives(remaining, max, respawning = false) {
+        if (!this.elements.livesStatus) return;
+        
+        if (this.elements.livesContainer) {
+            this.elements.livesContainer.style.display = max > 0 ? 'flex' : 'none';
+        }
+        if (!max) return;
+        
+        const left = Math.max(0, Math.min(max, remaining));
+        this.elements.livesStatus.textContent = '▲'.repeat(left) + '△'.repeat(max - left);
+        this.elements.livesStatus.className = respawning ? 'lives-value respawning' : 'lives-value';
+    }
+    
+    /**
+     * Update the selected weapon with its number key, heat bar and charge;
+     * the name flashes red while the gun is overheated
+     */
+    updateWeapon(weapon) {
+        if (!this.elements.weaponStatus || !weapon) return;
+        
+        this.elements.weaponStatus.textContent = weapon.slot ? `${weapon.slot} ${weapon.name.toUpperCase()}` : weapon.name.toUpperCase();
+        this.elements.weaponStatus.className = weapon.overheated ? 'weapon-value overheated' : 'weapon-value';
+        this.elements.weaponStatus.style.setProperty('--weapon-color', weapon.color);
+        this.elements.weaponStatus.style.setProperty('--charge-progress', `${Math.floor(weapon.charge * 100)}%`);
+        
+        if (this.elements.weaponHeatFill) {
+            this.elements.weaponHeatFill.style.width = `${Math.max(0, Math.min(100, weapon.heat))}%`;
+        }
+    }
+    
+    /**
+     * Update scanner status and scan-lock progress (0-1)
      */
-    updateScanner(status, isActive = false) {
+    updateScanner(status, isActive = false, lockProgress = 0) {
         if (!this.elements.scannerStatus) return;
         
         this.elements.scannerStatus.textContent = status;
         
         // Update styling based on active state
         if (isActive) {
-            this.elements.scannerStatus.className = 'scanner-value active';
+            this.elements.scannerStatus.className = lockProgress > 0 ? 'scanner-value active locking' : 'scanner-value active';
         } else {
             this.elements.scannerStatus.className = 'scanner-value';
         }
+        
+        // Fill the status box as the current lock builds
+        this.elements.scannerStatus.style.setProperty('--lock-progress', `${Math.floor(lockProgress * 100)}%`);
+    }
+    
+    /**
+     * Show each active power-up with its seconds left and a draining bar;
+     * chips blink through the last two seconds and vanish when the effect ends
+     */
+    updatePowerUps(effects) {
+        const container = this.elements.powerUps;
+        if (!container) return;
+        
+        const active = new Set(effects.map(effect => effect.effect));
+        for (const [effect, chip] of this.powerUpChips) {
+            if (!active.has(effect)) {
+                chip.root.remove();
+                this.powerUpChips.delete(effect);
+            }
+        }
+        
+        effects.forEach(effect => {
+            let chip = this.powerUpChips.get(effect.effect);
+            if (!chip) {
+                chip = this.createPowerUpChip();
+                container.appendChild(chip.root);
+                this.powerUpChips.set(effect.effect, chip);
+            }
+            
+            chip.root.style.setProperty('--powerup-color', effect.color);
+            chip.root.className = effect.remaining <= 2000 ? 'powerup-chip expiring' : 'powerup-chip';
+            chip.name.textContent = `${effect.symbol} ${effect.name.toUpperCase()}`;
+            chip.time.textContent = `${Math.ceil(effect.remaining / 1000)}s`;
+            chip.fill.style.width = `${Math.max(0, Math.min(100, effect.remaining / effect.duration * 100))}%`;
+        });
+        
+        container.style.display = effects.length > 0 ? 'flex' : 'none';
     }
     
     /**
-     * Show/hide HUD elements
+     * Build the elements for one power-up countdown
+     */
+    createPowerUpChip() {
+        const root = document.createElement('div');
+        const name = document.createElement('span');
+        const time = document.createElement('span');
+        const bar = document.createElement('div');
+        const fill = document.createElement('div');
+        
+        name.className = 'powerup-name';
+        time.className = 'powerup-time';
+        bar.className = 'powerup-bar';
+        fill.className = 'powerup-bar-fill';
+        bar.appendChild(fill);
+        root.append(name, time, bar);
+        
+        return { root, name, time, fill };
+    }
+    
+    /**
+     * Show the boss in play: its name, phase and a health bar with a tick at each phase threshold;
+     * the bar glows while escorts shield the boss and hides when there is none
+     */
+    updateBoss(boss) {
+        const container = this.elements.bossContainer;
+        if (!container) return;
+        
+        container.style.display = boss ? 'flex' : 'none';
+        if (!boss) return;
+        
+        const classes = ['boss-container'];
+        if (boss.shielded) classes.push('shielded');
+        if (boss.invulnerable) classes.push('invulnerable');
+        container.className = classes.join(' ');
+        
+        this.elements.bossName.textContent = boss.name.toUpperCase();
+        this.elements.bossPhase.textContent = `PHASE ${boss.phase + 1}/${boss.phases}`;
+        this.elements.bossFill.style.width = `${Math.max(0, Math.min(100, boss.health / boss.maxHealth * 100))}%`;
+        
+        const thresholds = boss.thresholds.join(',');
+        if (this.bossThresholds !== thresholds) {
+            this.bossThresholds = thresholds;
+            this.elements.bossTicks.replaceChildren(...boss.thresholds.map(threshold => {
+                const tick = document.createElement('div');
+                tick.className = 'boss-tick';
+                tick.style.left = `${threshold * 100}%`;
+                return tick;
+            }));
+        }
+    }
+    
+    /**
+     * Show/hide HUD elements (the boss bar only shows again with a boss)
      */
     setVisibility(visible) {
         const hudElement = document.querySelector('.hud');
         if (hudElement) {
             hudElement.style.display = visible ? 'flex' : 'none';
         }
+        if (!visible) {
+            this.updateBoss(null);
+        }
     }
     
     /**
@@ -106,10 +283,16 @@ export class HUD {
             gameData.energyLow || false,
             gameData.energyCritical || false
         );
+        this.updateHull(gameData.hull || 0, gameData.maxHull || 0, gameData.hullInvulnerable || false);
+        this.updateLives(gameData.lives || 0, gameData.maxLives || 0, gameData.respawning || false);
+        this.updateWeapon(gameData.weapon || null);
         this.updateScanner(
             gameData.scannerStatus || 'READY',
-            gameData.scannerActive || false
+            gameData.scannerActive || false,
+            gameData.scannerLockProgress || 0
         );
+        this.updatePowerUps(gameData.powerUps || []);
+        this.updateBoss(gameData.boss || null);
     }
     
     /**
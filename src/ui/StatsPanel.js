@@ -10,6 +10,11 @@ export class StatsPanel {
         this.style = {
             width: 180,
             height: 280,
+            broadphaseHeight: 70,
+            profilerHeight: 145,
+            profilerRows: 6, // Most expensive systems listed under the graph
+            graphHeight: 40,
+            frameBudget: 1000 / 60, // Graph scale: one 60 FPS frame
             x: canvas.width - 180 - 10,
             y: 60,
             backgroundColor: 'rgba(0, 0, 0, 0.9)',
@@ -18,7 +23,9 @@ export class StatsPanel {
             textColor: '#ffffff',
             accentColor: '#00ff88',
             warningColor: '#ffaa00',
-            mutedColor: '#888888'
+            mutedColor: '#888888',
+            // Stacked graph colours, assigned to systems in update order
+            sectionColors: ['#00ccff', '#00ff88', '#ffaa00', '#ff5577', '#aa88ff', '#ffff66', '#66ffff', '#ff88cc', '#88ff44', '#cccccc']
         };
         
         // Font settings
@@ -49,17 +56,31 @@ export class StatsPanel {
     render(ctx, gameData) {
         if (!this.isVisible) return;
         
-        this.drawPanelBackground(ctx);
+        const height = this.getPanelHeight(gameData);
+        
+        this.drawPanelBackground(ctx, height);
         this.drawGameStats(ctx, gameData);
-        this.drawEnvironmentInfo(ctx, gameData);
-        this.drawPerformanceInfo(ctx, gameData);
+        const currentY = this.drawEnvironmentInfo(ctx, gameData);
+        const profilerY = this.drawBroadphaseInfo(ctx, gameData, currentY);
+        this.drawProfilerInfo(ctx, gameData, profilerY);
+        this.drawPerformanceInfo(ctx, gameData, height);
+    }
+    
+    /**
+     * Panel height, grown to fit the collision broadphase and profiler sections when present
+     */
+    getPanelHeight(gameData) {
+        let height = this.style.height;
+        if (gameData.broadphase) height += this.style.broadphaseHeight;
+        if (gameData.profile) height += this.style.profilerHeight;
+        return height;
     }
     
     /**
      * Draw the panel background and borders
      */
-    drawPanelBackground(ctx) {
-        const { x, y, width, height } = this.style;
+    drawPanelBackground(ctx, height = this.style.height) {
+        const { x, y, width } = this.style;
         
         // Main background
         ctx.fillStyle = this.style.backgroundColor;
@@ -161,13 +182,143 @@ export class StatsPanel {
         return currentY;
     }
     
+    /**
+     * Draw collision broadphase statistics
+     */
+    drawBroadphaseInfo(ctx, gameData, startY) {
+        if (!gameData.broadphase) return startY;
+        
+        const { x, width } = this.style;
+        const labelX = x + width - 15;
+        const lineHeight = 14;
+        let currentY = startY + 4;
+        
+        // Broadphase header
+        ctx.fillStyle = this.style.accentColor;
+        ctx.font = 'bold 11px Orbitron, monospace';
+        ctx.fillText('Collisions:', labelX, currentY);
+        currentY += lineHeight + 2;
+        
+        ctx.fillStyle = this.style.textColor;
+        ctx.font = this.fonts.tiny;
+        
+        const stats = [
+            { label: 'Cells', value: gameData.broadphase.cells },
+            { label: 'Pairs', value: gameData.broadphase.candidatePairs },
+            { label: 'Hits', value: gameData.broadphase.hits }
+        ];
+        
+        stats.forEach(stat => {
+            ctx.fillText(`${stat.label}: ${stat.value}`, labelX, currentY);
+            currentY += lineHeight;
+        });
+        
+        return currentY;
+    }
+    
+    /**
+     * Draw the per-system profiler: stacked frame-time graph and the most expensive systems
+     */
+    drawProfilerInfo(ctx, gameData, startY) {
+        const profile = gameData.profile;
+        if (!profile || profile.sections.length === 0) return startY;
+        
+        const { x, width } = this.style;
+        const labelX = x + width - 15;
+        const lineHeight = 11;
+        let currentY = startY + 4;
+        
+        // Profiler header
+        ctx.fillStyle = this.style.accentColor;
+        ctx.font = 'bold 11px Orbitron, monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText('Profiler (ms):', labelX, currentY);
+        currentY += lineHeight + 1;
+        
+        ctx.fillStyle = this.style.textColor;
+        ctx.font = this.fonts.tiny;
+        ctx.fillText(`Frame ${profile.frame.average.toFixed(1)} p99 ${profile.frame.p99.toFixed(1)}`, labelX, currentY);
+        currentY += 6;
+        
+        const colors = this.getSectionColors(profile.graph.sections);
+        this.drawStackedGraph(ctx, profile.graph, colors, currentY);
+        currentY += this.style.graphHeight + lineHeight + 2;
+        
+        // p50 / p95 / p99 of each system's update, with the entities it processed
+        profile.sections.slice(0, this.style.profilerRows).forEach(section => {
+            ctx.fillStyle = colors.get(section.name);
+            ctx.fillRect(x + 15, currentY - 6, 6, 6);
+            
+            ctx.fillStyle = this.style.textColor;
+            ctx.textAlign = 'left';
+            ctx.fillText(`${this.getSectionLabel(section.name)} ${section.entities}`, x + 24, currentY);
+            ctx.textAlign = 'right';
+            ctx.fillText(`${section.p50.toFixed(2)} ${section.p95.toFixed(2)} ${section.p99.toFixed(2)}`, labelX, currentY);
+            currentY += lineHeight;
+        });
+        
+        return currentY;
+    }
+    
+    /**
+     * Stacked per-system time of each recent frame, scaled so the top edge is one 60 FPS frame
+     */
+    drawStackedGraph(ctx, graph, colors, top) {
+        const { x, width, graphHeight, frameBudget } = this.style;
+        const left = x + 15;
+        const graphWidth = width - 30;
+        const bottom = top + graphHeight;
+        const columnWidth = graphWidth / Math.max(graph.frames.length, 1);
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.fillRect(left, top, graphWidth, graphHeight);
+        
+        graph.frames.forEach((frame, index) => {
+            let y = bottom;
+            graph.sections.forEach(name => {
+                const height = Math.min((frame[name] || 0) / frameBudget * graphHeight, y - top);
+                if (height <= 0) return;
+                
+                y -= height;
+                ctx.fillStyle = colors.get(name);
+                ctx.fillRect(left + index * columnWidth, y, Math.max(columnWidth, 1), height);
+            });
+        });
+        
+        // Half-budget guide
+        ctx.strokeStyle = this.style.mutedColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(left, top + graphHeight / 2);
+        ctx.lineTo(left + graphWidth, top + graphHeight / 2);
+        ctx.stroke();
+        
+        ctx.strokeStyle = this.style.innerBorderColor;
+        ctx.strokeRect(left, top, graphWidth, graphHeight);
+    }
+    
+    /**
+     * Stable colour per profiler section
+     */
+    getSectionColors(sections) {
+        const palette = this.style.sectionColors;
+        return new Map(sections.map((name, index) => [name, palette[index % palette.length]]));
+    }
+    
+    /**
+     * Short section name, e.g. ECSRenderingSystem.render -> Rendering draw
+     */
+    getSectionLabel(name) {
+        return name.replace(/^ECS/, '').replace('System', '').replace('.render', ' draw');
+    }
+    
     /**
      * Draw performance information
      */
-    drawPerformanceInfo(ctx, gameData) {
+    drawPerformanceInfo(ctx, gameData, height = this.style.height) {
         const { x, width } = this.style;
         const labelX = x + width - 15;
-        let currentY = this.style.y + this.style.height - 30;
+        let currentY = this.style.y + height - 30;
         const lineHeight = 14;
         
         ctx.fillStyle = this.style.mutedColor;
@@ -0,0 +1,143 @@
+// TimeTravelPanel - Scrubber overlay for the time travel debugger
+// Shows the frame being inspected, what changed on it and every collider box
+
+export class TimeTravelPanel {
+    constructor(canvas) {
+        this.canvas = canvas;
+        
+        // Panel styling (matches the stats panel)
+        this.style = {
+            width: 300,
+            x: 10,
+            padding: 10,
+            lineHeight: 13,
+            maxChangeLines: 12,
+            backgroundColor: 'rgba(0, 0, 0, 0.9)',
+            borderColor: '#00ccff',
+            textColor: '#ffffff',
+            accentColor: '#00ff88',
+            warningColor: '#ffaa00',
+            mutedColor: '#888888',
+            colliderColor: 'rgba(0, 204, 255, 0.5)',
+            changedColliderColor: '#ffaa00'
+        };
+        
+        // Font settings
+        this.fonts = {
+            main: 'bold 12px Orbitron, monospace',
+            small: '10px Orbitron, monospace',
+            tiny: '9px Orbitron, monospace'
+        };
+    }
+    
+    /**
+     * Render the scrubber for the debugger status (see TimeTravelDebugger.getStatus)
+     */
+    render(ctx, status) {
+        if (!status.enabled) return;
+        
+        ctx.save();
+        
+        if (status.scrubbing) {
+            this.drawColliders(ctx, status.bounds);
+        }
+        
+        const lines = this.getChangeLines(status);
+        const height = this.style.padding * 2 + this.style.lineHeight * (3 + lines.length);
+        const y = this.canvas.height - height - 10;
+        
+        this.drawPanelBackground(ctx, y, height);
+        this.drawHeader(ctx, status, y);
+        this.drawChanges(ctx, lines, y + this.style.padding + this.style.lineHeight * 4 - 2);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Collider boxes of the inspected frame; boxes of changed entities are highlighted
+     */
+    drawColliders(ctx, bounds) {
+        bounds.forEach(box => {
+            ctx.strokeStyle = box.changed ? this.style.changedColliderColor : this.style.colliderColor;
+            ctx.lineWidth = box.changed ? 2 : 1;
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+        });
+    }
+    
+    /**
+     * Draw the panel background and border
+     */
+    drawPanelBackground(ctx, y, height) {
+        const { x, width } = this.style;
+        
+        ctx.fillStyle = this.style.backgroundColor;
+        ctx.fillRect(x, y, width, height);
+        
+        ctx.strokeStyle = this.style.borderColor;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+    }
+    
+    /**
+     * Title, frame position and key hints
+     */
+    drawHeader(ctx, status, y) {
+        const { x, padding, lineHeight } = this.style;
+        let currentY = y + padding + lineHeight - 2;
+        
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.style.accentColor;
+        ctx.font = this.fonts.main;
+        ctx.fillText(status.scrubbing ? '⏪ TIME TRAVEL - PAUSED' : '⏺ TIME TRAVEL - RECORDING', x + padding, currentY);
+        currentY += lineHeight;
+        
+        ctx.fillStyle = this.style.textColor;
+        ctx.font = this.fonts.small;
+        ctx.fillText(`Frame ${status.frame + 1}/${status.frames}  (-${status.secondsBehind.toFixed(2)}s)`, x + padding, currentY);
+        currentY += lineHeight;
+        
+        ctx.fillStyle = this.style.mutedColor;
+        ctx.font = this.fonts.tiny;
+        const hint = status.scrubbing ? ', . step   Enter resume here   P back to live' : 'P then , to step back   F3 stop recording';
+        ctx.fillText(hint, x + padding, currentY);
+    }
+    
+    /**
+     * One line per spawned/destroyed entity and per changed field, trimmed to fit
+     */
+    getChangeLines(status) {
+        if (!status.scrubbing) return [];
+        if (status.changes.length === 0) return ['No changes on this frame'];
+        
+        const lines = [];
+        status.changes.forEach(change => {
+            if (change.status !== 'changed') {
+                lines.push(`${change.label} ${change.status}`);
+                return;
+            }
+            change.details.forEach(detail => lines.push(`${change.label} ${detail}`));
+        });
+        
+        const { maxChangeLines } = this.style;
+        if (lines.length > maxChangeLines) {
+            const hidden = lines.length - (maxChangeLines - 1);
+            return [...lines.slice(0, maxChangeLines - 1), `... ${hidden} more`];
+        }
+        return lines;
+    }
+    
+    /**
+     * Draw the change list
+     */
+    drawChanges(ctx, lines, startY) {
+        const { x, padding, lineHeight } = this.style;
+        let currentY = startY;
+        
+        ctx.font = this.fonts.tiny;
+        lines.forEach(line => {
+            ctx.fillStyle = line.endsWith('spawned') || line.endsWith('destroyed') ? this.style.warningColor : this.style.textColor;
+            ctx.fillText(line, x + padding, currentY);
+            currentY += lineHeight;
+        });
+    }
+}
\ No newline at end of file
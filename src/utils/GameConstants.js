@@ -3,6 +3,10 @@ export const GAME_CONFIG = {
     CANVAS_WIDTH: 800,
     CANVAS_HEIGHT: 600,
     
+    // Simulation timing
+    SIMULATION_RATE: 120, // Fixed update steps per second; rendering interpolates between them
+    MAX_FRAME_TIME: 250, // Longest frame the simulation catches up on (milliseconds)
+    
     // Player settings
     PLAYER_SPEED: 5,
     PLAYER_MAX_ENERGY: 100,
@@ -11,23 +15,83 @@ export const GAME_CONFIG = {
     ENERGY_PER_SHOT: 1,
     SCANNER_ENERGY_DRAIN_RATE: 2, // per second
     
+    // Scanner reveal rules
+    COVERT_SPIES: true, // Enemies and spies look identical until scanned
+    SCANNER_RANGE: 250, // Ships within this distance lock at full rate
+    SCANNER_FALLOFF: 150, // Lock rate fades out over this extra distance
+    SCANNER_CONE_ANGLE: 30, // Degrees either side of the ship's nose
+    SCANNER_LOCK_RATE: 1, // Lock progress per second at full rate (1 = one second to identify)
+    SCANNER_LOCK_DECAY: 0.5, // Progress lost per second once a ship leaves the cone
+    SCANNER_DRAIN_PER_TARGET: 1, // Extra energy per second for each ship being scanned
+    SCANNER_MAX_LEVEL: 3, // Scanner strength upgrades
+    SCANNER_LEVEL_BONUS: 0.5, // Extra lock rate per upgrade level
+    SCANNER_TAG_DURATION: 3000, // Identified ships stay tagged this long (milliseconds)
+    
+    // Collision broadphase
+    COLLISION_CELL_SIZE: 64, // Spatial hash cell size in pixels (roughly the largest common collider)
+    
     // Scoring
     ENEMY_KILL_POINTS: 100,
     SPY_ALIEN_PENALTY: -50,
     ENERGY_RESTORE_AMOUNT: 10,
     
+    // Collision damage (energy lost by the player)
+    ENEMY_COLLISION_DAMAGE: 20,
+    ROCK_COLLISION_DAMAGE: 30,
+    ENEMY_RAM_HULL_DAMAGE: 1, // Hull points lost ramming a ship
+    ROCK_HULL_DAMAGE: 2, // Hull points lost hitting a rock
+    
+    // Enemy movement
+    ENEMY_MAX_SPEED: 10, // Velocity cap for enemies (pixels per 60 FPS frame); dives and swoops outrun the cruising speed
+    
+    // Enemy fire (hull damage to the player)
+    PLAYER_MAX_HULL: 5, // Hull points; losing them all costs a life
+    PLAYER_INVULNERABILITY_TIME: 1500, // Invulnerability after a hull hit (milliseconds)
+    ENEMY_BULLET_DAMAGE: 1,
+    ENEMY_FIRE_RATE_SCALING: 0.15, // Extra fire rate per difficulty level above 1
+    ENEMY_FIRE_RATE_MAX: 2.5, // Fire rate multiplier cap
+    
+    // Lives and respawning
+    PLAYER_LIVES: 3, // Ships per run; the run ends when the last one is lost
+    PLAYER_RESPAWN_DELAY: 1500, // Time before the next ship appears (milliseconds)
+    PLAYER_RESPAWN_INVULNERABILITY: 3000, // Invulnerability after respawning (milliseconds)
+    
+    // Power-up pickups (effects and loot tables live in src/data/powerups.json)
+    POWER_UP_SIZE: 20,
+    POWER_UP_DRIFT_SPEED: 1.2, // Pixels per 60 FPS frame
+    POWER_UP_LIFETIME: 8000, // Time before an uncollected pickup disappears (milliseconds)
+    ROCK_LOOT_TABLE: 'rock',
+    
+    // Player weapons (definitions live in src/data/weapons.json; heat runs from 0 to 100)
+    PLAYER_START_WEAPON: 'blaster',
+    WEAPON_COOL_RATE: 25, // Heat shed per second
+    WEAPON_OVERHEAT_RECOVERY: 40, // An overheated gun unlocks once its heat falls to this
+    
+    // Boss encounters (definitions live in src/data/bosses.json)
+    BOSS_PHASE_TRANSITION_TIME: 1500, // Invulnerability while a boss changes phase (milliseconds)
+    BOSS_RAM_HULL_DAMAGE: 2, // Hull points lost flying into a boss
+    START_ENVIRONMENT: 'deep_space', // Environment each run starts in; boss rewards move it on
+    
     // Difficulty progression
     DIFFICULTY_INCREASE_INTERVAL: 30000, // 30 seconds in milliseconds
     
+    // Debug tools
+    REWIND_SECONDS: 5, // World history kept for time-travel debugging (seconds)
+    PROFILER_WINDOW: 240, // Samples behind each profiler average and percentile (2 seconds of updates)
+    PROFILER_GRAPH_FRAMES: 150, // Displayed frames shown in the stacked frame-time graph
+    
     // Colors
     COLORS: {
         PLAYER: '#00ff00',
         ENEMY: '#ff0000',
         SPY_ALIEN: '#ffff00',
         BULLET: '#ffffff',
+        ENEMY_BULLET: '#ff5533',
         ROCK: '#888888',
         SCANNER_ENEMY: '#ff0000',
-        SCANNER_SPY: '#00ff00'
+        SCANNER_SPY: '#00ff00',
+        SCANNER_LOCK: '#dddddd', // Unfinished lock; says nothing about the ship
+        UNIDENTIFIED: '#777799'
     }
 };
 
@@ -43,5 +107,25 @@ export const KEYS = {
     W: 'KeyW',
     A: 'KeyA',
     S: 'KeyS',
-    D: 'KeyD'
+    D: 'KeyD',
+    // Weapon slots, in the order of src/data/weapons.json
+    WEAPON_1: 'Digit1',
+    WEAPON_2: 'Digit2',
+    WEAPON_3: 'Digit3',
+    WEAPON_4: 'Digit4',
+    WEAPON_5: 'Digit5'
+};
+
+// Debug keys (read straight from the keyboard and ignored while a replay plays)
+export const DEBUG_KEYS = {
+    TIME_TRAVEL: 'F3', // Start/stop recording world history
+    STEP_BACK: 'Comma', // Previous frame
+    STEP_FORWARD: 'Period', // Next frame
+    RESUME_HERE: 'Enter', // Continue the run from the frame being inspected
+    INSPECTOR: 'F2', // Show/hide the entity inspector
+    PREVIOUS_FIELD: 'BracketLeft', // Inspector: field above
+    NEXT_FIELD: 'BracketRight', // Inspector: field below
+    DECREASE_VALUE: 'Minus', // Inspector: lower the field (hold Shift for 10x)
+    INCREASE_VALUE: 'Equal', // Inspector: raise the field (hold Shift for 10x)
+    SINGLE_STEP: 'KeyN' // Inspector: simulate one tick while paused
 };
\ No newline at end of file
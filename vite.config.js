@@ -12,7 +12,7 @@ export default defineConfig({
     sourcemap: true
   },
   test: {
-    environment: 'jsdom',
+    environment: 'node',
     globals: true
   }
 });
\ No newline at end of file